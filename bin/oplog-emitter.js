@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+'use strict'
+
+let run = require('../lib/cli').run
+
+run(process.argv.slice(2), { stdout: process.stdout, stderr: process.stderr, signals: process })
+  .then((code) => { process.exitCode = code })
@@ -0,0 +1,120 @@
+'use strict'
+
+/**
+ * Tracks oplog entries whose listeners are still running and works out up to which timestamp
+ * every entry has been acknowledged. Entries can finish in any order, but the committed
+ * timestamp only ever moves past an entry once it and all entries before it are done.
+ * @class AckQueue
+ * @param {object} options An object with the concurrency, onCommit (receives the committed timestamp and resume token),
+ *                         onError (receives a listener failure) and onAvailable (called when there is room for more entries) settings
+ * @private
+ */
+class AckQueue {
+  constructor (options) {
+    this.concurrency = options.concurrency
+    this.onCommit = options.onCommit
+    this.onError = options.onError
+    this.onAvailable = options.onAvailable
+    this.entries = []
+    this.inFlight = 0
+    this.waiting = []
+  }
+
+  /**
+   * Whether the maximum number of entries is being processed
+   * @return {boolean} True if no more entries should be added until one completes
+   * @private
+   */
+  isFull () {
+    return this.inFlight >= this.concurrency
+  }
+
+  /**
+   * Track an oplog entry until its listeners are done
+   * @param  {Timestamp} timestamp   The timestamp of the oplog entry
+   * @param  {Promise}   delivery    A promise that resolves when all listeners acknowledged the entry
+   * @param  {?object}   resumeToken The resume token of the change the entry was converted from
+   * @return {undefined}             Returns void
+   * @private
+   */
+  push (timestamp, delivery, resumeToken) {
+    const entry = { timestamp, resumeToken, done: false }
+    this.entries.push(entry)
+    this.inFlight++
+
+    delivery.then(() => {
+      entry.done = true
+      this.inFlight--
+      this.commit()
+      this.onAvailable()
+    }, (error) => {
+      this.inFlight--
+      this.onError(error)
+    })
+  }
+
+  /**
+   * Drop all leading entries that are done and report the timestamp and resume token of the last one
+   * @return {undefined} Returns void
+   * @private
+   */
+  commit () {
+    let committed = null
+    while (this.entries.length > 0 && this.entries[0].done) {
+      committed = this.entries.shift()
+    }
+    if (committed !== null) this.onCommit(committed.timestamp, committed.resumeToken)
+    if (this.entries.length === 0) this.waiting.splice(0).forEach((resolve) => resolve())
+  }
+
+  /**
+   * Wait until every entry is acknowledged and committed
+   * @return {Promise}   A promise resolving once no entries are left (it never resolves after a listener failure)
+   * @private
+   */
+  idle () {
+    if (this.entries.length === 0) return Promise.resolve()
+    return new Promise((resolve) => this.waiting.push(resolve))
+  }
+}
+
+/**
+ * Call the listeners of the given events and wait until all of them have acknowledged their payload.
+ * A listener acknowledges by returning (a promise), or, when it accepts a second argument, by calling it.
+ * @param  {EventEmitter} emitter The emitter whose listeners should be called
+ * @param  {Array}        events  A list of [eventName, payload] pairs
+ * @return {Promise}              A promise resolving once all listeners acknowledged, or rejecting with the first failure
+ * @private
+ */
+function dispatch (emitter, events) {
+  const deliveries = []
+  events.forEach((event) => {
+    const listeners = emitter.rawListeners ? emitter.rawListeners(event[0]) : emitter.listeners(event[0])
+    listeners.forEach((listener) => deliveries.push(invoke(emitter, listener, event[1])))
+  })
+  return Promise.all(deliveries)
+}
+
+/**
+ * Call a single listener and turn its acknowledgement into a promise
+ * @param  {EventEmitter} emitter  The emitter the listener is registered on
+ * @param  {function}     listener The listener (possibly a once() wrapper)
+ * @param  {object}       payload  The event payload
+ * @return {Promise}               A promise resolving once the listener acknowledged the payload
+ * @private
+ */
+function invoke (emitter, listener, payload) {
+  return new Promise((resolve, reject) => {
+    const expectsAck = (listener.listener || listener).length > 1
+    const ack = (error) => error ? reject(error) : resolve()
+    const result = listener.call(emitter, payload, ack)
+
+    if (result && typeof result.then === 'function') return result.then(() => resolve(), reject)
+    if (!expectsAck) resolve()
+  })
+}
+
+module.exports = {
+  AckQueue,
+  dispatch
+}
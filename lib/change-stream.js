@@ -0,0 +1,99 @@
+'use strict'
+
+// A database or collection filter without regex characters names exactly one database or collection
+const LITERAL = /^[^.*+?^${}()|[\]\\]+$/
+
+/**
+ * Open a change stream on the narrowest target the database and collection filters allow:
+ * a collection, a database or the whole deployment.
+ * Without a resume token the stream starts at the timestamp itself rather than after it: the changes of a transaction
+ * share its timestamp, so the ones that were not processed yet would be skipped otherwise.
+ * @param  {MongoClient} client       A connected mongodb client
+ * @param  {OplogOptions} args        The validated constructor options
+ * @param  {Timestamp}   timestamp    The stream starts at this timestamp, unless a resume token is given
+ * @param  {?object}     resumeToken  The _id of the last change that was read
+ * @return {Readable}                 A stream of change events
+ * @private
+ */
+function openChangeStream (client, args, timestamp, resumeToken) {
+  const options = resumeToken
+    ? { resumeAfter: resumeToken }
+    : { startAtOperationTime: timestamp }
+  if (args.fullDocument === 'updateLookup') options.fullDocument = 'updateLookup'
+
+  let target = client
+  if (LITERAL.test(args.database)) {
+    target = client.db(args.database)
+    if (LITERAL.test(args.collection)) target = target.collection(args.collection)
+  }
+
+  return target.watch([], options).stream()
+}
+
+/**
+ * Convert a change event into the oplog entry it was created from, so it can be routed like one.
+ * The resume token of the change is kept as `resumeToken`, and the looked up document of an update as `fullDocument`.
+ * @param  {object}  change A change event
+ * @return {?object}        An oplog entry, or null if the change has no oplog equivalent (e.g. invalidate)
+ * @private
+ */
+function fromChangeEvent (change) {
+  const ns = change.ns || {}
+  let entry = {
+    ts: change.clusterTime,
+    ns: ns.coll === undefined ? `${ns.db}.$cmd` : `${ns.db}.${ns.coll}`,
+    resumeToken: change._id
+  }
+  if (change.wallTime) entry.wall = change.wallTime
+  if (change.txnNumber !== undefined) {
+    entry.lsid = change.lsid
+    entry.txnNumber = change.txnNumber
+  }
+
+  switch (change.operationType) {
+    case 'insert':
+      return Object.assign(entry, { op: 'i', o: change.fullDocument })
+    case 'update':
+      if (change.fullDocument !== undefined) entry.fullDocument = change.fullDocument
+      return Object.assign(entry, { op: 'u', o: toModifier(change.updateDescription), o2: change.documentKey })
+    case 'replace':
+      return Object.assign(entry, { op: 'u', o: change.fullDocument, o2: change.documentKey })
+    case 'delete':
+      return Object.assign(entry, { op: 'd', o: change.documentKey })
+    case 'drop':
+      return Object.assign(entry, { op: 'c', ns: `${ns.db}.$cmd`, o: { drop: ns.coll } })
+    case 'dropDatabase':
+      return Object.assign(entry, { op: 'c', ns: `${ns.db}.$cmd`, o: { dropDatabase: 1 } })
+    case 'rename':
+      return Object.assign(entry, {
+        op: 'c',
+        ns: 'admin.$cmd',
+        o: { renameCollection: `${ns.db}.${ns.coll}`, to: `${change.to.db}.${change.to.coll}` }
+      })
+    default:
+      return null
+  }
+}
+
+/**
+ * Convert the updateDescription of a change event into a $set/$unset modifier
+ * @param  {object} updateDescription The updatedFields and removedFields of an update
+ * @return {object}                   The equivalent modifier
+ * @private
+ */
+function toModifier (updateDescription) {
+  let modifier = { $set: updateDescription.updatedFields || {} }
+  const removedFields = updateDescription.removedFields || []
+  if (removedFields.length > 0) {
+    modifier.$unset = removedFields.reduce((unset, field) => {
+      unset[field] = true
+      return unset
+    }, {})
+  }
+  return modifier
+}
+
+module.exports = {
+  fromChangeEvent,
+  openChangeStream
+}
@@ -0,0 +1,230 @@
+'use strict'
+
+/**
+ * An object that persists the timestamp of the last processed oplog entry. With change streams, save() also receives the
+ * resume token of the last processed change, which loadResumeToken() (if the store has it) returns to resume after it.
+ * @typedef {object} CheckpointStore
+ * @property {function(): Promise<?Timestamp>} load                A function resolving to the stored timestamp, or null if nothing was stored yet
+ * @property {function(Timestamp, ?object): Promise} save          A function that persists the given timestamp and resume token
+ * @property {?function(): Promise<?object>} loadResumeToken       A function resolving to the stored resume token, or null if there is none
+ * @public
+ */
+
+let fs = require('fs')
+let Timestamp = require('mongodb').Timestamp
+let ejson = require('./ejson')
+
+/**
+ * A checkpoint store that keeps the last processed timestamp in a JSON file
+ * @example
+ * let emitter = new OplogEmitter({
+ *   oplogURL: 'mongodb://localhost:27017/local',
+ *   checkpoint: new OplogEmitter.FileCheckpointStore('/var/lib/myservice/oplog.json')
+ * })
+ *
+ * @class FileCheckpointStore
+ * @param {string} file    The path of the file the timestamp is written to
+ * @throws {TypeError}     when file is not a string
+ * @public
+ */
+class FileCheckpointStore {
+  constructor (file) {
+    if (typeof file !== 'string') throw new TypeError('file should be a string')
+    this.file = file
+  }
+
+  /**
+   * Read the timestamp from the file
+   * @return {Promise<?Timestamp>} A promise resolving to the stored timestamp, or null if the file does not exist
+   * @public
+   */
+  load () {
+    return this.read()
+      .then((checkpoint) => checkpoint ? new Timestamp(checkpoint.i, checkpoint.t) : null)
+  }
+
+  /**
+   * Read the resume token of a change stream from the file
+   * @return {Promise<?object>} A promise resolving to the stored resume token, or null if there is none
+   * @public
+   */
+  loadResumeToken () {
+    return this.read()
+      .then((checkpoint) => checkpoint && checkpoint.resumeToken ? ejson.deserialize(checkpoint.resumeToken, { relaxed: false }) : null)
+  }
+
+  /**
+   * Read and check the contents of the file
+   * @return {Promise<?object>} A promise resolving to the checkpoint, or null if the file does not exist
+   * @private
+   */
+  read () {
+    return new Promise((resolve, reject) => {
+      fs.readFile(this.file, 'utf8', (error, data) => {
+        if (error && error.code === 'ENOENT') return resolve(null)
+        if (error) return reject(error)
+
+        let checkpoint
+        try {
+          checkpoint = JSON.parse(data)
+        } catch (parseError) {
+          return reject(new Error(`Checkpoint file ${this.file} does not contain valid JSON`))
+        }
+        if (typeof checkpoint.t !== 'number' || typeof checkpoint.i !== 'number') {
+          return reject(new Error(`Checkpoint file ${this.file} does not contain a timestamp`))
+        }
+        resolve(checkpoint)
+      })
+    })
+  }
+
+  /**
+   * Write the timestamp to the file. A temporary file is renamed over the old one, so a crash never leaves a partial checkpoint.
+   * @param  {Timestamp} timestamp   The timestamp to persist
+   * @param  {?object}   resumeToken The resume token to persist, in canonical Extended JSON
+   * @return {Promise}               A promise resolving once the file has been written
+   * @public
+   */
+  save (timestamp, resumeToken) {
+    const tmpFile = this.file + '.tmp'
+    let checkpoint = { t: timestamp.getHighBits(), i: timestamp.getLowBits() }
+    if (resumeToken) checkpoint.resumeToken = ejson.serialize(resumeToken, { relaxed: false })
+    const data = JSON.stringify(checkpoint)
+    return new Promise((resolve, reject) => {
+      fs.writeFile(tmpFile, data, (error) => {
+        if (error) return reject(error)
+        fs.rename(tmpFile, this.file, (error2) => {
+          if (error2) return reject(error2)
+          resolve()
+        })
+      })
+    })
+  }
+}
+
+/**
+ * A checkpoint store that keeps the last processed timestamp in a document of a mongodb collection
+ * @example
+ * let emitter = new OplogEmitter({
+ *   oplogURL: 'mongodb://localhost:27017/local',
+ *   checkpoint: new OplogEmitter.MongoCheckpointStore(client.db('myservice').collection('checkpoints'), 'search-sync')
+ * })
+ *
+ * @class MongoCheckpointStore
+ * @param {Collection} collection The collection in which the checkpoint document is stored
+ * @param {?string}    id         The _id of the checkpoint document (defaults to 'oplog-emitter')
+ * @throws {TypeError}            when collection is not a mongodb collection
+ * @public
+ */
+class MongoCheckpointStore {
+  constructor (collection, id) {
+    if (!collection || typeof collection.findOne !== 'function' || typeof collection.updateOne !== 'function') {
+      throw new TypeError('collection should be a mongodb Collection')
+    }
+    this.collection = collection
+    this.id = id === undefined ? 'oplog-emitter' : id
+  }
+
+  /**
+   * Read the timestamp from the checkpoint document
+   * @return {Promise<?Timestamp>} A promise resolving to the stored timestamp, or null if the document does not exist
+   * @public
+   */
+  load () {
+    return this.collection.findOne({ _id: this.id })
+      .then((checkpoint) => checkpoint ? checkpoint.ts : null)
+  }
+
+  /**
+   * Read the resume token of a change stream from the checkpoint document
+   * @return {Promise<?object>} A promise resolving to the stored resume token, or null if there is none
+   * @public
+   */
+  loadResumeToken () {
+    return this.collection.findOne({ _id: this.id })
+      .then((checkpoint) => checkpoint && checkpoint.resumeToken ? checkpoint.resumeToken : null)
+  }
+
+  /**
+   * Upsert the timestamp in the checkpoint document
+   * @param  {Timestamp} timestamp   The timestamp to persist
+   * @param  {?object}   resumeToken The resume token to persist
+   * @return {Promise}               A promise resolving once the document has been written
+   * @public
+   */
+  save (timestamp, resumeToken) {
+    let fields = { ts: timestamp }
+    if (resumeToken) fields.resumeToken = resumeToken
+    return this.collection.updateOne({ _id: this.id }, { $set: fields }, { upsert: true })
+  }
+}
+
+/**
+ * Buffers acknowledged timestamps and saves the latest one to a CheckpointStore,
+ * every `interval` milliseconds or after `count` acknowledgements, whichever comes first.
+ * Saves never overlap.
+ * @class Checkpointer
+ * @param {CheckpointStore} store   The store to save timestamps to
+ * @param {object}          options An object with the interval, count and onError (a function receiving save errors) settings
+ * @private
+ */
+class Checkpointer {
+  constructor (store, options) {
+    this.store = store
+    this.count = options.count
+    this.onError = options.onError
+    this.pending = null
+    this.unsaved = 0
+    this.saving = Promise.resolve()
+    this.timer = setInterval(() => this.flush(), options.interval)
+    if (this.timer.unref) this.timer.unref()
+  }
+
+  /**
+   * Mark a timestamp as processed
+   * @param  {Timestamp} timestamp   The timestamp of the processed oplog entry
+   * @param  {?object}   resumeToken The resume token of the processed change, when reading a change stream
+   * @return {undefined}             Returns void
+   * @private
+   */
+  update (timestamp, resumeToken) {
+    this.pending = { timestamp, resumeToken }
+    this.unsaved++
+    if (this.unsaved >= this.count) this.flush()
+  }
+
+  /**
+   * Save the latest processed timestamp, if it wasn't saved yet
+   * @return {Promise}   A promise resolving once the store has saved the timestamp
+   * @private
+   */
+  flush () {
+    if (this.pending === null) return this.saving
+
+    const checkpoint = this.pending
+    this.pending = null
+    this.unsaved = 0
+    this.saving = this.saving
+      .then(() => checkpoint.resumeToken === undefined
+        ? this.store.save(checkpoint.timestamp)
+        : this.store.save(checkpoint.timestamp, checkpoint.resumeToken))
+      .catch(this.onError)
+    return this.saving
+  }
+
+  /**
+   * Stop the flush timer and save the latest processed timestamp
+   * @return {Promise}   A promise resolving once the store has saved the timestamp
+   * @private
+   */
+  stop () {
+    clearInterval(this.timer)
+    return this.flush()
+  }
+}
+
+module.exports = {
+  Checkpointer,
+  FileCheckpointStore,
+  MongoCheckpointStore
+}
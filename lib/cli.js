@@ -0,0 +1,286 @@
+'use strict'
+
+let ejson = require('./ejson')
+let FileCheckpointStore = require('./checkpoint').FileCheckpointStore
+let fs = require('fs')
+let OplogEmitter = require('./index')
+let Timestamp = require('mongodb').Timestamp
+
+const USAGE = `Usage: oplog-emitter [options] [oplogURL]
+
+Prints the entries of a mongodb oplog. Without --since it tails the oplog from now on. With --since it
+prints the entries from then up to --until (or now) and exits, unless --follow is given.
+
+Connection:
+  -u, --url <url>              The mongodb connection string (defaults to mongodb://localhost:27017/local)
+      --username <name>        The user name
+      --password <password>    The password
+      --auth-source <db>       The database the user is defined in
+      --auth-mechanism <name>  SCRAM-SHA-1, SCRAM-SHA-256, MONGODB-X509, PLAIN or GSSAPI
+      --tls                    Connect with TLS
+      --tls-ca <file>          The certificate authority to trust (implies --tls)
+      --tls-cert <file>        The client certificate (implies --tls)
+      --tls-key <file>         The private key of the client certificate (implies --tls)
+      --read-preference <mode> The read preference, e.g. secondary
+
+Selection:
+  -d, --database <regexp>      Only print entries of matching databases
+  -c, --collection <regexp>    Only print entries of matching collections
+  -n, --namespace <glob>       Only print entries of matching namespaces (can be repeated)
+      --ops <types>            Only print these operation types: insert,update,delete,command,noop
+      --since <time>           Start at a date, a duration ago (30s, 15m, 1h, 2d) or a timestamp (seconds[:increment])
+      --until <time>           Stop after this time (same formats as --since)
+  -f, --follow                 Keep tailing the oplog after --since
+      --checkpoint <file>      Resume from the timestamp in this file and save progress to it (implies --follow)
+
+Output:
+  -o, --format <format>        pretty, json (JSON lines) or ejson (Extended JSON lines) (defaults to pretty)
+      --canonical              Write canonical instead of relaxed Extended JSON
+  -h, --help                   Show this help
+`
+
+// The flags, their aliases and whether they take a value
+const FLAGS = {
+  '--url': { name: 'url', value: true },
+  '-u': { name: 'url', value: true },
+  '--username': { name: 'username', value: true },
+  '--password': { name: 'password', value: true },
+  '--auth-source': { name: 'authSource', value: true },
+  '--auth-mechanism': { name: 'authMechanism', value: true },
+  '--tls': { name: 'tls', value: false },
+  '--tls-ca': { name: 'tlsCA', value: true },
+  '--tls-cert': { name: 'tlsCert', value: true },
+  '--tls-key': { name: 'tlsKey', value: true },
+  '--read-preference': { name: 'readPreference', value: true },
+  '--database': { name: 'database', value: true },
+  '-d': { name: 'database', value: true },
+  '--collection': { name: 'collection', value: true },
+  '-c': { name: 'collection', value: true },
+  '--namespace': { name: 'namespace', value: true, repeat: true },
+  '-n': { name: 'namespace', value: true, repeat: true },
+  '--ops': { name: 'ops', value: true },
+  '--since': { name: 'since', value: true },
+  '--until': { name: 'until', value: true },
+  '--follow': { name: 'follow', value: false },
+  '-f': { name: 'follow', value: false },
+  '--checkpoint': { name: 'checkpoint', value: true },
+  '--format': { name: 'format', value: true },
+  '-o': { name: 'format', value: true },
+  '--canonical': { name: 'canonical', value: false },
+  '--help': { name: 'help', value: false },
+  '-h': { name: 'help', value: false }
+}
+
+const FORMATS = ['pretty', 'json', 'ejson']
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }
+
+const OPERATION_NAMES = { i: 'insert', u: 'update', d: 'delete', c: 'command', n: 'noop' }
+
+/**
+ * Run the command line tool
+ * @param  {Array<string>} argv The arguments, without the node binary and the script
+ * @param  {object}        io   An object with the stdout and stderr streams, and optionally an EventEmitter of signals (process)
+ * @return {Promise<number>}    A promise resolving to the exit code once the emitter closed
+ * @private
+ */
+function run (argv, io) {
+  let flags
+  let emitter
+  try {
+    flags = parseArgs(argv)
+    if (flags.help) {
+      io.stdout.write(USAGE)
+      return Promise.resolve(0)
+    }
+    emitter = new OplogEmitter(Object.assign(toOptions(flags), { logger: createLogger(io.stderr) }))
+  } catch (error) {
+    io.stderr.write(`oplog-emitter: ${error.message}\nRun oplog-emitter --help for the available options\n`)
+    return Promise.resolve(2)
+  }
+
+  const format = createFormatter(flags)
+  let exitCode = 0
+  const stop = () => emitter.stop()
+
+  const print = (entry) => {
+    if (io.stdout.write(format(entry) + '\n')) return
+    emitter.pause()
+    io.stdout.once('drain', () => emitter.resume())
+  }
+  emitter.on('op', print)
+  // Noops are not fired as op events, their CommandEvent carries the entry as raw
+  emitter.on('noop', (event) => print(event.raw))
+  emitter.on('error', (error) => {
+    exitCode = 1
+    io.stderr.write(`oplog-emitter: ${error.message}\n`)
+    stop()
+  })
+  if (io.signals) ['SIGINT', 'SIGTERM'].forEach((signal) => io.signals.once(signal, stop))
+
+  return new Promise((resolve) => emitter.once('close', () => {
+    if (io.signals) ['SIGINT', 'SIGTERM'].forEach((signal) => io.signals.removeListener(signal, stop))
+    resolve(exitCode)
+  }))
+}
+
+/**
+ * Parse the command line arguments
+ * @param  {Array<string>} argv The arguments
+ * @return {object}             The values of the flags by name, and the url if it was given as an argument
+ * @throws {TypeError}          when a flag is unknown or misses its value
+ * @private
+ */
+function parseArgs (argv) {
+  let flags = { namespace: [] }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    const separator = arg.indexOf('=')
+    const flag = FLAGS[arg.startsWith('--') && separator !== -1 ? arg.slice(0, separator) : arg]
+
+    if (flag === undefined) {
+      if (arg.startsWith('-') || flags.url !== undefined) throw new TypeError(`unknown argument ${arg}`)
+      flags.url = arg
+      continue
+    }
+    if (!flag.value) {
+      flags[flag.name] = true
+      continue
+    }
+
+    let value = separator !== -1 && arg.startsWith('--') ? arg.slice(separator + 1) : argv[++i]
+    if (value === undefined) throw new TypeError(`${arg} needs a value`)
+    if (flag.repeat) flags[flag.name].push(value)
+    else flags[flag.name] = value
+  }
+  return flags
+}
+
+/**
+ * Turn the flags into the options of an OplogEmitter
+ * @param  {object}       flags The parsed flags
+ * @return {OplogOptions}       The options
+ * @throws {TypeError}          when flags cannot be combined or have an invalid value
+ * @private
+ */
+function toOptions (flags) {
+  if (flags.format !== undefined && FORMATS.indexOf(flags.format) === -1) throw new TypeError('--format should be pretty, json or ejson')
+  if (flags.until !== undefined && flags.since === undefined) throw new TypeError('--until needs --since')
+  if (flags.until !== undefined && (flags.follow || flags.checkpoint !== undefined)) {
+    throw new TypeError('--until cannot be used with --follow or --checkpoint')
+  }
+
+  let options = { oplogURL: flags.url || 'mongodb://localhost:27017/local' }
+  if (flags.readPreference !== undefined) options.readPreference = flags.readPreference
+  if (flags.database !== undefined) options.database = flags.database
+  if (flags.collection !== undefined) options.collection = flags.collection
+
+  let filter = {}
+  if (flags.namespace.length > 0) filter.namespaces = flags.namespace
+  if (flags.ops !== undefined) filter.operations = flags.ops.split(',').map((type) => type.trim())
+  if (Object.keys(filter).length > 0) options.filter = filter
+
+  let credentials = {}
+  if (flags.username !== undefined) credentials.username = flags.username
+  if (flags.password !== undefined) credentials.password = flags.password
+  if (flags.authSource !== undefined) credentials.authSource = flags.authSource
+  if (flags.authMechanism !== undefined) credentials.mechanism = flags.authMechanism
+  if (Object.keys(credentials).length > 0) options.credentials = credentials
+
+  let tls = {}
+  if (flags.tlsCA !== undefined) tls.ca = fs.readFileSync(flags.tlsCA)
+  if (flags.tlsCert !== undefined) tls.cert = fs.readFileSync(flags.tlsCert)
+  if (flags.tlsKey !== undefined) tls.key = fs.readFileSync(flags.tlsKey)
+  if (Object.keys(tls).length > 0) options.tls = tls
+  else if (flags.tls) options.tls = true
+
+  const since = flags.since === undefined ? null : parseTime(flags.since, '--since')
+  const until = flags.until === undefined ? null : parseTime(flags.until, '--until')
+
+  if (since === null || flags.follow || flags.checkpoint !== undefined) {
+    if (since !== null) options.getLastTimestamp = () => Promise.resolve(toTimestamp(since))
+    if (flags.checkpoint !== undefined) options.checkpoint = new FileCheckpointStore(flags.checkpoint)
+  } else {
+    options.replay = { start: since, end: until || new Date() }
+  }
+  return options
+}
+
+/**
+ * Parse a point in time
+ * @param  {string} value A date, a duration ago such as 15m, or a timestamp in seconds with an optional increment (seconds:increment)
+ * @param  {string} name  The name of the flag, for the error message
+ * @return {(Date|Timestamp)} The date or timestamp
+ * @throws {TypeError}    when the value is none of these
+ * @private
+ */
+function parseTime (value, name) {
+  let match = /^(\d+)([smhd])$/.exec(value)
+  if (match) return new Date(Date.now() - Number(match[1]) * DURATION_UNITS[match[2]])
+
+  match = /^(\d+)(?::(\d+))?$/.exec(value)
+  if (match) return new Timestamp(Number(match[2] || 0), Number(match[1]))
+
+  const time = Date.parse(value)
+  if (isNaN(time)) throw new TypeError(`${name} should be a date, a duration such as 1h or a timestamp such as 1700000000:1`)
+  return new Date(time)
+}
+
+/**
+ * Convert a point in time to the timestamp of the last entry before it
+ * @param  {(Date|Timestamp)} time A date or timestamp
+ * @return {Timestamp}             The timestamp to read after
+ * @private
+ */
+function toTimestamp (time) {
+  if (time instanceof Timestamp) return time.subtract(Timestamp.ONE)
+  return new Timestamp(0, Math.floor(time.getTime() / 1000)).subtract(Timestamp.ONE)
+}
+
+/**
+ * Create a logger that writes warnings and errors to stderr, keeping stdout for the entries
+ * @param  {Writable} stderr The stream to write to
+ * @return {Logger}          The logger
+ * @private
+ */
+function createLogger (stderr) {
+  const write = (level) => (fields, message) => stderr.write(`oplog-emitter: ${level}: ${message}\n`)
+  return { debug: () => {}, info: () => {}, warn: write('warning'), error: write('error') }
+}
+
+/**
+ * Create the function that turns an oplog entry into a line of output
+ * @param  {object}   flags The parsed flags
+ * @return {function}       A function from an oplog entry to a string
+ * @private
+ */
+function createFormatter (flags) {
+  const relaxed = !flags.canonical
+  if (flags.format === 'json') return (entry) => JSON.stringify(entry)
+  if (flags.format === 'ejson') return (entry) => ejson.stringify(entry, { relaxed })
+  return formatPretty
+}
+
+/**
+ * Format an oplog entry as a line of text: the time, the timestamp, the operation type, the namespace and the documents
+ * @param  {object} entry The oplog entry
+ * @return {string}       The formatted entry
+ * @private
+ */
+function formatPretty (entry) {
+  const seconds = entry.ts.getHighBits()
+  const fields = [
+    new Date(seconds * 1000).toISOString(),
+    `${seconds}:${entry.ts.getLowBits() >>> 0}`,
+    OPERATION_NAMES[entry.op] || entry.op,
+    entry.ns || '-'
+  ]
+  if (entry.o2 !== undefined) fields.push(ejson.stringify(entry.o2))
+  fields.push(ejson.stringify(entry.o))
+  return fields.join(' ')
+}
+
+module.exports = {
+  run,
+  USAGE
+}
@@ -0,0 +1,82 @@
+'use strict'
+
+// The commands that affect a single collection, mapped to the event they fire
+const COLLECTION_COMMANDS = {
+  create: 'create',
+  drop: 'drop',
+  collMod: 'collMod',
+  createIndexes: 'createIndexes',
+  commitIndexBuild: 'createIndexes',
+  dropIndexes: 'dropIndexes',
+  deleteIndexes: 'dropIndexes'
+}
+
+/**
+ * The payload of command and noop events
+ * @typedef {object} CommandEvent
+ * @property {string} operationType The name of the event (drop, dropDatabase, create, renameCollection, createIndexes, dropIndexes, collMod or noop)
+ * @property {?string} db           The database the command affects (null for noop)
+ * @property {?string} coll         The collection the command affects (null for dropDatabase and noop)
+ * @property {?object} to           The database and collection a collection was renamed to (renameCollection only)
+ * @property {Timestamp} ts         The timestamp of the oplog entry
+ * @property {object} command       The command document of the oplog entry (`o`)
+ * @property {object} raw           The complete oplog entry
+ * @public
+ */
+
+/**
+ * Decode a command or noop oplog entry into an event
+ * @param  {object} entry A json object returned by the mongodb cursor
+ * @return {?Array}       An [eventName, CommandEvent] pair, or null if the entry is not a known command
+ * @private
+ */
+function decodeCommand (entry) {
+  if (entry.op === 'n') {
+    return ['noop', {
+      operationType: 'noop',
+      db: null,
+      coll: null,
+      ts: entry.ts,
+      command: entry.o,
+      raw: entry
+    }]
+  }
+  if (entry.op !== 'c' || !entry.o) return null
+
+  const command = entry.o
+  const db = splitNamespace(entry.ns).db
+  const payload = (operationType, namespace) => Object.assign({ operationType }, namespace, {
+    ts: entry.ts,
+    command,
+    raw: entry
+  })
+
+  if (command.dropDatabase) return ['dropDatabase', payload('dropDatabase', { db, coll: null })]
+  if (command.renameCollection) {
+    let event = payload('renameCollection', splitNamespace(command.renameCollection))
+    event.to = splitNamespace(command.to)
+    return ['renameCollection', event]
+  }
+
+  const name = Object.keys(COLLECTION_COMMANDS).find((key) => command[key] !== undefined)
+  if (!name) return null
+  return [COLLECTION_COMMANDS[name], payload(COLLECTION_COMMANDS[name], { db, coll: command[name] })]
+}
+
+/**
+ * Split a namespace into its database and collection name
+ * @param  {string} ns A namespace of the form database.collection
+ * @return {object}    An object with a db and coll property
+ * @private
+ */
+function splitNamespace (ns) {
+  const index = ns.indexOf('.')
+  return index === -1
+    ? { db: ns, coll: null }
+    : { db: ns.slice(0, index), coll: ns.slice(index + 1) }
+}
+
+module.exports = {
+  decodeCommand,
+  splitNamespace
+}
@@ -0,0 +1,347 @@
+'use strict'
+
+let mongodb = require('mongodb')
+
+/**
+ * The options of the Extended JSON helpers
+ * @typedef {object} EJSONOptions
+ * @property {?boolean} relaxed Serialize numbers and dates as plain JSON where that loses no information, and deserialize int32 and double wrappers into javascript numbers (defaults to true)
+ * @public
+ */
+
+const INT32_MIN = -0x80000000
+const INT32_MAX = 0x7fffffff
+const MAX_SAFE_LONG = mongodb.Long.fromNumber(Number.MAX_SAFE_INTEGER)
+
+// The range of dates that relaxed mode writes as ISO-8601 strings
+const ISO_DATE_MIN = Date.UTC(1970, 0, 1)
+const ISO_DATE_MAX = Date.UTC(10000, 0, 1)
+
+// The keys of the wrappers deserialize() converts, besides $ref and $id, which DBRefs can combine with other fields
+const WRAPPERS = {
+  $oid: ['$oid'],
+  $timestamp: ['$timestamp'],
+  $numberInt: ['$numberInt'],
+  $numberLong: ['$numberLong'],
+  $numberDouble: ['$numberDouble'],
+  $numberDecimal: ['$numberDecimal'],
+  $binary: ['$binary', '$type'],
+  $date: ['$date'],
+  $regularExpression: ['$regularExpression'],
+  $code: ['$code', '$scope'],
+  $symbol: ['$symbol'],
+  $minKey: ['$minKey'],
+  $maxKey: ['$maxKey']
+}
+
+/**
+ * Convert a value with BSON types into its MongoDB Extended JSON v2 representation
+ * @example
+ * emitter.on('insert', (op) => log.write(JSON.stringify(OplogEmitter.EJSON.serialize(op, { relaxed: false })) + '\n'))
+ *
+ * @param  {*}             value   A document, an oplog entry or any other value
+ * @param  {?EJSONOptions} options Whether to use relaxed or canonical mode (canonical keeps the type of every number)
+ * @return {*}                     A value made up of plain objects, arrays, strings, numbers, booleans and null
+ * @public
+ */
+function serialize (value, options) {
+  const relaxed = !options || options.relaxed !== false
+  return serializeValue(value, relaxed)
+}
+
+/**
+ * Serialize a value as a MongoDB Extended JSON v2 string
+ * @param  {*}             value   A document, an oplog entry or any other value
+ * @param  {?EJSONOptions} options Whether to use relaxed or canonical mode
+ * @return {string}                The Extended JSON
+ * @public
+ */
+function stringify (value, options) {
+  return JSON.stringify(serialize(value, options))
+}
+
+/**
+ * Convert the Extended JSON representation of a value (canonical, relaxed or legacy) back into BSON types:
+ * ObjectIDs, Timestamps, Longs, Decimal128s, Binaries, Dates, regular expressions and so on
+ * @example
+ * lines.forEach((line) => collection.insertOne(OplogEmitter.EJSON.parse(line).o))
+ *
+ * @param  {*}             value   The Extended JSON representation, as returned by serialize() or JSON.parse()
+ * @param  {?EJSONOptions} options With relaxed: false, $numberInt and $numberDouble become Int32 and Double instead of numbers
+ * @return {*}                     The value with BSON types
+ * @throws {TypeError}             when a wrapper such as $oid has an invalid value
+ * @public
+ */
+function deserialize (value, options) {
+  const relaxed = !options || options.relaxed !== false
+  return deserializeValue(value, relaxed)
+}
+
+/**
+ * Parse a MongoDB Extended JSON string
+ * @param  {string}        text    The Extended JSON
+ * @param  {?EJSONOptions} options Whether int32 and double wrappers become numbers
+ * @return {*}                     The value with BSON types
+ * @throws {SyntaxError}           when the text is not valid JSON
+ * @public
+ */
+function parse (text, options) {
+  return deserialize(JSON.parse(text), options)
+}
+
+/**
+ * Convert a single value
+ * @param  {*}       value   The value
+ * @param  {boolean} relaxed True for relaxed mode, false for canonical mode
+ * @return {*}               The Extended JSON representation
+ * @private
+ */
+function serializeValue (value, relaxed) {
+  if (value === null || value === undefined || typeof value === 'string' || typeof value === 'boolean') return value
+  if (typeof value === 'number') return serializeNumber(value, relaxed)
+  if (Array.isArray(value)) return value.map((item) => item === undefined ? null : serializeValue(item, relaxed))
+  if (value instanceof Date) return serializeDate(value, relaxed)
+  if (value instanceof RegExp) return { $regularExpression: { pattern: value.source, options: regExpOptions(value) } }
+  if (Buffer.isBuffer(value)) return { $binary: { base64: value.toString('base64'), subType: '00' } }
+  if (typeof value === 'object' && typeof value._bsontype === 'string') return serializeBSON(value, relaxed)
+  if (typeof value === 'object') return serializeDocument(value, relaxed)
+  return undefined
+}
+
+/**
+ * Convert the fields of a document, leaving out undefined values like JSON.stringify does
+ * @param  {object}  document The document
+ * @param  {boolean} relaxed  True for relaxed mode
+ * @return {object}           The Extended JSON representation
+ * @private
+ */
+function serializeDocument (document, relaxed) {
+  return Object.keys(document).reduce((result, key) => {
+    const value = serializeValue(document[key], relaxed)
+    if (value !== undefined) result[key] = value
+    return result
+  }, {})
+}
+
+/**
+ * Convert a javascript number, which is an int32 if it is an integer in range and a double otherwise
+ * @param  {number}  value   The number
+ * @param  {boolean} relaxed True for relaxed mode, which only wraps numbers JSON cannot represent
+ * @return {*}               The number or a $numberInt or $numberDouble wrapper
+ * @private
+ */
+function serializeNumber (value, relaxed) {
+  if (relaxed && isFinite(value)) return value
+  if (!relaxed && Math.floor(value) === value && value >= INT32_MIN && value <= INT32_MAX && !isNegativeZero(value)) {
+    return { $numberInt: String(value) }
+  }
+  return { $numberDouble: formatDouble(value) }
+}
+
+/**
+ * Convert a Date: relaxed mode writes dates between 1970 and 9999 as ISO-8601 strings
+ * @param  {Date}    value   The date
+ * @param  {boolean} relaxed True for relaxed mode
+ * @return {object}          A $date wrapper
+ * @private
+ */
+function serializeDate (value, relaxed) {
+  const time = value.getTime()
+  if (relaxed && time >= ISO_DATE_MIN && time < ISO_DATE_MAX) return { $date: value.toISOString() }
+  return { $date: { $numberLong: String(time) } }
+}
+
+/**
+ * Convert an instance of one of the types of the bson module
+ * @param  {object}  value   The BSON value, identified by its _bsontype
+ * @param  {boolean} relaxed True for relaxed mode
+ * @return {object}          The Extended JSON representation
+ * @private
+ */
+function serializeBSON (value, relaxed) {
+  switch (value._bsontype) {
+    case 'ObjectID':
+    case 'ObjectId':
+      return { $oid: value.toHexString() }
+    case 'Timestamp':
+      return { $timestamp: { t: value.getHighBits() >>> 0, i: value.getLowBits() >>> 0 } }
+    case 'Long':
+      // Relaxed mode keeps longs that a javascript number cannot hold exactly wrapped
+      return relaxed && isSafeLong(value) ? value.toNumber() : { $numberLong: value.toString() }
+    case 'Int32':
+      return relaxed ? value.valueOf() : { $numberInt: String(value.valueOf()) }
+    case 'Double':
+      return relaxed && isFinite(value.valueOf()) ? value.valueOf() : { $numberDouble: formatDouble(value.valueOf()) }
+    case 'Decimal128':
+      return { $numberDecimal: value.toString() }
+    case 'Binary':
+      return { $binary: { base64: value.value(true).toString('base64'), subType: ('0' + value.sub_type.toString(16)).slice(-2) } }
+    case 'Code':
+      return value.scope ? { $code: value.code, $scope: serializeValue(value.scope, relaxed) } : { $code: value.code }
+    case 'DBRef': {
+      const ref = { $ref: value.namespace, $id: serializeValue(value.oid, relaxed) }
+      if (value.db) ref.$db = value.db
+      return ref
+    }
+    case 'BSONRegExp':
+      return { $regularExpression: { pattern: value.pattern, options: value.options.split('').sort().join('') } }
+    case 'Symbol':
+      return { $symbol: value.value }
+    case 'MinKey':
+      return { $minKey: 1 }
+    case 'MaxKey':
+      return { $maxKey: 1 }
+    default:
+      throw new TypeError(`Cannot convert the BSON type ${value._bsontype} to Extended JSON`)
+  }
+}
+
+/**
+ * Convert a single value from its Extended JSON representation
+ * @param  {*}       value   The value
+ * @param  {boolean} relaxed True to turn int32 and double wrappers into numbers
+ * @return {*}               The value with BSON types
+ * @private
+ */
+function deserializeValue (value, relaxed) {
+  if (Array.isArray(value)) return value.map((item) => deserializeValue(item, relaxed))
+  if (typeof value !== 'object' || value === null) return value
+  // Values that already have BSON types are left alone
+  if (typeof value._bsontype === 'string' || value instanceof Date || value instanceof RegExp || Buffer.isBuffer(value)) return value
+
+  const keys = Object.keys(value)
+  const wrapper = keys.length > 0 && WRAPPERS[keys[0]]
+  if (wrapper && keys.every((key) => wrapper.indexOf(key) !== -1)) return deserializeWrapper(value, keys[0], relaxed)
+  if (typeof value.$ref === 'string' && value.$id !== undefined) {
+    return new mongodb.DBRef(value.$ref, deserializeValue(value.$id, relaxed), value.$db)
+  }
+
+  return keys.reduce((result, key) => {
+    result[key] = deserializeValue(value[key], relaxed)
+    return result
+  }, {})
+}
+
+/**
+ * Convert a wrapper such as { $oid: '...' } into the BSON type it represents
+ * @param  {object}  value   The wrapper
+ * @param  {string}  type    Its first key, which identifies the type
+ * @param  {boolean} relaxed True to turn int32 and double wrappers into numbers
+ * @return {*}               The BSON value
+ * @throws {TypeError}       when the wrapper has an invalid value
+ * @private
+ */
+function deserializeWrapper (value, type, relaxed) {
+  const content = value[type]
+  const invalid = () => new TypeError(`Invalid Extended JSON ${type}: ${JSON.stringify(content)}`)
+
+  switch (type) {
+    case '$oid':
+      if (typeof content !== 'string' || !/^[0-9a-fA-F]{24}$/.test(content)) throw invalid()
+      return new mongodb.ObjectID(content)
+    case '$timestamp':
+      if (typeof content !== 'object' || content === null || typeof content.t !== 'number' || typeof content.i !== 'number') throw invalid()
+      return new mongodb.Timestamp(content.i, content.t)
+    case '$numberInt':
+      if (typeof content !== 'string' || !/^-?\d+$/.test(content)) throw invalid()
+      return relaxed ? Number(content) : new mongodb.Int32(Number(content))
+    case '$numberLong':
+      if (typeof content !== 'string' || !/^-?\d+$/.test(content)) throw invalid()
+      return mongodb.Long.fromString(content)
+    case '$numberDouble':
+      if (typeof content !== 'string' || (isNaN(content) && content !== 'NaN')) throw invalid()
+      return relaxed ? Number(content) : new mongodb.Double(Number(content))
+    case '$numberDecimal':
+      if (typeof content !== 'string') throw invalid()
+      return mongodb.Decimal128.fromString(content)
+    case '$binary':
+      // Legacy Extended JSON puts the base64 in $binary and the subtype in $type
+      if (typeof content === 'string' && typeof value.$type === 'string') return new mongodb.Binary(Buffer.from(content, 'base64'), parseInt(value.$type, 16))
+      if (typeof content !== 'object' || content === null || typeof content.base64 !== 'string' || typeof content.subType !== 'string') throw invalid()
+      return new mongodb.Binary(Buffer.from(content.base64, 'base64'), parseInt(content.subType, 16))
+    case '$date':
+      return deserializeDate(content, invalid)
+    case '$regularExpression':
+      if (typeof content !== 'object' || content === null || typeof content.pattern !== 'string' || typeof content.options !== 'string') throw invalid()
+      // RegExp only knows the i and m flags of mongodb
+      if (/^[im]*$/.test(content.options)) return new RegExp(content.pattern, content.options)
+      return new mongodb.BSONRegExp(content.pattern, content.options)
+    case '$code':
+      if (typeof content !== 'string') throw invalid()
+      return new mongodb.Code(content, value.$scope === undefined ? undefined : deserializeValue(value.$scope, relaxed))
+    case '$symbol':
+      if (typeof content !== 'string') throw invalid()
+      return new mongodb.Symbol(content)
+    case '$minKey':
+      return new mongodb.MinKey()
+    case '$maxKey':
+      return new mongodb.MaxKey()
+  }
+}
+
+/**
+ * Convert the content of a $date wrapper
+ * @param  {*}        content An ISO-8601 string, a $numberLong wrapper or (legacy) a number of milliseconds
+ * @param  {function} invalid Creates the error for an invalid value
+ * @return {Date}             The date
+ * @throws {TypeError}        when the content is none of these
+ * @private
+ */
+function deserializeDate (content, invalid) {
+  let time = NaN
+  if (typeof content === 'string') time = Date.parse(content)
+  else if (typeof content === 'number') time = content
+  else if (content && typeof content.$numberLong === 'string') time = Number(content.$numberLong)
+  if (isNaN(time)) throw invalid()
+  return new Date(time)
+}
+
+/**
+ * Format a double for a $numberDouble wrapper, which always has a decimal point or an exponent
+ * @param  {number} value The number
+ * @return {string}       The formatted number, or Infinity, -Infinity or NaN
+ * @private
+ */
+function formatDouble (value) {
+  if (!isFinite(value)) return String(value)
+  if (isNegativeZero(value)) return '-0.0'
+  const formatted = String(value)
+  return /[.e]/.test(formatted) ? formatted : `${formatted}.0`
+}
+
+/**
+ * Whether a Long fits in a javascript number without losing precision
+ * @param  {Long}    value The long
+ * @return {boolean}       True if it is within Number.MAX_SAFE_INTEGER of 0
+ * @private
+ */
+function isSafeLong (value) {
+  return value.lessThanOrEqual(MAX_SAFE_LONG) && value.greaterThanOrEqual(MAX_SAFE_LONG.negate())
+}
+
+/**
+ * Whether a number is -0, which JSON cannot represent
+ * @param  {number}  value The number
+ * @return {boolean}       True for -0
+ * @private
+ */
+function isNegativeZero (value) {
+  return value === 0 && 1 / value < 0
+}
+
+/**
+ * The flags of a regular expression in the form Extended JSON expects
+ * @param  {RegExp} regexp The regular expression
+ * @return {string}        The flags that have a BSON equivalent, in alphabetical order
+ * @private
+ */
+function regExpOptions (regexp) {
+  return (regexp.ignoreCase ? 'i' : '') + (regexp.multiline ? 'm' : '')
+}
+
+module.exports = {
+  deserialize,
+  parse,
+  serialize,
+  stringify
+}
@@ -0,0 +1,198 @@
+'use strict'
+
+let compileQuery = require('./query').compileQuery
+let isOplogQuery = require('./query').isOplogQuery
+let normalize = require('./normalize').normalize
+
+const OPERATION_TYPES = {
+  i: 'insert',
+  u: 'update',
+  d: 'delete',
+  c: 'command',
+  n: 'noop'
+}
+
+const ALL_TYPES = Object.keys(OPERATION_TYPES).map((op) => OPERATION_TYPES[op])
+
+/**
+ * Which oplog entries to emit. Namespaces are written as 'database.collection'; a namespace containing `*` (any
+ * characters) or `?` (one character) is a glob, e.g. 'shop.*' or 'logs.day_?'. Regular expressions are used as they are.
+ * @typedef {object} Filter
+ * @property {?Array<string|RegExp>} namespaces Only emit entries of these namespaces (defaults to all namespaces)
+ * @property {?Array<string|RegExp>} exclude    Never emit entries of these namespaces
+ * @property {?Array<string>} operations        Only emit these types of entries: insert, update, delete, command and noop (defaults to all)
+ * @property {?Query} match                     Only emit inserts, updates and deletes matching this query (on the NormalizedEvent with format 'normalized')
+ * @property {?function} where                  Only emit inserts, updates and deletes for which this function, called with the entry, returns true
+ * @public
+ */
+
+/**
+ * Validate the filter option and compile it, together with the database and collection options, into matchers
+ * @param  {OplogOptions} args The constructor options, with defaults for database and collection
+ * @return {object}            The compiled filter
+ * @throws {TypeError}         The filter must have the specified types
+ * @private
+ */
+function createFilter (args) {
+  const filter = args.filter === undefined ? {} : args.filter
+  if (typeof filter !== 'object' || filter === null) throw new TypeError('filter should be an object')
+
+  let include = null
+  if (filter.namespaces !== undefined) {
+    if (args.database !== '.*' || args.collection !== '.*') throw new TypeError('database and collection cannot be combined with filter.namespaces')
+    include = compileNamespaces(filter.namespaces, 'filter.namespaces')
+  } else if (args.database !== '.*' || args.collection !== '.*') {
+    const namespace = new RegExp(`^(?:${args.database})\\.(?:${args.collection})$`)
+    include = [{ namespace, database: new RegExp(`^(?:${args.database})$`), query: namespace }]
+  }
+
+  const exclude = filter.exclude === undefined ? [] : compileNamespaces(filter.exclude, 'filter.exclude')
+
+  const operations = filter.operations === undefined ? ALL_TYPES : filter.operations
+  if (!Array.isArray(operations) || operations.some((type) => ALL_TYPES.indexOf(type) === -1)) {
+    throw new TypeError('filter.operations should be an array of insert, update, delete, command and noop')
+  }
+
+  if (filter.where !== undefined && typeof filter.where !== 'function') throw new TypeError('filter.where should be a function')
+
+  const match = filter.match === undefined ? null : compileQuery(filter.match, 'filter.match')
+  // The server only gets the queries on `o` it evaluates the same way, the emitter still evaluates every query
+  const matchQuery = match !== null && args.format !== 'normalized' && isOplogQuery(filter.match) ? filter.match : null
+
+  return { include, exclude, operations, match, matchQuery, normalized: args.format === 'normalized', where: filter.where || null }
+}
+
+/**
+ * Compile a list of namespaces, globs and regular expressions into matchers
+ * @param  {Array<string|RegExp>} namespaces The namespaces
+ * @param  {string}               name       The name of the option, for the error message
+ * @return {Array<object>}                   Matchers with a namespace and database RegExp and the value for the find() query
+ * @throws {TypeError}                       The namespaces must be strings or regular expressions
+ * @private
+ */
+function compileNamespaces (namespaces, name) {
+  if (!Array.isArray(namespaces)) throw new TypeError(`${name} should be an array of strings and regular expressions`)
+
+  return namespaces.map((pattern) => {
+    if (pattern instanceof RegExp) {
+      // The global and sticky flags make test() stateful
+      const namespace = new RegExp(pattern.source, (pattern.ignoreCase ? 'i' : '') + (pattern.multiline ? 'm' : ''))
+      return { namespace, database: null, query: namespace }
+    }
+    if (typeof pattern !== 'string') throw new TypeError(`${name} should be an array of strings and regular expressions`)
+
+    const namespace = globToRegExp(pattern)
+    const database = globToRegExp(pattern.split('.')[0])
+    return { namespace, database, query: /[*?]/.test(pattern) ? namespace : pattern }
+  })
+}
+
+/**
+ * Convert a glob into an anchored regular expression
+ * @param  {string} glob A pattern in which `*` matches any characters and `?` matches one character
+ * @return {RegExp}      The equivalent regular expression
+ * @private
+ */
+function globToRegExp (glob) {
+  const source = glob
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.')
+  return new RegExp(`^${source}$`)
+}
+
+/**
+ * Check whether a namespace is included and not excluded
+ * @param  {object}  filter The compiled filter
+ * @param  {string}  ns     A namespace of the form database.collection
+ * @return {boolean}        True if the entries of this namespace should be emitted
+ * @private
+ */
+function matchesNamespace (filter, ns) {
+  if (filter.include !== null && !filter.include.some((matcher) => matcher.namespace.test(ns))) return false
+  return !filter.exclude.some((matcher) => matcher.namespace.test(ns))
+}
+
+/**
+ * Check whether an insert, update, delete or an undecoded command passes the filter
+ * @param  {object}  filter The compiled filter
+ * @param  {object}  entry  An oplog entry or an operation of a transaction
+ * @return {boolean}        True if the entry should be emitted
+ * @private
+ */
+function matchesOperation (filter, entry) {
+  const type = OPERATION_TYPES[entry.op]
+  if (filter.operations.indexOf(type) === -1) return false
+  if (!matchesNamespace(filter, entry.ns)) return false
+  if (type === 'command') return true
+  if (filter.match !== null && !filter.match(filter.normalized ? normalize(entry) : entry)) return false
+  return filter.where === null || !!filter.where(entry)
+}
+
+/**
+ * Check whether a command passes the filter. A command on a whole database (dropDatabase) is emitted if any of the
+ * included namespaces can be in that database; a rename if either the source or the target namespace passes.
+ * @param  {object}       filter       The compiled filter
+ * @param  {CommandEvent} commandEvent A decoded command
+ * @return {boolean}                   True if the command event should be emitted
+ * @private
+ */
+function matchesCommand (filter, commandEvent) {
+  if (commandEvent.operationType === 'noop') return filter.operations.indexOf('noop') !== -1
+  if (filter.operations.indexOf('command') === -1) return false
+
+  if (commandEvent.coll === null) {
+    return filter.include === null || filter.include.some((matcher) => matcher.database === null || matcher.database.test(commandEvent.db))
+  }
+  if (matchesNamespace(filter, `${commandEvent.db}.${commandEvent.coll}`)) return true
+  return !!commandEvent.to && matchesNamespace(filter, `${commandEvent.to.db}.${commandEvent.to.coll}`)
+}
+
+/**
+ * Compile filters into conditions for the find() query on the oplog, so most entries that pass none of them never leave
+ * the server. Commands and transactions are always read (their namespaces are checked afterwards), as are noops,
+ * which keep the timestamp of the emitter moving while the oplog is idle and let the oplogs of shards be merged.
+ * @param  {Array<object>} filters The compiled filters, of which an entry has to pass at least one
+ * @return {object}                Conditions to add to the query, empty if every entry passes
+ * @private
+ */
+function toQuery (filters) {
+  const crud = filters.map(crudQuery)
+  if (crud.some((branch) => branch === true)) return {}
+
+  let branches = [{ op: 'n' }]
+  if (filters.some((filter) => filter.operations.indexOf('command') !== -1)) branches.push({ op: 'c' })
+  else if (crud.some((branch) => branch !== null)) branches.push({ op: 'c', ns: 'admin.$cmd' })
+
+  return { $or: branches.concat(crud.filter((branch) => branch !== null)) }
+}
+
+/**
+ * Compile the namespaces, operation types and the match query (if it only references `o`) of a filter into a query for
+ * inserts, updates and deletes
+ * @param  {object}        filter The compiled filter
+ * @return {?object|boolean}      The query, null if no inserts, updates or deletes pass, true if every entry passes
+ * @private
+ */
+function crudQuery (filter) {
+  const crud = ['i', 'u', 'd'].filter((op) => filter.operations.indexOf(OPERATION_TYPES[op]) !== -1)
+  if (crud.length === 0) return null
+  if (crud.length === 3 && filter.operations.indexOf('command') !== -1 && filter.include === null && filter.exclude.length === 0 && filter.matchQuery === null) return true
+
+  let query = { op: { $in: crud } }
+  let ns = {}
+  if (filter.include !== null) ns.$in = filter.include.map((matcher) => matcher.query)
+  if (filter.exclude.length > 0) ns.$nin = filter.exclude.map((matcher) => matcher.query)
+  if (Object.keys(ns).length > 0) query.ns = ns
+  if (filter.matchQuery !== null) query.$and = [filter.matchQuery]
+  return query
+}
+
+module.exports = {
+  compileNamespaces,
+  createFilter,
+  matchesCommand,
+  matchesNamespace,
+  matchesOperation,
+  toQuery
+}
@@ -0,0 +1,387 @@
+// Type definitions for oplog-emitter
+// Keep in sync with the JSDoc typedefs in lib/*.js: test/typings.js compares their properties.
+
+/// <reference types="node" />
+
+import { EventEmitter } from 'events'
+import { Readable, ReadableOptions } from 'stream'
+import { Collection, Db, MongoClient, MongoClientOptions, Timestamp } from 'mongodb'
+
+declare namespace OplogEmitter {
+  type Document = { [key: string]: any }
+  type Format = 'raw' | 'normalized'
+  type EJSONMode = 'relaxed' | 'canonical'
+  type Query = { [path: string]: any }
+
+  interface OplogOptions<F extends Format = Format, M extends EJSONMode | undefined = EJSONMode | undefined, A extends boolean = boolean> {
+    oplogURL?: string
+    client?: MongoClient
+    db?: Db
+    mongoOptions?: MongoClientOptions
+    readPreference?: 'primary' | 'primaryPreferred' | 'secondary' | 'secondaryPreferred' | 'nearest'
+    getLastTimestamp?: TimestampGenerator
+    database?: string
+    collection?: string
+    filter?: Filter
+    credentials?: Credentials
+    tls?: boolean | TLSOptions
+    retries?: number
+    logger?: Logger
+    logLevel?: 'debug' | 'info' | 'warn' | 'error'
+    /** Called with the message and its fields, at every level unless logLevel is set. @deprecated use logger */
+    log?: (message: string, fields: object) => void
+    timestampTimeout?: number
+    checkpoint?: CheckpointStore
+    checkpointInterval?: number
+    checkpointCount?: number
+    acknowledge?: A
+    concurrency?: number
+    format?: F
+    source?: 'oplog' | 'changeStream'
+    getResumeToken?: ResumeTokenGenerator
+    sharded?: boolean
+    shardRefreshInterval?: number
+    includeMigrations?: boolean
+    fullDocument?: 'default' | 'updateLookup'
+    replay?: ReplayOptions
+    rollover?: 'fail' | 'continue'
+    rolloverCheckInterval?: number
+    metricsInterval?: number
+    ejson?: M
+    project?: string[]
+    redact?: string[]
+    historySize?: number
+  }
+
+  interface Credentials {
+    username?: string
+    password?: string
+    mechanism?: 'SCRAM-SHA-1' | 'SCRAM-SHA-256' | 'MONGODB-X509' | 'PLAIN' | 'GSSAPI'
+    authSource?: string
+  }
+
+  interface TLSOptions {
+    ca?: string | Buffer | Array<string | Buffer>
+    cert?: string | Buffer
+    key?: string | Buffer
+    passphrase?: string
+  }
+
+  interface Filter {
+    namespaces?: Array<string | RegExp>
+    exclude?: Array<string | RegExp>
+    operations?: Array<'insert' | 'update' | 'delete' | 'command' | 'noop'>
+    match?: Query
+    where?: (entry: OplogEntry) => boolean
+  }
+
+  interface ReplayOptions {
+    start: Timestamp | Date
+    end: Timestamp | Date
+  }
+
+  interface CheckpointStore {
+    load (): Promise<Timestamp | null> | Timestamp | null
+    save (timestamp: Timestamp, resumeToken?: object): Promise<unknown> | void
+    loadResumeToken? (): Promise<object | null> | object | null
+  }
+
+  interface Logger {
+    debug (fields: object, message?: string): void
+    info (fields: object, message?: string): void
+    warn (fields: object, message?: string): void
+    error (fields: object, message?: string): void
+  }
+
+  type TimestampGenerator = () => Promise<Timestamp>
+  type ResumeTokenGenerator = () => Promise<object | null>
+
+  interface BaseEntry {
+    ts: Timestamp
+    ns: string
+    h?: unknown
+    v?: number
+    t?: unknown
+    wall?: Date
+    ui?: unknown
+    fromMigrate?: boolean
+    lsid?: Document
+    txnNumber?: unknown
+    endOfTransaction?: boolean
+    resumeToken?: Document
+  }
+
+  interface InsertEntry extends BaseEntry {
+    op: 'i'
+    o: Document
+    o2?: Document
+  }
+
+  interface UpdateEntry extends BaseEntry {
+    op: 'u'
+    o: Document
+    o2: Document
+    fullDocument?: Document | null
+  }
+
+  interface DeleteEntry extends BaseEntry {
+    op: 'd'
+    o: Document
+  }
+
+  interface CommandEntry extends BaseEntry {
+    op: 'c'
+    o: Document
+  }
+
+  interface NoopEntry extends BaseEntry {
+    op: 'n'
+    o: Document
+  }
+
+  type OplogEntry = InsertEntry | UpdateEntry | DeleteEntry | CommandEntry | NoopEntry
+
+  interface UpdateDescription {
+    updatedFields: Document
+    removedFields: string[]
+    truncatedArrays: Array<{ field: string, newSize: number }>
+  }
+
+  interface NormalizedEvent {
+    operationType: 'insert' | 'update' | 'replace' | 'delete' | 'command'
+    db: string
+    coll: string | null
+    documentKey: Document | null
+    fullDocument: Document | null
+    updateDescription: UpdateDescription | null
+    ts: Timestamp
+    wallTime: Date | null
+    raw: OplogEntry
+    lsid?: Document
+    txnNumber?: unknown
+    endOfTransaction?: boolean
+  }
+
+  type CommandName = 'drop' | 'dropDatabase' | 'create' | 'renameCollection' | 'createIndexes' | 'dropIndexes' | 'collMod'
+
+  interface CommandEvent {
+    operationType: CommandName | 'noop'
+    db: string | null
+    coll: string | null
+    to?: { db: string, coll: string }
+    ts: Timestamp
+    command: Document
+    raw: CommandEntry | NoopEntry
+  }
+
+  /** With the ejson option, payloads are their Extended JSON representation */
+  type Serialized<M extends EJSONMode | undefined, T> = M extends EJSONMode ? Document : T
+  type Payload<F extends Format, Entry, M extends EJSONMode | undefined = undefined> = Serialized<M, F extends 'normalized' ? NormalizedEvent : Entry>
+
+  interface TransactionEvent<F extends Format = 'raw'> {
+    ts: Timestamp
+    lsid: Document
+    txnNumber: unknown
+    operations: Array<Payload<F, OplogEntry>>
+  }
+
+  interface ReplaySummary {
+    start: Timestamp
+    end: Timestamp
+    count: number
+    operations: { insert: number, update: number, delete: number, command: number, noop: number }
+    first: Timestamp | null
+    last: Timestamp | null
+  }
+
+  interface Stats {
+    events: { insert: number, update: number, delete: number, command: number, noop: number }
+    filtered: number
+    processed: Timestamp | null
+    processedAt: Date | null
+    newest: Timestamp | null
+    oldest: Timestamp | null
+    lag: number | null
+    window: number | null
+    reconnects: number
+  }
+
+  /** Call with an error to fail the entry, only passed to listeners that accept it in acknowledge mode */
+  type Ack = (error?: Error) => void
+  /** Listeners of an emitter created with `acknowledge: true` always receive an Ack, other listeners never do */
+  type Listener<T, A extends boolean = boolean> = [A] extends [true]
+    ? (payload: T, ack: Ack) => void | PromiseLike<unknown>
+    : (payload: T, ack?: Ack) => void | PromiseLike<unknown>
+
+  /** The events fired by both an OplogEmitter and its subscriptions */
+  interface EntryEvents<F extends Format = 'raw', M extends EJSONMode | undefined = undefined, A extends boolean = false> {
+    op: Listener<Serialized<M, F extends 'normalized' ? NormalizedEvent | CommandEvent : OplogEntry>, A>
+    insert: Listener<Payload<F, InsertEntry, M>, A>
+    update: Listener<Payload<F, UpdateEntry, M>, A>
+    delete: Listener<Payload<F, DeleteEntry, M>, A>
+    transaction: Listener<Serialized<M, TransactionEvent<F>>, A>
+    drop: Listener<Serialized<M, CommandEvent>, A>
+    dropDatabase: Listener<Serialized<M, CommandEvent>, A>
+    create: Listener<Serialized<M, CommandEvent>, A>
+    renameCollection: Listener<Serialized<M, CommandEvent>, A>
+    createIndexes: Listener<Serialized<M, CommandEvent>, A>
+    dropIndexes: Listener<Serialized<M, CommandEvent>, A>
+    collMod: Listener<Serialized<M, CommandEvent>, A>
+    noop: Listener<Serialized<M, CommandEvent>, A>
+    close: () => void
+  }
+
+  interface Events<F extends Format = 'raw', M extends EJSONMode | undefined = undefined, A extends boolean = false> extends EntryEvents<F, M, A> {
+    error: (error: Error) => void
+    reconnecting: (timestamp: Timestamp) => void
+    reconnected: (timestamp: Timestamp) => void
+    processed: (timestamp: Timestamp) => void
+    end: (summary: ReplaySummary) => void
+    oplogRollover: (error: OplogRolloverError) => void
+    rollback: (rollback: RollbackEvent) => void
+    metrics: (stats: Stats) => void
+  }
+
+  class Subscription<F extends Format = 'raw', M extends EJSONMode | undefined = undefined, A extends boolean = false> extends EventEmitter {
+    unwatch (): void
+
+    on<E extends keyof EntryEvents<F, M, A>> (event: E, listener: EntryEvents<F, M, A>[E]): this
+    on<E extends string | symbol> (event: Exclude<E, keyof EntryEvents<F, M, A>>, listener: (...args: any[]) => void): this
+    once<E extends keyof EntryEvents<F, M, A>> (event: E, listener: EntryEvents<F, M, A>[E]): this
+    once<E extends string | symbol> (event: Exclude<E, keyof EntryEvents<F, M, A>>, listener: (...args: any[]) => void): this
+    addListener<E extends keyof EntryEvents<F, M, A>> (event: E, listener: EntryEvents<F, M, A>[E]): this
+    addListener<E extends string | symbol> (event: Exclude<E, keyof EntryEvents<F, M, A>>, listener: (...args: any[]) => void): this
+    prependListener<E extends keyof EntryEvents<F, M, A>> (event: E, listener: EntryEvents<F, M, A>[E]): this
+    prependListener<E extends string | symbol> (event: Exclude<E, keyof EntryEvents<F, M, A>>, listener: (...args: any[]) => void): this
+    removeListener<E extends keyof EntryEvents<F, M, A>> (event: E, listener: EntryEvents<F, M, A>[E]): this
+    removeListener<E extends string | symbol> (event: Exclude<E, keyof EntryEvents<F, M, A>>, listener: (...args: any[]) => void): this
+  }
+
+  class FileCheckpointStore implements CheckpointStore {
+    constructor (file: string)
+    load (): Promise<Timestamp | null>
+    loadResumeToken (): Promise<object | null>
+    save (timestamp: Timestamp, resumeToken?: object): Promise<void>
+  }
+
+  class MongoCheckpointStore implements CheckpointStore {
+    constructor (collection: Collection, id?: string)
+    load (): Promise<Timestamp | null>
+    loadResumeToken (): Promise<object | null>
+    save (timestamp: Timestamp, resumeToken?: object): Promise<void>
+  }
+
+  class OplogRolloverError extends Error {
+    constructor (requested: Timestamp, oldest: Timestamp)
+    code: 'oplogRollover'
+    requested: Timestamp
+    oldest: Timestamp
+  }
+
+  interface RollbackEvent {
+    commonPoint: Timestamp
+    timestamps: Timestamp[]
+    namespaces: string[]
+    documents: Array<{ ns: string, _id: any }>
+  }
+
+  interface SinkMessage {
+    topic: string
+    key: string
+    value: string
+    event: OplogEntry | NormalizedEvent | Document
+  }
+
+  interface Sink {
+    send (messages: SinkMessage[]): PromiseLike<unknown>
+    close? (): PromiseLike<unknown> | void
+  }
+
+  interface SinkOptions<F extends Format = 'raw', M extends EJSONMode | undefined = undefined> {
+    topic?: string | ((event: Payload<F, InsertEntry | UpdateEntry | DeleteEntry, M>, namespace: string) => string)
+    topics?: { [namespace: string]: string }
+    key?: (event: Payload<F, InsertEntry | UpdateEntry | DeleteEntry, M>) => string
+    serialize?: (event: Payload<F, InsertEntry | UpdateEntry | DeleteEntry, M>) => string
+    events?: Array<'insert' | 'update' | 'delete'>
+    batchSize?: number
+    batchTimeout?: number
+    retries?: number
+  }
+
+  interface SinkPipe {
+    flush (): Promise<void>
+    close (): Promise<void>
+  }
+
+  class KafkaSink implements Sink {
+    constructor (options: { producer: { send (record: { topic: string, acks?: number, messages: Array<{ key: string, value: string }> }): PromiseLike<unknown> }, acks?: number })
+    send (messages: SinkMessage[]): Promise<void>
+  }
+
+  class AMQPSink implements Sink {
+    constructor (options: { channel: { publish (exchange: string, routingKey: string, content: Buffer, options?: object): boolean, waitForConfirms (): PromiseLike<unknown> }, exchange?: string })
+    send (messages: SinkMessage[]): Promise<void>
+  }
+
+  class RedisStreamSink implements Sink {
+    constructor (options: { client: { xadd (key: string, ...args: Array<string | number>): PromiseLike<unknown> }, maxLength?: number })
+    send (messages: SinkMessage[]): Promise<void>
+  }
+
+  class WebhookSink implements Sink {
+    constructor (options: { url: string, headers?: { [name: string]: string }, timeout?: number })
+    send (messages: SinkMessage[]): Promise<void>
+  }
+
+  class FileSink implements Sink {
+    constructor (options: { path: string })
+    send (messages: SinkMessage[]): Promise<void>
+    close (): Promise<void>
+  }
+
+  interface PrometheusOptions {
+    prefix?: string
+    labels?: { [name: string]: string | number }
+  }
+
+  function toPrometheus (stats: Stats, options?: PrometheusOptions): string
+
+  interface EJSONOptions {
+    relaxed?: boolean
+  }
+
+  namespace EJSON {
+    function serialize (value: unknown, options?: EJSONOptions): any
+    function stringify (value: unknown, options?: EJSONOptions): string
+    function deserialize (value: unknown, options?: EJSONOptions): any
+    function parse (text: string, options?: EJSONOptions): any
+  }
+}
+
+declare class OplogEmitter<F extends OplogEmitter.Format = 'raw', M extends OplogEmitter.EJSONMode | undefined = undefined, A extends boolean = false> extends EventEmitter {
+  constructor (args: string | OplogEmitter.OplogOptions<F, M, A>)
+
+  stop (): Promise<void>
+  close (): Promise<void>
+  pause (): this
+  resume (): this
+  stats (): OplogEmitter.Stats
+  watch (namespace: string | RegExp | Array<string | RegExp>, options?: OplogEmitter.Filter): OplogEmitter.Subscription<F, M, A>
+  /** Throws a TypeError in acknowledge mode, like the async iterator */
+  toStream (options?: ReadableOptions): Readable
+  pipe (sink: OplogEmitter.Sink, options?: OplogEmitter.SinkOptions<F, M>): OplogEmitter.SinkPipe
+  [Symbol.asyncIterator] (): AsyncIterator<OplogEmitter.Serialized<M, F extends 'normalized' ? OplogEmitter.NormalizedEvent | OplogEmitter.CommandEvent : OplogEmitter.OplogEntry>>
+
+  on<E extends keyof OplogEmitter.Events<F, M, A>> (event: E, listener: OplogEmitter.Events<F, M, A>[E]): this
+  on<E extends string | symbol> (event: Exclude<E, keyof OplogEmitter.Events<F, M, A>>, listener: (...args: any[]) => void): this
+  once<E extends keyof OplogEmitter.Events<F, M, A>> (event: E, listener: OplogEmitter.Events<F, M, A>[E]): this
+  once<E extends string | symbol> (event: Exclude<E, keyof OplogEmitter.Events<F, M, A>>, listener: (...args: any[]) => void): this
+  addListener<E extends keyof OplogEmitter.Events<F, M, A>> (event: E, listener: OplogEmitter.Events<F, M, A>[E]): this
+  addListener<E extends string | symbol> (event: Exclude<E, keyof OplogEmitter.Events<F, M, A>>, listener: (...args: any[]) => void): this
+  prependListener<E extends keyof OplogEmitter.Events<F, M, A>> (event: E, listener: OplogEmitter.Events<F, M, A>[E]): this
+  prependListener<E extends string | symbol> (event: Exclude<E, keyof OplogEmitter.Events<F, M, A>>, listener: (...args: any[]) => void): this
+  removeListener<E extends keyof OplogEmitter.Events<F, M, A>> (event: E, listener: OplogEmitter.Events<F, M, A>[E]): this
+  removeListener<E extends string | symbol> (event: Exclude<E, keyof OplogEmitter.Events<F, M, A>>, listener: (...args: any[]) => void): this
+}
+
+export = OplogEmitter
@@ -3,22 +3,69 @@
 /**
  * An object containing the configuration options of the OplogEmitter
  * @typedef {object} OplogOptions
- * @property {string} oplogURL                      A mongodb connection string to the oplog
+ * @property {?string} oplogURL                     A mongodb connection string to the oplog (required unless client or db is given)
+ * @property {?MongoClient} client                  A connected MongoClient to use instead of connecting to oplogURL (it is not closed by stop())
+ * @property {?Db} db                               A handle of the local database to tail the oplog of instead of connecting to oplogURL (it is not closed by stop())
+ * @property {?object} mongoOptions                 Options for the MongoClient, such as poolSize, timeouts or compression (overridden by credentials and tls)
+ * @property {?string} readPreference               The read preference of the tailable cursor, e.g. 'secondary' to tail the oplog of a secondary
  * @property {?TimestampGenerator} getLastTimestamp A function returning a mongodb Timestamp with the starting offset in the oplog
- * @property {?string} database                     Filter oplog events by this database name
- * @property {?string} collection                   Filter oplog events by this collection name
+ * @property {?string} database                     Filter oplog events by this database name (a regular expression matching the whole name)
+ * @property {?string} collection                   Filter oplog events by this collection name (a regular expression matching the whole name)
+ * @property {?Filter} filter                       Filter oplog events by namespaces, operation types and a predicate
  * @property {?Credentials} credentials             An object of mongodb credentials
- * @property {?number} retries                      The amount of times to retry connecting to the database (with exponential-backoff)
- * @property {?function} log                        A function which this library can use to log
+ * @property {?(boolean|TLSOptions)} tls            Connect with TLS: true, or the certificates to use
+ * @property {?number} retries                      The amount of times to retry connecting to the database (with exponential-backoff), initially and after the cursor closed, and to reopen a cursor that fails before returning an entry
+ * @property {?Logger} logger                       A leveled logger, such as a bunyan or pino logger (defaults to a bunyan logger named oplog-emitter)
+ * @property {?string} logLevel                     The minimum level logged by the default logger or log: debug, info, warn or error (defaults to 'info', and to every level for log)
+ * @property {?function} log                        A function that logs strings and their fields, used instead of logger (deprecated)
  * @property {?number} timestampTimeout             The number of milliseconds we should wait for getLastTimestamp to return a result
+ * @property {?CheckpointStore} checkpoint          A store from which the starting offset is loaded and to which processed offsets are saved
+ * @property {?number} checkpointInterval           The number of milliseconds between checkpoint saves (defaults to 1000)
+ * @property {?number} checkpointCount              The number of processed entries after which the checkpoint is saved early (defaults to 100)
+ * @property {?boolean} acknowledge                 Wait for listeners to acknowledge every entry before it counts as processed (defaults to false)
+ * @property {?number} concurrency                  The maximum number of entries awaiting acknowledgement at the same time (defaults to 1)
+ * @property {?string} format                       'raw' to emit oplog entries as they are, or 'normalized' to emit NormalizedEvents (defaults to 'raw')
+ * @property {?string} source                       'oplog' to tail local.oplog.rs, or 'changeStream' to watch a change stream (defaults to 'oplog')
+ * @property {?ResumeTokenGenerator} getResumeToken A function returning the resume token to start a change stream from
+ * @property {?boolean} sharded                     oplogURL points to mongos: tail the oplog of every shard and merge them (defaults to false)
+ * @property {?number} shardRefreshInterval         The number of milliseconds between checks for added or removed shards (defaults to 60000)
+ * @property {?boolean} includeMigrations           Emit the writes of chunk migrations (entries with fromMigrate) (defaults to false)
+ * @property {?string} fullDocument                 'updateLookup' to attach the current version of the document to updates as fullDocument (defaults to 'default')
+ * @property {?ReplayOptions} replay                Read the entries between replay.start and replay.end instead of tailing the oplog, then stop
+ * @property {?string} rollover                     'fail' to stop reading, or 'continue' to read on from the oldest entry, when entries to read are no longer in the oplog (defaults to 'fail')
+ * @property {?number} rolloverCheckInterval        The number of milliseconds between checks whether the oplog overwrote entries that were not read yet (defaults to 60000)
+ * @property {?number} metricsInterval              The number of milliseconds between metrics events (defaults to 60000)
+ * @property {?string} ejson                        'relaxed' or 'canonical' to emit payloads as their MongoDB Extended JSON representation (defaults to the payloads with BSON types)
+ * @property {?Array<string>} project               Only keep these fields (dotted paths) of the documents of inserts, updates and deletes, and their _id
+ * @property {?Array<string>} redact                Remove these fields (dotted paths) from the documents of inserts, updates and deletes
+ * @property {?number} historySize                  The number of recently read entries remembered to drop duplicates and detect rollbacks (defaults to 1000, 0 to disable)
  * @public
  */
 
 /**
- * An object with mongodb credentials of a user in the admin database
+ * An object with mongodb credentials
  * @typedef {object} Credentials
- * @property {string} username
- * @property {string} password
+ * @property {?string} username   The user name (optional for MONGODB-X509, which takes it from the client certificate)
+ * @property {?string} password   The password (not used by MONGODB-X509, optional for GSSAPI)
+ * @property {?string} mechanism  SCRAM-SHA-1, SCRAM-SHA-256, MONGODB-X509, PLAIN (LDAP) or GSSAPI (Kerberos) (defaults to the SCRAM variant the server prefers)
+ * @property {?string} authSource The database the user is defined in (defaults to admin, or $external for MONGODB-X509, PLAIN and GSSAPI)
+ * @public
+ */
+
+/**
+ * The certificates of a TLS connection, as PEM strings or Buffers
+ * @typedef {object} TLSOptions
+ * @property {?(string|Buffer|Array)} ca The certificate authorities to trust (defaults to the system's)
+ * @property {?(string|Buffer)} cert     The client certificate
+ * @property {?(string|Buffer)} key      The private key of the client certificate
+ * @property {?string} passphrase        The passphrase of the private key
+ * @public
+ */
+
+/**
+ * A function returning a promise to a change stream resume token
+ * @typedef {function} ResumeTokenGenerator
+ * @return {Promise<?object>} A promise resolving to a resume token, or null to start from getLastTimestamp instead
  * @public
  */
 
@@ -29,15 +76,169 @@
  * @public
  */
 
-let bunyan = require('bunyan')
+let acknowledge = require('./acknowledge')
+let changeStream = require('./change-stream')
+let checkpoint = require('./checkpoint')
+let command = require('./command')
 let EventEmitter = require('events')
+let filter = require('./filter')
+let logging = require('./logger')
+let DocumentLookup = require('./lookup').DocumentLookup
+let ejson = require('./ejson')
+let metrics = require('./metrics')
 let poller = require('promise-poller').default
+let projection = require('./projection')
+let replay = require('./replay')
+let EntryHistory = require('./rollback').EntryHistory
+let rollover = require('./rollover')
+let ShardedOplog = require('./shards').ShardedOplog
+let SinkPipe = require('./sink').SinkPipe
+let sinks = require('./sinks')
+let stream = require('stream')
+let Subscription = require('./subscription').Subscription
+let transaction = require('./transaction')
 let mongodb = require('mongodb')
+let normalize = require('./normalize').normalize
+let OplogRolloverError = rollover.OplogRolloverError
 let MongoClient = mongodb.MongoClient
 let Timestamp = mongodb.Timestamp
 
+let AckQueue = acknowledge.AckQueue
+let addToSummary = replay.addToSummary
+let Checkpointer = checkpoint.Checkpointer
+let createFilter = filter.createFilter
+let createProjection = projection.createProjection
+let createSummary = replay.createSummary
+let decodeCommand = command.decodeCommand
+let defaultLogger = logging.defaultLogger
+let formatTimestamp = logging.formatTimestamp
+let fromChangeEvent = changeStream.fromChangeEvent
+let functionLogger = logging.functionLogger
+let isLogger = logging.isLogger
+let isRolledOver = rollover.isRolledOver
+let matchesCommand = filter.matchesCommand
+let matchesOperation = filter.matchesOperation
+let Metrics = metrics.Metrics
+let newestTimestamp = metrics.newestTimestamp
+let oldestTimestamp = rollover.oldestTimestamp
+let openChangeStream = changeStream.openChangeStream
+let passedTimestamp = rollover.passedTimestamp
+let projectEntry = projection.projectEntry
+let redactURL = logging.redactURL
+let dispatch = acknowledge.dispatch
+let replayRange = replay.replayRange
+let toQuery = filter.toQuery
+let TransactionBuffer = transaction.TransactionBuffer
+
+const AUTH_MECHANISMS = ['SCRAM-SHA-1', 'SCRAM-SHA-256', 'MONGODB-X509', 'PLAIN', 'GSSAPI']
+
+const READ_PREFERENCES = ['primary', 'primaryPreferred', 'secondary', 'secondaryPreferred', 'nearest']
+
+const OPERATION_EVENTS = {
+  i: 'insert',
+  u: 'update',
+  d: 'delete'
+}
+
 /**
  * An event emitter that fires for every oplog entry
+ *
+ * When the tailable cursor closes, the emitter reconnects and resumes right after the last entry it read.
+ * A cursor that fails again before returning an entry counts against the retries as well, and the emitter waits longer
+ * before each of these reconnects (with exponential-backoff). An error is only emitted once all retries are exhausted.
+ *
+ * If a checkpoint store is configured, the starting offset is loaded from it (falling back to getLastTimestamp when it is empty)
+ * and the timestamp of every entry whose listeners have returned is saved to it periodically and on stop().
+ *
+ * With the acknowledge option, listeners are called with the payload and an ack callback, and an entry only counts as
+ * processed once every listener returned, resolved the promise it returned, or called ack() (if it accepts that argument).
+ * Up to `concurrency` entries are processed at the same time and reading pauses while that many are pending.
+ * The `processed` event (and the checkpoint) only advances to an entry once all entries before it are acknowledged.
+ * A listener that throws, rejects or calls ack(error) stops the emitter from reading further entries and emits the error.
+ *
+ * Transactions (`applyOps` entries, including ones split over several entries or prepared before they commit) are
+ * unwrapped: each of their operations that matches the namespace fires its own `op` and `insert`/`update`/`delete` events,
+ * annotated with the `ts`, `lsid` and `txnNumber` of the transaction and an `endOfTransaction` flag on the last one.
+ * A `transaction` event with all matching operations follows. Checkpoints never pass the start of an unfinished transaction.
+ *
+ * Commands fire a dedicated event (`drop`, `dropDatabase`, `create`, `renameCollection`, `createIndexes`, `dropIndexes`
+ * or `collMod`) with a CommandEvent payload after the `op` event. They are filtered on the collection they affect
+ * (or either collection for renames) instead of on their `database.$cmd` namespace.
+ * Noop entries don't belong to a namespace: they only fire a `noop` event, which is only filtered by operation type.
+ *
+ * The `filter` option selects entries by namespace (exact names, globs or regular expressions, with exclusions), by
+ * operation type, by a `match` query in the MongoDB query language and by a `where` predicate. Namespaces and operation
+ * types are also compiled into the query of the tailable cursor, so entries that cannot pass are not sent by the server,
+ * and so is a `match` query on fields in `o` that mongodb evaluates the same way (see Query). Noops always pass, so a
+ * shard of a sharded cluster whose entries are all filtered out still moves forward and doesn't hold back the others.
+ *
+ * The `project` and `redact` options keep or remove fields of the documents of inserts, updates and deletes before they
+ * are emitted: of the document in `o` (or the fields changed by an update), the _id in `o2` and of fullDocument. Filters
+ * still see the whole entry.
+ *
+ * With `format: 'normalized'` the `op`, `insert`, `update`, `delete` and `transaction` events carry NormalizedEvents
+ * instead of oplog entries (updates that replace the whole document have operationType `replace`),
+ * and the `op` event of a command carries its CommandEvent.
+ *
+ * With `source: 'changeStream'` the emitter watches a change stream instead of tailing the oplog, which does not require
+ * access to the local database. Change events are converted back into the oplog entries they stem from (with the resume
+ * token of the change as `resumeToken`) and fire the same events. The resume token of the last processed change is saved
+ * with the checkpoint. The stream starts after the resume token returned by getResumeToken or loaded from the checkpoint
+ * store, or else at the timestamp from the checkpoint store or getLastTimestamp (so the changes at that timestamp may be
+ * emitted again). It resumes after the last change it read when it reconnects. An `invalidate` change is emitted as an error.
+ *
+ * With `sharded: true` the emitter connects to mongos, looks up the shards in config.shards and tails the oplog of each
+ * shard, merging the entries in timestamp order. Shards that are added or removed are picked up every shardRefreshInterval.
+ * After a reconnect each shard is read from the last of its own entries, so an entry of another shard with the same
+ * timestamp is not skipped.
+ * Entries written by chunk migrations are skipped, unless includeMigrations is set.
+ *
+ * With `fullDocument: 'updateLookup'` the current version of the document is fetched for every update (batched per
+ * namespace) and attached to the payload as `fullDocument` (null if it was deleted in the meantime). Entries are still
+ * emitted in order, so an entry waits for the lookups of the entries before it. A failed lookup is emitted as an error
+ * and stops the emitter from emitting further entries. Change streams look the documents up on the server instead.
+ *
+ * Instead of an oplogURL, an existing connection can be passed in as `client` (a connected MongoClient) or `db` (a handle
+ * of the local database). The emitter then never closes it: stop() only destroys the cursor.
+ *
+ * With the `replay` option the emitter reads the entries between replay.start and replay.end (both included) with a
+ * cursor that is not tailable, and fires the same events. Once the last of them is processed it emits an `end` event
+ * with a ReplaySummary and stops. If the cursor fails before the end of the range, it resumes after the last entry it read.
+ * A listener or a lookup that fails stops the replay after emitting the error, without an `end` event.
+ *
+ * The oplog is a capped collection, so entries that were not read in time are lost. Before the cursor is opened and every
+ * rolloverCheckInterval while it is read, the timestamp to read after is compared with the oldest entry in the oplog.
+ * While the query of the cursor filters out entries on the server, that timestamp moves on to the newest entry once no
+ * entry after it matches the query, and reading from Timestamp(0, 0) starts at the oldest entry.
+ * If the oldest entry is newer, an OplogRolloverError with both timestamps is emitted as an error and the emitter stops
+ * reading, or, with `rollover: 'continue'`, it is emitted as an `oplogRollover` event and the emitter reads on from the
+ * oldest entry. This is not checked for change streams (which fail by themselves) or sharded clusters.
+ *
+ * stats() returns the number of events per operation type, the number of entries that fired no events, the last processed
+ * timestamp, the reconnects, and the lag of the last entry that was read (filtered out or not) behind the newest entry and
+ * the window of the oplog (sampled every metricsInterval, when tailing the oplog of a replica set). The same stats are emitted as a `metrics` event every metricsInterval, and
+ * OplogEmitter.toPrometheus() renders them for Prometheus.
+ *
+ * The last historySize entries that were read are remembered, so an entry that is read again after reconnecting is
+ * dropped instead of emitted twice. When the primary steps down, entries it wrote may be rolled back. On every reconnect
+ * the remembered entries are looked up in the oplog; if some of them are gone, a `rollback` event with a RollbackEvent
+ * lists the namespaces and documents their events were about, and the emitter reads on after the newest entry that is
+ * still there, so the entries the new primary wrote in their place are emitted in order. Entries before the oldest entry
+ * of the oplog were overwritten and are not reported. If this lookup fails, the emitter reconnects again as it does for a
+ * cursor that fails right away. This is not checked for change streams (which only return changes that cannot be
+ * rolled back) or sharded clusters.
+ *
+ * With `ejson: 'relaxed'` or `ejson: 'canonical'` the payloads of the events an entry fires are converted into their
+ * MongoDB Extended JSON v2 representation: plain objects that JSON.stringify() without losing the BSON types (in
+ * canonical mode including the type of every number). OplogEmitter.EJSON.deserialize() turns them back into BSON types.
+ *
+ * pipe() forwards the insert, update and delete events to a sink: Kafka, AMQP, Redis Streams, a webhook, a file or any
+ * object with a send function. Messages are batched, retried with backoff and keyed on the _id of their document, and
+ * in acknowledge mode the checkpoint only advances past an entry once the sink confirmed its delivery.
+ *
+ * The entries can also be consumed as a stream (see toStream()) or with `for await (const op of emitter)`, except in
+ * acknowledge mode: an entry in the buffer of the stream has not been processed yet, but nothing would hold back the
+ * checkpoint for it.
  * @example
  * let OplogEmitter = require('oplog-emitter');
  * let emitter = new OplogEmitter('mongodb://localhost:27017/local?authSource=admin');
@@ -54,6 +255,22 @@ let Timestamp = mongodb.Timestamp
  * @fires OplogEmitter#insert
  * @fires OplogEmitter#delete
  * @fires OplogEmitter#update
+ * @fires OplogEmitter#transaction
+ * @fires OplogEmitter#drop
+ * @fires OplogEmitter#dropDatabase
+ * @fires OplogEmitter#create
+ * @fires OplogEmitter#renameCollection
+ * @fires OplogEmitter#createIndexes
+ * @fires OplogEmitter#dropIndexes
+ * @fires OplogEmitter#collMod
+ * @fires OplogEmitter#noop
+ * @fires OplogEmitter#reconnecting
+ * @fires OplogEmitter#reconnected
+ * @fires OplogEmitter#processed
+ * @fires OplogEmitter#end
+ * @fires OplogEmitter#oplogRollover
+ * @fires OplogEmitter#rollback
+ * @fires OplogEmitter#metrics
  * @fires EventEmitter#error
  * @throws {TypeError}               when constructor arguments are not valid
  * @public
@@ -64,80 +281,798 @@ class OplogEmitter extends EventEmitter {
 
     args = validateArgs(args)
 
+    this._args = args
+    this._client = null
+    this._ownsClient = args.client === undefined && args.db === undefined
+    this._stream = null
+    this._paused = false
+    this._halted = false
+    this._backpressure = new Set()
+    this._transactions = new TransactionBuffer()
+    // Entries of different shards can have the same timestamp, term and hash
+    this._history = new EntryHistory(args.sharded ? 0 : args.historySize)
+    this._subscriptions = new Set()
+    this._stopping = null
+    this._metrics = new Metrics()
+    this._checkpointer = args.checkpoint
+      ? new Checkpointer(args.checkpoint, {
+        interval: args.checkpointInterval,
+        count: args.checkpointCount,
+        onError: (error) => this.emit('error', error)
+      })
+      : null
+    this._acks = args.acknowledge
+      ? new AckQueue({
+        concurrency: args.concurrency,
+        onCommit: (timestamp, resumeToken) => {
+          this._metrics.process(timestamp)
+          if (this._checkpointer) this._checkpointer.update(timestamp, resumeToken)
+          this.emit('processed', timestamp)
+        },
+        onError: (error) => this._halt(error),
+        onAvailable: () => this._flow()
+      })
+      : null
+    this._lookups = args.fullDocument === 'updateLookup' && args.source !== 'changeStream'
+      ? new DocumentLookup({
+        client: () => this._ready.then(() => this._client),
+        projection: args.projection,
+        onAvailable: () => this._flow()
+      })
+      : null
+    this._emitting = Promise.resolve()
+    this._wake = null
+    this._reading = false
+    const range = args.replay ? replayRange(args.replay) : null
+    this._summary = range ? createSummary(range) : null
+
     let oplog
+    let lastTimestamp
+    let lastResumeToken = null
+    // Where to read each shard of a sharded cluster from after a reconnect (see ShardedOplog)
+    const shardTimestamps = new Map()
+    // The number of times in a row the cursor closed without returning an entry
+    let cursorFailures = 0
+
+    const connectOptions = () => {
+      const skipOplog = args.source !== 'oplog' || args.sharded
+      const connect = this._ownsClient
+        ? connectToMongo.bind(null, args.oplogURL, args.logger, clientOptions(args), skipOplog)
+        : useConnection.bind(null, args.client || null, args.db || null, args.logger, skipOplog)
+      let attempt = 0
+      return {
+        retries: args.retries,
+        strategy: 'exponential-backoff',
+        shouldContinue: (error) => !!error && !this._stopping,
+        taskFn: () => connect(++attempt)
+      }
+    }
+
+    const filters = () => [args.matcher].concat(Array.from(this._subscriptions).map((subscription) => subscription._args.matcher))
+
+    const emitError = (errors) => {
+      if (this._stopping) return
+      let error = Array.isArray(errors)
+        ? errors[errors.length - 1]
+        : errors
+      if (error === 'master timeout') error = new Error('getLastTimestamp did not resolve before the timeout')
+      this.emit('error', error)
+    }
+
+    // The entries that the query of the cursor filters out on the server don't move lastTimestamp, so how far the cursor
+    // has passed the oplog is looked up before the oldest entry is compared with it
+    let passed = null
+    const readTimestamp = () => passed && lastTimestamp.lessThan(passed) ? passed : lastTimestamp
+    const checkPassed = () => {
+      const query = toQuery(filters())
+      if (range || Object.keys(query).length === 0) return Promise.resolve()
+
+      return passedTimestamp(oplog, readTimestamp(), query)
+        .then((timestamp) => {
+          passed = timestamp
+          this._metrics.read(readTimestamp())
+        })
+    }
+
+    let reportedRollover = null
+    const checkRollover = () => {
+      if (args.source !== 'oplog' || args.sharded) return Promise.resolve(true)
+
+      return oldestTimestamp(oplog)
+        .then((oldest) => {
+          const timestamp = readTimestamp()
+          if (!isRolledOver(timestamp, oldest)) return true
+          // Report every loss once, it is found again when the cursor reconnects before having read anything
+          if (reportedRollover === timestamp) return args.rollover === 'continue'
+          reportedRollover = timestamp
+
+          const error = new OplogRolloverError(timestamp, oldest)
+          args.logger.warn({ requested: formatTimestamp(timestamp), oldest: formatTimestamp(oldest) }, error.message)
+          if (args.rollover === 'continue') {
+            this.emit('oplogRollover', error)
+            return true
+          }
+          this.emit('error', error)
+          return false
+        })
+    }
+
+    const checkRollback = () => {
+      if (args.source !== 'oplog' || args.sharded) return Promise.resolve()
+
+      return oldestTimestamp(oplog)
+        .then((oldest) => this._history.verify(oplog, oldest))
+        .then((rollback) => {
+          if (rollback === null) return
+          args.logger.warn({
+            commonPoint: formatTimestamp(rollback.commonPoint),
+            entries: rollback.timestamps.length,
+            namespaces: rollback.namespaces
+          }, 'Entries that were read were rolled back')
+
+          lastTimestamp = rollback.commonPoint
+          passed = null
+          this._transactions.discardAfter(rollback.commonPoint)
+          if (this._checkpointer) this._checkpointer.update(rollback.commonPoint)
+          this.emit('rollback', rollback)
+        })
+    }
+
+    // A subscription that is added while the emitter reads the oplog only receives the entries after the newest one at
+    // that point, not the older entries that the reopened cursor returns for its namespaces
+    const startSubscriptions = () => {
+      const pending = Array.from(this._subscriptions).filter((subscription) => subscription._args.since === null)
+      if (pending.length === 0) return Promise.resolve()
 
-    let pollerOptions = {
-      retries: args.retries,
-      strategy: 'exponential-backoff',
-      taskFn: connectToMongo.bind(null, args.oplogURL, args.log, args.credentials)
+      return newestTimestamp(oplog)
+        .catch((error) => {
+          args.logger.warn({ err: error }, 'Looking up the newest entry of the oplog for new subscriptions failed')
+          return null
+        })
+        .then((newest) => pending.forEach((subscription) => { subscription._args.since = newest || lastTimestamp }))
+    }
+
+    let discardCursor = null
+    const openCursor = () => {
+      this._reading = true
+      let closed = false
+      discardCursor = () => {
+        closed = true
+        this._stream.destroy()
+      }
+      const onClose = (error) => {
+        if (closed || this._stopping) return
+        closed = true
+        args.logger.warn({ ts: formatTimestamp(lastTimestamp) }, 'Tailable cursor was closed')
+        retry(error || new Error('Tailable cursor was closed'))
+      }
+      const onEnd = () => {
+        if (!range) return onClose()
+        if (closed || this._stopping) return
+        closed = true
+        args.logger.info({ start: formatTimestamp(range.start), end: formatTimestamp(range.end) }, 'Replayed the oplog')
+        this._endReplay()
+          .catch((error) => {
+            emitError(error)
+            // An end listener that throws must not keep the replay open
+            return this.stop()
+          })
+          .catch((error) => args.logger.error({ err: error }, 'Could not stop at the end of the replay'))
+      }
+
+      if (args.source === 'changeStream') {
+        args.logger.debug({ ts: formatTimestamp(lastTimestamp) }, 'Opening change stream')
+        this._stream = openChangeStream(this._client, args, lastTimestamp, lastResumeToken)
+      } else if (args.sharded) {
+        args.logger.debug({ ts: formatTimestamp(lastTimestamp) }, 'Opening tailable cursors to the oplogs of all shards')
+        this._stream = new ShardedOplog({
+          client: this._client,
+          oplogURL: args.oplogURL,
+          timestamp: lastTimestamp,
+          timestamps: shardTimestamps,
+          refreshInterval: args.shardRefreshInterval,
+          logger: args.logger,
+          openShard: (shardURL, timestamp) => connectToMongo(shardURL, args.logger, clientOptions(args))
+            .then((connection) => ({ client: connection.client, stream: openTailableCursor(connection.oplog, timestamp, filters(), args.readPreference) }))
+        })
+      } else {
+        args.logger.debug({ ts: formatTimestamp(lastTimestamp) }, 'Opening tailable cursor to the oplog')
+        this._stream = openTailableCursor(oplog, lastTimestamp, filters(), args.readPreference, range && range.end)
+      }
+
+      const stream = this._stream
+      stream
+        .on('data', (data) => {
+          cursorFailures = 0
+          let oplogEvent = data
+          if (args.source === 'changeStream') {
+            oplogEvent = fromChangeEvent(data)
+            if (oplogEvent === null) {
+              if (data.operationType !== 'invalidate') return
+              closed = true
+              return this.emit('error', new Error('Change stream was invalidated'))
+            }
+            lastResumeToken = data._id
+          }
+          if (this._history.has(oplogEvent)) {
+            args.logger.debug({ ts: formatTimestamp(oplogEvent.ts) }, 'Skipped an entry that was read before')
+            return
+          }
+
+          lastTimestamp = oplogEvent.ts
+          if (args.sharded) stream.markRead(oplogEvent)
+          this._metrics.read(oplogEvent.ts)
+          if (this._summary) addToSummary(this._summary, oplogEvent)
+          const operations = this._transactions.add(oplogEvent)
+          const targets = [this].concat(Array.from(this._subscriptions))
+          const deliveries = targets.map((target) => [target, routeEvent(target._args, oplogEvent, operations)])
+          this._history.add(oplogEvent, deliveries)
+          const processedTimestamp = this._transactions.safeTimestamp(oplogEvent.ts)
+          this._metrics.count(deliveries)
+          const deliver = () => {
+            if (args.ejson) serializeDeliveries(deliveries, args.ejson)
+            if (this._acks) return Promise.all(deliveries.map((delivery) => dispatch(delivery[0], delivery[1])))
+
+            deliveries.forEach((delivery) => delivery[1].forEach((event) => delivery[0].emit(event[0], event[1])))
+            this._metrics.process(processedTimestamp)
+            if (this._checkpointer) this._checkpointer.update(processedTimestamp, oplogEvent.resumeToken)
+          }
+
+          if (this._lookups) return this._deliverAfterLookup(processedTimestamp, deliveries, deliver)
+          if (this._acks) {
+            this._acks.push(processedTimestamp, deliver(), oplogEvent.resumeToken)
+            this._flow()
+            return
+          }
+          deliver()
+        })
+        .on('error', (error) => {
+          args.logger.warn({ err: error, ts: formatTimestamp(lastTimestamp) }, 'Tailable cursor failed')
+          onClose(error)
+        })
+        .on('end', onEnd)
+        .on('close', onClose)
+      this._flow()
+    }
+
+    let requerying = false
+    this._requery = () => {
+      if (requerying || args.source === 'changeStream') return
+      requerying = true
+      // Reopen the cursor once for all subscriptions that are added or removed in the same tick
+      setImmediate(() => {
+        requerying = false
+        // Without a stream the cursor is (re)opening and will use the current subscriptions
+        if (!this._stream || this._stopping) return
+        args.logger.debug({ subscriptions: this._subscriptions.size }, 'Reopening the tailable cursor with the query of the current subscriptions')
+        discardCursor()
+        this._stream = null
+        startSubscriptions().then(() => {
+          if (!this._stopping) openCursor()
+        })
+      })
+    }
+
+    // Reconnect right away after a cursor that returned entries, and with a growing delay after one that failed right away
+    const retry = (error) => {
+      cursorFailures++
+      if (cursorFailures > args.retries) {
+        args.logger.error({ err: error, failures: cursorFailures }, 'Tailable cursor kept failing, giving up')
+        return emitError(error)
+      }
+      reconnect(cursorFailures === 1 ? 0 : retryDelay(cursorFailures - 1))
+    }
+
+    const sleep = (delay) => {
+      if (delay === 0) return Promise.resolve()
+      return new Promise((resolve) => {
+        const timer = setTimeout(resolve, delay)
+        this._wake = () => {
+          clearTimeout(timer)
+          resolve()
+        }
+      })
     }
 
-    poller(pollerOptions)
-      .then((collection) => {
-        args.log('Connected to mongodb local collection')
-        oplog = collection
+    const reconnect = (delay) => {
+      args.logger.info({ ts: formatTimestamp(lastTimestamp), delay }, 'Reconnecting to the oplog')
+      this.emit('reconnecting', lastTimestamp)
+      this._metrics.reconnects++
+
+      const client = this._client
+      this._client = null
+      this._stream = null
+      this._ready = Promise.resolve(client && this._ownsClient && client.close(true))
+        .catch(() => { /* The old connection is being discarded anyway */ })
+        .then(() => sleep(delay))
+        .then(() => this._stopping ? null : poller(connectOptions()))
+        .then((connection) => {
+          if (connection === null) return
+          args.logger.info({ ts: formatTimestamp(lastTimestamp) }, 'Reconnected to mongodb')
+          this._client = connection.client
+          oplog = connection.oplog
+          if (this._stopping) return
+          return checkRollback()
+            .then(() => !this._stopping && checkRollover())
+            .catch((error) => {
+              // Like a cursor that fails right away, looking up the oplog after a failover may fail for a while
+              args.logger.warn({ err: error, ts: formatTimestamp(lastTimestamp) }, 'Checking the oplog after reconnecting failed')
+              retry(error)
+              return false
+            })
+        })
+        .then((readable) => readable && startSubscriptions().then(() => readable))
+        .then((readable) => {
+          if (!readable || this._stopping) return
+
+          openCursor()
+          this.emit('reconnected', lastTimestamp)
+        })
+        .catch(emitError)
+    }
+
+    this._ready = poller(connectOptions())
+      .then((connection) => {
+        args.logger.debug('Connected to mongodb')
+        this._client = connection.client
+        oplog = connection.oplog
         return poller({
           retries: 1,
           masterTimeout: args.timestampTimeout,
-          taskFn: args.getLastTimestamp
+          taskFn: range
+            ? () => Promise.resolve(range.after)
+            : args.checkpoint
+              ? () => Promise.resolve(args.checkpoint.load()).then((timestamp) => timestamp || args.getLastTimestamp())
+              : args.getLastTimestamp
         })
       })
-      .then((lastTimestamp) => {
-        if (!(lastTimestamp instanceof Timestamp)) throw new Error('getLastTimestamp() should return a mongodb.Timestamp')
-        const query = {
-          ts: { $gt: lastTimestamp }
-        }
+      .then((timestamp) => {
+        if (!(timestamp instanceof Timestamp)) throw new Error('getLastTimestamp() should return a mongodb.Timestamp')
+        lastTimestamp = timestamp
+        if (args.getResumeToken) return args.getResumeToken()
+        if (args.source === 'changeStream' && args.checkpoint && args.checkpoint.loadResumeToken) return args.checkpoint.loadResumeToken()
+      })
+      .then((resumeToken) => {
+        lastResumeToken = resumeToken || null
+        if (this._stopping) return
+        return checkRollover()
+      })
+      .then((readable) => {
+        if (!readable || this._stopping) return
 
-        const options = {
-          tailable: true,
-          awaitdata: true,
-          oplogReplay: true,
-          numberOfRetries: -1
-        }
+        openCursor()
+      })
+      .catch(emitError)
 
-        args.log('Opening tailable cursor to the oplog with timestamp: ' + lastTimestamp)
-        oplog.find(query, options).stream()
-          .on('data', routeEvent.bind(null, this))
-          .on('end', () => {
-            args.log('Tailable cursor was closed')
-            this.emit('error', new Error('Database cursor closed unexpectedly'))
-          })
-          .on('close', () => {
-            args.log('Tailable cursor was closed')
-            this.emit('error', new Error('Database cursor closed unexpectedly'))
+    this._rolloverTimer = null
+    if (args.source === 'oplog' && !args.sharded) {
+      this._rolloverTimer = setInterval(() => {
+        if (!this._stream || this._stopping) return
+        checkPassed()
+          .then(() => checkRollover())
+          .then((readable) => {
+            if (readable || !this._stream || this._stopping) return
+            discardCursor()
+            this._stream = null
           })
+          .catch((error) => args.logger.warn({ err: error }, 'Checking the oldest entry of the oplog failed'))
+      }, args.rolloverCheckInterval)
+      if (this._rolloverTimer.unref) this._rolloverTimer.unref()
+    }
+
+    this._metricsTimer = setInterval(() => {
+      if (this._stopping) return
+      const sample = oplog && args.source === 'oplog' && !args.sharded
+        ? checkPassed()
+          .then(() => Promise.all([oldestTimestamp(oplog), newestTimestamp(oplog)]))
+          .then((timestamps) => this._metrics.sample(timestamps[0], timestamps[1]))
+          .catch((error) => args.logger.warn({ err: error }, 'Sampling the oplog failed'))
+        : Promise.resolve()
+      sample.then(() => {
+        if (!this._stopping) this.emit('metrics', this.stats())
+      })
+    }, args.metricsInterval)
+    if (this._metricsTimer.unref) this._metricsTimer.unref()
+  }
+
+  /**
+   * Stop reading the oplog: destroy the tailable cursor, save the checkpoint and close the mongodb connection.
+   * Calling this more than once returns the same promise.
+   * @example
+   * process.on('SIGTERM', () => emitter.stop().then(() => process.exit(0)))
+   *
+   * @return {Promise}       A promise that resolves once the connection is closed
+   * @fires OplogEmitter#close
+   * @public
+   */
+  stop () {
+    if (this._stopping) return this._stopping
+
+    clearInterval(this._rolloverTimer)
+    clearInterval(this._metricsTimer)
+    // Don't wait for the delay before a reconnect
+    if (this._wake) this._wake()
+    this._stopping = this._ready
+      .then(() => {
+        if (this._stream) this._stream.destroy()
+        if (this._checkpointer) return this._checkpointer.stop()
+      })
+      .then(() => {
+        if (this._client && this._ownsClient) return this._client.close()
       })
-      .catch((errors) => {
-        let error = Array.isArray(errors)
-          ? errors[errors.length - 1]
-          : errors
-        if (error === 'master timeout') error = new Error('getLastTimestamp did not resolve before the timeout')
-        this.emit('error', error)
+      .then(() => {
+        this._stream = null
+        this._client = null
+        const subscriptions = Array.from(this._subscriptions)
+        this._subscriptions.clear()
+        subscriptions.forEach((subscription) => subscription.emit('close'))
+        this.emit('close')
       })
+    return this._stopping
+  }
+
+  /**
+   * Create a Subscription: an event emitter for the entries of some namespaces that shares the tailable cursor of this
+   * emitter. The query of the cursor is widened to include the namespaces of every subscription (and narrowed again
+   * when they unwatch()), on top of the filter of this emitter itself. Create the emitter with `filter: { namespaces: [] }`
+   * to only read the entries its subscriptions need. A subscription that is added while the emitter is reading only
+   * receives the entries after the newest entry of the oplog at that point. On a sharded cluster, where there is no
+   * single newest entry, it receives the entries of its namespaces after the last entry the emitter read.
+   * @example
+   * let emitter = new OplogEmitter({ oplogURL: 'mongodb://localhost:27017/local', filter: { namespaces: [] } })
+   * emitter.watch('shop.orders').on('insert', (op) => ship(op.o))
+   * emitter.watch(['shop.users', 'crm.*'], { operations: ['update'] }).on('update', (op) => sync(op))
+   *
+   * @param  {string|RegExp|Array} namespace The namespaces to watch, in any format of Filter.namespaces
+   * @param  {?Filter}             options   A filter without namespaces (operations defaults to inserts, updates, deletes and commands)
+   * @return {Subscription}                  The subscription, which fires the same events as this emitter
+   * @throws {TypeError}                     when the namespace or options are not valid
+   * @public
+   */
+  watch (namespace, options) {
+    const subscription = new Subscription(this, namespace, options)
+    // Reopening the cursor for the new namespaces would return their entries from before the subscription was added.
+    // The oplogs of shards are not looked up through mongos, so their subscriptions start where the cursors reopen.
+    if (this._reading && this._args.source === 'oplog' && !this._args.sharded) subscription._args.since = null
+    this._subscriptions.add(subscription)
+    this._requery()
+    return subscription
+  }
+
+  /**
+   * Report how much the emitter processed and how far it is behind the oplog
+   * @example
+   * emitter.on('metrics', (stats) => console.log(`${stats.lag}s behind, ${stats.events.insert} inserts`))
+   *
+   * @return {Stats}         The current metrics
+   * @public
+   */
+  stats () {
+    return this._metrics.snapshot()
+  }
+
+  /**
+   * Alias of stop()
+   * @return {Promise}       A promise that resolves once the connection is closed
+   * @fires OplogEmitter#close
+   * @public
+   */
+  close () {
+    return this.stop()
+  }
 
-    /**
-     * Emit the proper high level events based on the oplog event
-     * @param  {EventEmitter} emitter    An instance of this class
-     * @param  {object}       oplogEvent A json object returned by the mongodb cursor
-     * @return {undefined}               Returns void
-     * @private
-     */
-    function routeEvent (emitter, oplogEvent) {
-      if (!oplogEvent.ns.match(`${args.database}\\.${args.collection}`)) return
-
-      emitter.emit('op', oplogEvent)
-      switch (oplogEvent.op) {
-        case 'i':
-          emitter.emit('insert', oplogEvent)
-          break
-        case 'd':
-          emitter.emit('delete', oplogEvent)
-          break
-        case 'u':
-          emitter.emit('update', oplogEvent)
+  /**
+   * Stop reading from the tailable cursor until resume() is called.
+   * Entries arriving in the meantime are buffered by mongodb.
+   * @return {OplogEmitter}  This instance
+   * @public
+   */
+  pause () {
+    this._paused = true
+    this._flow()
+    return this
+  }
+
+  /**
+   * Continue reading from the tailable cursor after a call to pause()
+   * @return {OplogEmitter}  This instance
+   * @public
+   */
+  resume () {
+    this._paused = false
+    this._flow()
+    return this
+  }
+
+  /**
+   * Create an object mode Readable stream of the oplog entries that match the namespace filter (the payloads of the `op` event).
+   * The tailable cursor is paused while the stream's buffer is full. The stream ends when the emitter closes,
+   * and is destroyed with the error when the emitter emits one. It cannot be used in acknowledge mode, where the
+   * checkpoint would move past the entries in the buffer of the stream before they are processed (use pipe() instead).
+   * @example
+   * emitter.toStream().pipe(new stream.Writable({
+   *   objectMode: true,
+   *   write: (op, encoding, callback) => index(op).then(() => callback(), callback)
+   * }))
+   *
+   * @param  {?object} options Options passed to the Readable constructor, such as highWaterMark
+   * @return {Readable}        An object mode Readable stream
+   * @throws {TypeError}       when the emitter is in acknowledge mode
+   * @public
+   */
+  toStream (options) {
+    if (this._acks) throw new TypeError('toStream() and async iteration cannot be used with the acknowledge option')
+    const readable = new stream.Readable(Object.assign({}, options, {
+      objectMode: true,
+      read: () => {
+        this._backpressure.delete(readable)
+        this._flow()
       }
+    }))
+
+    const onOp = (oplogEvent) => {
+      if (readable.push(oplogEvent)) return
+      this._backpressure.add(readable)
+      this._flow()
+    }
+    const cleanup = () => {
+      this.removeListener('op', onOp)
+      this.removeListener('close', onClose)
+      this.removeListener('error', onError)
+      this._backpressure.delete(readable)
+      this._flow()
+    }
+    const onClose = () => {
+      cleanup()
+      readable.push(null)
+    }
+    const onError = (error) => {
+      cleanup()
+      readable.emit('error', error)
+    }
+
+    this.on('op', onOp)
+    this.on('close', onClose)
+    this.on('error', onError)
+    readable.on('close', cleanup)
+    return readable
+  }
+
+  /**
+   * Forward the insert, update and delete events to a sink. This requires the acknowledge option, so that an entry only
+   * counts as processed (and is checkpointed) once the sink confirmed the delivery of its events.
+   * A batch that still fails after all retries is emitted as an error and stops the emitter.
+   * The pipe sends its last batch and closes the sink when the emitter closes.
+   * @example
+   * let emitter = new OplogEmitter({ oplogURL: 'mongodb://localhost:27017/local', acknowledge: true, concurrency: 100, checkpoint })
+   * emitter.pipe(new OplogEmitter.KafkaSink({ producer }), { topics: { 'shop.orders': 'orders', 'crm.*': 'crm' } })
+   *
+   * @param  {Sink}         sink    The sink, such as a KafkaSink, AMQPSink, RedisStreamSink, WebhookSink or FileSink
+   * @param  {?SinkOptions} options The topics, keys, serialization, batching and retries of the messages
+   * @return {SinkPipe}             The pipe, whose close() stops forwarding events
+   * @throws {TypeError}            when the emitter is not in acknowledge mode or the sink or options are not valid
+   * @public
+   */
+  pipe (sink, options) {
+    if (!this._acks) throw new TypeError('pipe() requires the acknowledge option')
+    return new SinkPipe(this, sink, options)
+  }
+
+  /**
+   * Deliver the events of an oplog entry once the documents of its updates are looked up and the entries before it are delivered
+   * @param  {Timestamp} timestamp  The timestamp up to which entries are processed once this entry is delivered
+   * @param  {Array}     deliveries A list of [emitter, events] pairs
+   * @param  {function}  deliver    Emits the events, returning a promise to their acknowledgement in acknowledge mode
+   * @return {undefined}            Returns void
+   * @private
+   */
+  _deliverAfterLookup (timestamp, deliveries, deliver) {
+    const updates = deliveries.reduce((payloads, delivery) => payloads.concat(delivery[1]
+      .filter((event) => event[0] === 'update')
+      .map((event) => event[1])), [])
+    const lookup = this._lookups.fetch(updates)
+    // The failure is handled once this entry's turn comes, but the rejection must not go unhandled until then
+    lookup.catch(() => {})
+
+    let acknowledged
+    this._emitting = this._emitting
+      .then(() => lookup)
+      .then(() => { acknowledged = deliver() })
+      .catch((error) => {
+        this._halt(error)
+        // Never deliver the entries after the failed one
+        return new Promise(() => {})
+      })
+    if (this._acks) this._acks.push(timestamp, this._emitting.then(() => acknowledged))
+    this._flow()
+  }
+
+  /**
+   * Stop reading after an entry failed to be delivered, since the entries after it may not count as processed before it.
+   * A replay cannot reach its end anymore, so it stops.
+   * @param  {Error}     error The failure of a listener or of a lookup
+   * @return {undefined}       Returns void
+   * @fires OplogEmitter#error
+   * @private
+   */
+  _halt (error) {
+    this._halted = true
+    this._flow()
+    if (this._summary) {
+      this.stop().catch((stopError) => this._args.logger.error({ err: stopError }, 'Could not stop the replay after a failed entry'))
+    }
+    this.emit('error', error)
+  }
+
+  /**
+   * Finish a replay: wait until every entry that was read is delivered (and acknowledged), emit the summary and stop
+   * @return {Promise}       A promise resolving once the emitter is stopped
+   * @fires OplogEmitter#end
+   * @private
+   */
+  _endReplay () {
+    return this._emitting
+      .then(() => this._acks && this._acks.idle())
+      .then(() => {
+        if (this._stopping) return
+        this.emit('end', this._summary)
+        return this.stop()
+      })
+  }
+
+  /**
+   * Pause or resume the tailable cursor depending on pause(), pending acknowledgements, slow stream consumers and listener failures
+   * @return {undefined}     Returns void
+   * @private
+   */
+  _flow () {
+    if (!this._stream) return
+
+    const full = (this._acks && this._acks.isFull()) || (this._lookups && this._lookups.isFull())
+    if (this._paused || this._halted || this._backpressure.size > 0 || full) {
+      this._stream.pause()
+    } else {
+      this._stream.resume()
+    }
+  }
+}
+
+if (Symbol.asyncIterator) {
+  /**
+   * Iterate over the oplog entries that match the namespace filter, with backpressure on the tailable cursor.
+   * The iteration ends when the emitter closes. Like toStream(), it cannot be used in acknowledge mode.
+   * @example
+   * for await (const op of emitter) {
+   *   await index(op)
+   * }
+   *
+   * @return {AsyncIterator}   An async iterator over the oplog entries
+   * @throws {TypeError}       when the emitter is in acknowledge mode
+   * @public
+   */
+  OplogEmitter.prototype[Symbol.asyncIterator] = function () {
+    return this.toStream()[Symbol.asyncIterator]()
+  }
+}
+
+/**
+ * Open a tailable cursor on the oplog, or a cursor that ends before the given timestamp
+ * @param  {Collection}    oplog          The oplog collection
+ * @param  {Timestamp}     timestamp      The cursor returns the entries after this timestamp
+ * @param  {Array<object>} filters        The compiled filters of the emitter and its subscriptions, which narrow the query
+ * @param  {?string}       readPreference The read preference of the cursor
+ * @param  {?Timestamp}    end            If given, the cursor is not tailable and returns the entries before this timestamp
+ * @return {Readable}                     A stream of oplog entries
+ * @private
+ */
+function openTailableCursor (oplog, timestamp, filters, readPreference, end) {
+  const query = Object.assign({
+    ts: end ? { $gt: timestamp, $lt: end } : { $gt: timestamp }
+  }, toQuery(filters))
+
+  const options = end
+    ? { oplogReplay: true }
+    : {
+      tailable: true,
+      awaitdata: true,
+      oplogReplay: true,
+      numberOfRetries: -1
     }
+  if (readPreference) options.readPreference = readPreference
+
+  return oplog.find(query, options).stream()
+}
+
+/**
+ * The time to wait before reopening a cursor that failed again, growing like the exponential-backoff between failed connects
+ * @param  {number} failures The number of failed reconnects in a row
+ * @return {number}          The delay in milliseconds, at most 30 seconds
+ * @private
+ */
+function retryDelay (failures) {
+  return Math.min(30000, Math.round(1000 + Math.random() * (Math.pow(2, failures) - 1) * 1000))
+}
+
+/**
+ * Determine which events should be emitted for an oplog entry
+ * @param  {OplogOptions}      args         The validated constructor options (or those of a Subscription)
+ * @param  {object}            oplogEvent   A json object returned by the mongodb cursor
+ * @param  {?Array<object>}    operations   The operations of the transaction completed by this entry, as returned by
+ *                                          TransactionBuffer.add(); undefined if the entry is not part of a transaction
+ * @return {Array}                          A list of [eventName, payload] pairs, empty if nothing passes the filter
+ * @private
+ */
+function routeEvent (args, oplogEvent, operations) {
+  if (oplogEvent.fromMigrate && !args.includeMigrations) return []
+  // A subscription that was added while reading skips the entries up to the point where it was added
+  if (args.since === null || (args.since && !args.since.lessThan(oplogEvent.ts))) return []
+
+  if (operations === undefined) {
+    const commandEvent = decodeCommand(oplogEvent)
+    if (commandEvent === null) return matchesOperation(args.matcher, oplogEvent) ? operationEvents(args, oplogEvent) : []
+    if (!matchesCommand(args.matcher, commandEvent[1])) return []
+    if (commandEvent[0] === 'noop') return [commandEvent]
+    return [['op', args.format === 'normalized' ? commandEvent[1] : oplogEvent], commandEvent]
+  }
+
+  const matching = operations.filter((operation) => matchesOperation(args.matcher, operation))
+  if (matching.length === 0) return []
+
+  const annotated = matching.map((operation, index) => Object.assign({}, operation, {
+    ts: oplogEvent.ts,
+    lsid: oplogEvent.lsid,
+    txnNumber: oplogEvent.txnNumber,
+    endOfTransaction: index === matching.length - 1
+  }))
+  const events = annotated.reduce((all, operation) => all.concat(operationEvents(args, operation)), [])
+  events.push(['transaction', {
+    ts: oplogEvent.ts,
+    lsid: oplogEvent.lsid,
+    txnNumber: oplogEvent.txnNumber,
+    operations: events.filter((event) => event[0] === 'op').map((event) => event[1])
+  }])
+  return events
+}
+
+/**
+ * Return the `op` event and the event for the type of a single operation
+ * @param  {OplogOptions} args      The validated constructor options
+ * @param  {object}       operation An oplog entry or an operation of a transaction
+ * @return {Array}                  A list of [eventName, payload] pairs
+ * @private
+ */
+function operationEvents (args, operation) {
+  if (args.projection) operation = projectEntry(args.projection, operation)
+  const payload = args.format === 'normalized' ? normalize(operation) : operation
+  const events = [['op', payload]]
+  if (OPERATION_EVENTS[operation.op]) events.push([OPERATION_EVENTS[operation.op], payload])
+  return events
+}
+
+/**
+ * Replace the payloads of the events of an entry by their Extended JSON representation. A payload that several events
+ * (or targets) share is converted once, so they keep sharing it, and so do the operations of a transaction event.
+ * @param  {Array}  deliveries A list of [emitter, events] pairs, whose events are replaced
+ * @param  {string} mode       'relaxed' or 'canonical'
+ * @return {undefined}         Returns void
+ * @private
+ */
+function serializeDeliveries (deliveries, mode) {
+  const options = { relaxed: mode === 'relaxed' }
+  const serialized = new Map()
+  const convert = (payload) => {
+    if (!serialized.has(payload)) serialized.set(payload, ejson.serialize(payload, options))
+    return serialized.get(payload)
   }
+
+  deliveries.forEach((delivery) => {
+    delivery[1] = delivery[1].map((event) => {
+      if (event[0] !== 'transaction') return [event[0], convert(event[1])]
+      const transaction = ejson.serialize(Object.assign({}, event[1], { operations: [] }), options)
+      transaction.operations = event[1].operations.map(convert)
+      return [event[0], transaction]
+    })
+  })
 }
 
 /**
@@ -151,8 +1086,16 @@ function validateArgs (args) {
   if (typeof args === 'string') args = { oplogURL: args }
   if (typeof args !== 'object') throw new TypeError('argument should be a connectionstring or a map of options')
 
-  if (args.oplogURL === undefined) throw new TypeError('oplogURL must be specified')
-  if (typeof args.oplogURL !== 'string') throw new TypeError('oplogURL must be a string')
+  if (args.client !== undefined && args.db !== undefined) throw new TypeError('client and db cannot be used together')
+  if (args.client !== undefined && (typeof args.client !== 'object' || args.client === null || typeof args.client.db !== 'function')) {
+    throw new TypeError('client should be a connected MongoClient')
+  }
+  if (args.db !== undefined && (typeof args.db !== 'object' || args.db === null || typeof args.db.collection !== 'function')) {
+    throw new TypeError('db should be a handle of the local database')
+  }
+
+  if (args.oplogURL === undefined && args.client === undefined && args.db === undefined) throw new TypeError('oplogURL must be specified')
+  if (args.oplogURL !== undefined && typeof args.oplogURL !== 'string') throw new TypeError('oplogURL must be a string')
 
   args.getLastTimestamp = args.getLastTimestamp === undefined ? getLastTimestamp : args.getLastTimestamp
   if (typeof args.getLastTimestamp !== 'function') throw new TypeError('getLastTimestamp should be a function that returns a Promise to a Mongo Timestamp')
@@ -165,67 +1108,216 @@ function validateArgs (args) {
 
   if (args.credentials !== undefined) {
     if (typeof args.credentials !== 'object') throw new TypeError('credentials should be provided as an object')
-    if (!args.credentials.username) throw new TypeError('credentials should have an attribute username that is a string')
-    if (typeof args.credentials.username !== 'string') throw new TypeError('credentials should have an attribute username that is a string')
-    if (!args.credentials.password) throw new TypeError('credentials should have an attribute password that is a string')
-    if (typeof args.credentials.password !== 'string') throw new TypeError('credentials should have an attribute password that is a string')
+    const mechanism = args.credentials.mechanism
+    if (mechanism !== undefined && AUTH_MECHANISMS.indexOf(mechanism) === -1) {
+      throw new TypeError('credentials.mechanism should be one of SCRAM-SHA-1, SCRAM-SHA-256, MONGODB-X509, PLAIN or GSSAPI')
+    }
+    if (mechanism !== 'MONGODB-X509' || args.credentials.username !== undefined) {
+      if (!args.credentials.username) throw new TypeError('credentials should have an attribute username that is a string')
+      if (typeof args.credentials.username !== 'string') throw new TypeError('credentials should have an attribute username that is a string')
+    }
+    if (mechanism === 'MONGODB-X509') {
+      if (args.credentials.password !== undefined) throw new TypeError('credentials with mechanism MONGODB-X509 should not have a password')
+    } else if (mechanism !== 'GSSAPI' || args.credentials.password !== undefined) {
+      if (!args.credentials.password) throw new TypeError('credentials should have an attribute password that is a string')
+      if (typeof args.credentials.password !== 'string') throw new TypeError('credentials should have an attribute password that is a string')
+    }
+    if (args.credentials.authSource !== undefined && typeof args.credentials.authSource !== 'string') throw new TypeError('credentials.authSource should be a string')
+  }
+
+  if (args.tls !== undefined && typeof args.tls !== 'boolean') {
+    if (typeof args.tls !== 'object' || args.tls === null) throw new TypeError('tls should be a boolean or an object with certificates')
+    const isPEM = (value) => typeof value === 'string' || Buffer.isBuffer(value)
+    if (args.tls.ca !== undefined && ![].concat(args.tls.ca).every(isPEM)) throw new TypeError('tls.ca should be a string, a Buffer or an array of them')
+    if (args.tls.cert !== undefined && !isPEM(args.tls.cert)) throw new TypeError('tls.cert should be a string or a Buffer')
+    if (args.tls.key !== undefined && !isPEM(args.tls.key)) throw new TypeError('tls.key should be a string or a Buffer')
+    if (args.tls.passphrase !== undefined && typeof args.tls.passphrase !== 'string') throw new TypeError('tls.passphrase should be a string')
+  }
+  if (args.credentials && args.credentials.mechanism === 'MONGODB-X509' && !(args.tls && args.tls.cert && args.tls.key)) {
+    throw new TypeError('credentials with mechanism MONGODB-X509 need a client certificate in tls.cert and tls.key')
   }
 
   args.retries = args.retries === undefined ? 5 : args.retries
   if (typeof args.retries !== 'number') throw new TypeError('retries should be a number')
 
-  args.log = args.log === undefined
-    ? (message) => bunyan.createLogger({ name: 'oplog-emitter', src: true }).trace(message)
-    : args.log
-  if (typeof args.log !== 'function') throw new TypeError('log should be a function that logs strings')
+  if (args.log !== undefined && typeof args.log !== 'function') throw new TypeError('log should be a function that logs strings')
+  if (args.logger !== undefined && !isLogger(args.logger)) throw new TypeError('logger should be an object with debug, info, warn and error functions')
+  if (args.log !== undefined && args.logger !== undefined) throw new TypeError('log and logger cannot be used together')
+
+  // A log function received every message before there were levels, so it still does unless logLevel is set
+  const logFunctionLevel = args.logLevel === undefined ? 'debug' : args.logLevel
+  args.logLevel = args.logLevel === undefined ? 'info' : args.logLevel
+  if (logging.LOG_LEVELS.indexOf(args.logLevel) === -1) throw new TypeError('logLevel should be one of debug, info, warn or error')
+  if (args.logger === undefined) args.logger = args.log ? functionLogger(args.log, logFunctionLevel) : defaultLogger(args.logLevel)
 
   args.timestampTimeout = args.timestampTimeout === undefined ? 30000 : args.timestampTimeout
   if (typeof args.timestampTimeout !== 'number') throw new TypeError('timestampTimeout should be a number')
 
+  if (args.checkpoint !== undefined) {
+    if (typeof args.checkpoint !== 'object' || args.checkpoint === null) throw new TypeError('checkpoint should be an object with a load and a save function')
+    if (typeof args.checkpoint.load !== 'function') throw new TypeError('checkpoint should be an object with a load and a save function')
+    if (typeof args.checkpoint.save !== 'function') throw new TypeError('checkpoint should be an object with a load and a save function')
+  }
+
+  args.checkpointInterval = args.checkpointInterval === undefined ? 1000 : args.checkpointInterval
+  if (typeof args.checkpointInterval !== 'number') throw new TypeError('checkpointInterval should be a number')
+
+  args.checkpointCount = args.checkpointCount === undefined ? 100 : args.checkpointCount
+  if (typeof args.checkpointCount !== 'number') throw new TypeError('checkpointCount should be a number')
+
+  args.acknowledge = args.acknowledge === undefined ? false : args.acknowledge
+  if (typeof args.acknowledge !== 'boolean') throw new TypeError('acknowledge should be a boolean')
+
+  args.concurrency = args.concurrency === undefined ? 1 : args.concurrency
+  if (typeof args.concurrency !== 'number' || args.concurrency < 1) throw new TypeError('concurrency should be a number greater than 0')
+
+  args.format = args.format === undefined ? 'raw' : args.format
+  if (args.format !== 'raw' && args.format !== 'normalized') throw new TypeError("format should be 'raw' or 'normalized'")
+
+  args.source = args.source === undefined ? 'oplog' : args.source
+  if (args.source !== 'oplog' && args.source !== 'changeStream') throw new TypeError("source should be 'oplog' or 'changeStream'")
+
+  if (args.getResumeToken !== undefined && typeof args.getResumeToken !== 'function') throw new TypeError('getResumeToken should be a function that returns a Promise to a resume token')
+
+  args.sharded = args.sharded === undefined ? false : args.sharded
+  if (typeof args.sharded !== 'boolean') throw new TypeError('sharded should be a boolean')
+  if (args.sharded && args.source !== 'oplog') throw new TypeError("sharded can only be used with source 'oplog'")
+
+  args.shardRefreshInterval = args.shardRefreshInterval === undefined ? 60000 : args.shardRefreshInterval
+  if (typeof args.shardRefreshInterval !== 'number') throw new TypeError('shardRefreshInterval should be a number')
+
+  args.includeMigrations = args.includeMigrations === undefined ? false : args.includeMigrations
+  if (typeof args.includeMigrations !== 'boolean') throw new TypeError('includeMigrations should be a boolean')
+
+  args.fullDocument = args.fullDocument === undefined ? 'default' : args.fullDocument
+  if (args.fullDocument !== 'default' && args.fullDocument !== 'updateLookup') throw new TypeError("fullDocument should be 'default' or 'updateLookup'")
+
+  if (args.db !== undefined && (args.source !== 'oplog' || args.sharded || args.fullDocument !== 'default')) {
+    throw new TypeError('db can only be used to tail the oplog of a replica set without lookups, pass a client instead')
+  }
+  if (args.sharded && args.oplogURL === undefined) throw new TypeError('sharded needs the oplogURL of mongos to connect to the shards')
+
+  if (args.mongoOptions !== undefined && (typeof args.mongoOptions !== 'object' || args.mongoOptions === null)) throw new TypeError('mongoOptions should be an object')
+
+  if (args.readPreference !== undefined && READ_PREFERENCES.indexOf(args.readPreference) === -1) {
+    throw new TypeError('readPreference should be one of primary, primaryPreferred, secondary, secondaryPreferred or nearest')
+  }
+
+  args.rollover = args.rollover === undefined ? 'fail' : args.rollover
+  if (args.rollover !== 'fail' && args.rollover !== 'continue') throw new TypeError("rollover should be 'fail' or 'continue'")
+
+  args.rolloverCheckInterval = args.rolloverCheckInterval === undefined ? 60000 : args.rolloverCheckInterval
+  if (typeof args.rolloverCheckInterval !== 'number') throw new TypeError('rolloverCheckInterval should be a number')
+
+  args.metricsInterval = args.metricsInterval === undefined ? 60000 : args.metricsInterval
+  if (typeof args.metricsInterval !== 'number') throw new TypeError('metricsInterval should be a number')
+
+  args.historySize = args.historySize === undefined ? 1000 : args.historySize
+  if (typeof args.historySize !== 'number' || args.historySize < 0) throw new TypeError('historySize should be a number of at least 0')
+
+  if (args.ejson !== undefined && args.ejson !== 'relaxed' && args.ejson !== 'canonical') throw new TypeError("ejson should be 'relaxed' or 'canonical'")
+
+  if (args.replay !== undefined) {
+    if (typeof args.replay !== 'object' || args.replay === null) throw new TypeError('replay should be an object with a start and an end')
+    const isBound = (value) => value instanceof Timestamp || (value instanceof Date && !isNaN(value.getTime()))
+    if (!isBound(args.replay.start) || !isBound(args.replay.end)) throw new TypeError('replay.start and replay.end should be mongodb Timestamps or Dates')
+    const range = replayRange(args.replay)
+    if (!range.start.lessThan(range.end)) throw new TypeError('replay.end should not be before replay.start')
+    if (args.source !== 'oplog' || args.sharded) throw new TypeError("replay can only be used with source 'oplog' on a replica set")
+    if (args.checkpoint !== undefined) throw new TypeError('replay cannot be used with a checkpoint')
+  }
+
+  args.matcher = createFilter(args)
+  args.projection = createProjection(args)
+
   return args
 }
 
+/**
+ * Build the MongoClient options from mongoOptions and the credentials and TLS settings
+ * @param  {OplogOptions} args The validated constructor options
+ * @return {object}            The options for the MongoClient constructor
+ * @private
+ */
+function clientOptions (args) {
+  let options = Object.assign({}, args.mongoOptions)
+
+  const credentials = args.credentials
+  if (credentials) {
+    const external = ['MONGODB-X509', 'PLAIN', 'GSSAPI'].indexOf(credentials.mechanism) !== -1
+    if (credentials.username !== undefined) options.auth = { user: credentials.username, password: credentials.password }
+    if (credentials.mechanism !== undefined) options.authMechanism = credentials.mechanism
+    options.authSource = credentials.authSource || (external ? '$external' : 'admin')
+  }
+
+  if (args.tls) {
+    options.ssl = true
+    if (args.tls.ca !== undefined) options.sslCA = [].concat(args.tls.ca)
+    if (args.tls.cert !== undefined) options.sslCert = args.tls.cert
+    if (args.tls.key !== undefined) options.sslKey = args.tls.key
+    if (args.tls.passphrase !== undefined) options.sslPass = args.tls.passphrase
+  }
+
+  return options
+}
+
 /**
  * Establish a connection to the mongo oplog collection
- * @param  {string}       oplogURL    The mongodb connection string
- * @param  {function}     log         A function that can log strings
- * @param  {?Credentials} credentials Optional mongodb credentials
- * @return {Promise<Collection>}      A Promise resolving to the oplog collection
+ * @param  {string}   oplogURL  The mongodb connection string
+ * @param  {Logger}   logger    A leveled logger
+ * @param  {?object}  options   Options for the MongoClient constructor, see clientOptions()
+ * @param  {?boolean} skipOplog True if the oplog collection is not needed (change streams and mongos)
+ * @param  {?number}  attempt   The number of the connection attempt, for the logs
+ * @return {Promise<object>}    A Promise resolving to the connected client and the oplog collection (null if skipped)
  * @private
  */
-function connectToMongo (oplogURL, log, credentials) {
-  log('Connecting to mongodb: ' + oplogURL)
-  const options = credentials
-    ? {
-      auth: {
-        user: credentials.username,
-        password: credentials.password
-      },
-      authSource: 'adming'
-    }
-    : {}
-  return new MongoClient(oplogURL, options)
+function connectToMongo (oplogURL, logger, options, skipOplog, attempt) {
+  const fields = { url: redactURL(oplogURL), attempt: attempt || 1 }
+  logger.debug(fields, 'Connecting to mongodb')
+  return new MongoClient(oplogURL, options || {})
     .connect()
     .then((client) => {
-      return getOplogCollection(client.db('local'), log)
+      if (skipOplog) return { client, oplog: null }
+      return getOplogCollection(client.db('local'), logger)
+        .then((oplog) => ({ client, oplog }))
+    })
+    .catch((error) => {
+      logger.warn(Object.assign({ err: error }, fields), 'Connecting to mongodb failed')
+      throw error
     })
 }
 
+/**
+ * Use a connection that was passed in instead of connecting to mongodb
+ * @param  {?MongoClient} client    A connected MongoClient
+ * @param  {?Db}          db        A handle of the local database, if no client is given
+ * @param  {Logger}       logger    A leveled logger
+ * @param  {?boolean}     skipOplog True if the oplog collection is not needed (change streams and mongos)
+ * @return {Promise<object>}        A Promise resolving to the client (null if only db is given) and the oplog collection (null if skipped)
+ * @private
+ */
+function useConnection (client, db, logger, skipOplog) {
+  logger.debug('Using the mongodb connection that was passed in')
+  if (skipOplog) return Promise.resolve({ client, oplog: null })
+  return getOplogCollection(db || client.db('local'), logger)
+    .then((oplog) => ({ client, oplog }))
+}
+
 /**
  * Return a promise to the oplog collection. Rejects if the database has no oplog
  * @param  {object}   db            A mongodb database Handle
- * @param  {function} log           A function that can log strings
+ * @param  {Logger}   logger        A leveled logger
  * @return {Promise<Collection>}    A promise resolving to the oplog collection
  * @private
  */
-function getOplogCollection (db, log) {
+function getOplogCollection (db, logger) {
   return new Promise((resolve, reject) => {
     db.collection('oplog.rs', { strict: true }, (error, oplog) => {
       if (error) {
-        log(error)
+        logger.debug({ err: error, ns: 'local.oplog.rs' }, 'Oplog collection not found, trying the master/slave oplog')
         db.collection('oplog.$main', { strict: true }, (error2, mainOplog) => {
           if (error2) {
-            log(error2)
+            logger.error({ err: error2, ns: 'local.oplog.$main' }, 'Oplog collection not found')
             return reject(new Error('Could not find oplog collection. Make sure mongodb is configured for replication'))
           }
           resolve(mainOplog)
@@ -247,3 +1339,13 @@ function getLastTimestamp () {
 }
 
 module.exports = OplogEmitter
+module.exports.FileCheckpointStore = checkpoint.FileCheckpointStore
+module.exports.MongoCheckpointStore = checkpoint.MongoCheckpointStore
+module.exports.OplogRolloverError = OplogRolloverError
+module.exports.EJSON = ejson
+module.exports.AMQPSink = sinks.AMQPSink
+module.exports.FileSink = sinks.FileSink
+module.exports.KafkaSink = sinks.KafkaSink
+module.exports.RedisStreamSink = sinks.RedisStreamSink
+module.exports.WebhookSink = sinks.WebhookSink
+module.exports.toPrometheus = metrics.toPrometheus
@@ -0,0 +1,85 @@
+'use strict'
+
+let bunyan = require('bunyan')
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error']
+
+let rootLogger = null
+
+/**
+ * A leveled logger, such as a bunyan or pino logger. Every function takes an object of fields and a message.
+ * @typedef {object} Logger
+ * @property {function} debug Logs routine steps: connecting, opening cursors
+ * @property {function} info  Logs changes of state: reconnects, shards that were added or removed
+ * @property {function} warn  Logs failures the emitter recovers from
+ * @property {function} error Logs failures it does not recover from
+ * @public
+ */
+
+/**
+ * Whether an object can be used as a Logger
+ * @param  {*}       logger The object to check
+ * @return {boolean}        True if it has a function for every level
+ * @private
+ */
+function isLogger (logger) {
+  return typeof logger === 'object' && logger !== null && LOG_LEVELS.every((level) => typeof logger[level] === 'function')
+}
+
+/**
+ * Get the default logger: a child of a bunyan logger that is created once and shared by all emitters
+ * @param  {string} level The minimum level to log
+ * @return {Logger}       The logger
+ * @private
+ */
+function defaultLogger (level) {
+  if (rootLogger === null) rootLogger = bunyan.createLogger({ name: 'oplog-emitter', serializers: bunyan.stdSerializers })
+  return rootLogger.child({ level })
+}
+
+/**
+ * Wrap a function that logs strings into a Logger
+ * @param  {function} log   A function taking a message and the fields logged with it
+ * @param  {string}   level The minimum level to log
+ * @return {Logger}         The logger, which passes the messages and fields of the enabled levels to log
+ * @private
+ */
+function functionLogger (log, level) {
+  const minimum = LOG_LEVELS.indexOf(level)
+  let logger = {}
+  LOG_LEVELS.forEach((name, index) => {
+    logger[name] = index < minimum ? () => {} : (fields, message) => log(message, fields)
+  })
+  return logger
+}
+
+/**
+ * Hide the password in a mongodb connection string
+ * @param  {?string} url The connection string
+ * @return {?string}     The connection string with the password replaced by asterisks
+ * @private
+ */
+function redactURL (url) {
+  if (typeof url !== 'string') return url
+  return url.replace(/^(mongodb(?:\+srv)?:\/\/[^:@/]*):[^@/]*@/, '$1:****@')
+}
+
+/**
+ * Format a mongodb Timestamp as a log field
+ * @param  {?Timestamp} timestamp The timestamp
+ * @return {?object}              The seconds (t) and the increment (i) of the timestamp
+ * @private
+ */
+function formatTimestamp (timestamp) {
+  if (!timestamp) return null
+  return { t: timestamp.getHighBits(), i: timestamp.getLowBits() >>> 0 }
+}
+
+module.exports = {
+  defaultLogger,
+  formatTimestamp,
+  functionLogger,
+  isLogger,
+  LOG_LEVELS,
+  redactURL
+}
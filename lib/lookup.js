@@ -0,0 +1,124 @@
+'use strict'
+
+let projectDocument = require('./projection').projectDocument
+let splitNamespace = require('./command').splitNamespace
+
+// The number of entries waiting for their lookups before the tailable cursor is paused
+const LOOKUP_QUEUE_SIZE = 1000
+
+/**
+ * Fetches the current version of updated documents. The lookups requested in the same tick are batched into a single
+ * find() with `$in` on `_id` per namespace, and the documents are attached to the payloads as `fullDocument`
+ * (null if the document no longer exists), with the projection of the emitter applied.
+ * @class DocumentLookup
+ * @param {object} options An object with the client (a function returning a promise to the connected mongodb client),
+ *                         onAvailable (called when there is room for more entries) and projection (null for none) settings
+ * @private
+ */
+class DocumentLookup {
+  constructor (options) {
+    this.client = options.client
+    this.onAvailable = options.onAvailable
+    this.projection = options.projection || null
+    this.batch = null
+    this.pending = 0
+  }
+
+  /**
+   * Whether too many entries are waiting for their lookups
+   * @return {boolean} True if no more entries should be read until some lookups complete
+   * @private
+   */
+  isFull () {
+    return this.pending >= LOOKUP_QUEUE_SIZE
+  }
+
+  /**
+   * Look up the documents of the update payloads of an oplog entry
+   * @param  {Array<object>} payloads The payloads of the `update` events: oplog entries or NormalizedEvents
+   * @return {Promise}                A promise resolving once fullDocument is set on every payload
+   * @private
+   */
+  fetch (payloads) {
+    const updates = payloads.filter((payload) => payload.operationType !== 'replace')
+    if (updates.length === 0) return Promise.resolve()
+
+    if (this.batch === null) this.batch = this.createBatch()
+    const namespaces = this.batch.namespaces
+    updates.forEach((payload) => {
+      const ns = payload.ns || `${payload.db}.${payload.coll}`
+      const id = (payload.o2 || payload.documentKey)._id
+      const key = idKey(id)
+      if (!namespaces.has(ns)) namespaces.set(ns, new Map())
+      if (!namespaces.get(ns).has(key)) namespaces.get(ns).set(key, { id, payloads: [] })
+      namespaces.get(ns).get(key).payloads.push(payload)
+    })
+
+    this.pending++
+    return this.batch.promise.then(() => {
+      this.pending--
+      this.onAvailable()
+    }, (error) => {
+      this.pending--
+      throw error
+    })
+  }
+
+  /**
+   * Start a batch of lookups that is sent once the current tick is over
+   * @return {object} The batch, with the requested ids per namespace and a promise resolving once they are fetched
+   * @private
+   */
+  createBatch () {
+    let batch = { namespaces: new Map() }
+    batch.promise = new Promise((resolve) => setImmediate(resolve))
+      .then(() => {
+        if (this.batch === batch) this.batch = null
+        return this.client()
+      })
+      .then((client) => {
+        if (!client) throw new Error('Cannot look up updated documents without a connection to mongodb')
+        return Promise.all(Array.from(batch.namespaces).map((pair) => lookupNamespace(client, pair[0], pair[1], this.projection)))
+      })
+    return batch
+  }
+}
+
+/**
+ * Fetch the documents of one namespace and attach them to the payloads that requested them
+ * @param  {MongoClient} client     A connected mongodb client
+ * @param  {string}      ns         The namespace of the documents
+ * @param  {Map}         requests   The requested ids and their payloads, keyed by idKey()
+ * @param  {?object}     projection The compiled projection to apply to the documents
+ * @return {Promise}                A promise resolving once the documents are attached
+ * @private
+ */
+function lookupNamespace (client, ns, requests, projection) {
+  const namespace = splitNamespace(ns)
+  const ids = Array.from(requests.values()).map((request) => request.id)
+
+  return client.db(namespace.db).collection(namespace.coll).find({ _id: { $in: ids } }).toArray()
+    .then((documents) => {
+      requests.forEach((request) => request.payloads.forEach((payload) => { payload.fullDocument = null }))
+      documents.forEach((document) => {
+        const request = requests.get(idKey(document._id))
+        const fullDocument = projection ? projectDocument(projection, document) : document
+        if (request) request.payloads.forEach((payload) => { payload.fullDocument = fullDocument })
+      })
+    })
+}
+
+/**
+ * Turn an _id into a string that only equals the key of an equal _id
+ * @param  {*}      id The _id of a document
+ * @return {string}    A key for the _id
+ * @private
+ */
+function idKey (id) {
+  const type = id !== null && typeof id === 'object' ? id._bsontype || 'object' : typeof id
+  return `${type}:${JSON.stringify(id)}`
+}
+
+module.exports = {
+  DocumentLookup
+}
@@ -0,0 +1,176 @@
+'use strict'
+
+// Events that carry the payload of an entry again, on top of the event for its operation type
+const AGGREGATE_EVENTS = ['op', 'transaction']
+
+const OPERATION_TYPES = ['insert', 'update', 'delete', 'command', 'noop']
+
+/**
+ * A snapshot of the metrics of an emitter
+ * @typedef {object} Stats
+ * @property {object} events         The number of insert, update, delete, command and noop events emitted by the emitter and its subscriptions
+ * @property {number} filtered       The number of oplog entries that were read but fired no events
+ * @property {?Timestamp} processed  The timestamp of the last processed entry
+ * @property {?Date} processedAt     When the last entry was processed
+ * @property {?Timestamp} newest     The timestamp of the newest entry in the oplog when it was last sampled
+ * @property {?Timestamp} oldest     The timestamp of the oldest entry in the oplog when it was last sampled
+ * @property {?number} lag           The number of seconds between the last entry that was read (filtered out or not) and the newest entry in the oplog
+ * @property {?number} window        The number of seconds between the oldest and the newest entry in the oplog
+ * @property {number} reconnects     The number of times the emitter reconnected
+ * @public
+ */
+
+/**
+ * Collects the counters and gauges returned by OplogEmitter.stats()
+ * @class Metrics
+ * @private
+ */
+class Metrics {
+  constructor () {
+    this.events = { insert: 0, update: 0, delete: 0, command: 0, noop: 0 }
+    this.filtered = 0
+    this.processed = null
+    this.processedAt = null
+    this.lastRead = null
+    this.newest = null
+    this.oldest = null
+    this.reconnects = 0
+  }
+
+  /**
+   * Count the events fired for an oplog entry
+   * @param  {Array}     deliveries A list of [emitter, events] pairs, as returned by routeEvent() for every target
+   * @return {undefined}            Returns void
+   * @private
+   */
+  count (deliveries) {
+    let fired = false
+    deliveries.forEach((delivery) => delivery[1].forEach((event) => {
+      fired = true
+      if (AGGREGATE_EVENTS.indexOf(event[0]) !== -1) return
+      this.events[OPERATION_TYPES.indexOf(event[0]) === -1 ? 'command' : event[0]]++
+    }))
+    if (!fired) this.filtered++
+  }
+
+  /**
+   * Record that all entries up to a timestamp are processed
+   * @param  {Timestamp} timestamp The timestamp of the processed entry
+   * @return {undefined}           Returns void
+   * @private
+   */
+  process (timestamp) {
+    this.processed = timestamp
+    this.processedAt = new Date()
+  }
+
+  /**
+   * Record how far the oplog was read, including the entries that fired no events or were filtered out on the server
+   * @param  {Timestamp} timestamp The timestamp of the last entry that was read
+   * @return {undefined}           Returns void
+   * @private
+   */
+  read (timestamp) {
+    this.lastRead = timestamp
+  }
+
+  /**
+   * Record the timestamps of the oldest and the newest entry in the oplog
+   * @param  {?Timestamp} oldest The timestamp of the oldest entry, null if the oplog is empty
+   * @param  {?Timestamp} newest The timestamp of the newest entry, null if the oplog is empty
+   * @return {undefined}         Returns void
+   * @private
+   */
+  sample (oldest, newest) {
+    this.oldest = oldest
+    this.newest = newest
+  }
+
+  /**
+   * Take a snapshot of the metrics
+   * @return {Stats}     The current metrics
+   * @private
+   */
+  snapshot () {
+    return {
+      events: Object.assign({}, this.events),
+      filtered: this.filtered,
+      processed: this.processed,
+      processedAt: this.processedAt,
+      newest: this.newest,
+      oldest: this.oldest,
+      lag: this.lastRead && this.newest ? Math.max(0, this.newest.getHighBits() - this.lastRead.getHighBits()) : null,
+      window: this.oldest && this.newest ? this.newest.getHighBits() - this.oldest.getHighBits() : null,
+      reconnects: this.reconnects
+    }
+  }
+}
+
+/**
+ * Look up the timestamp of the newest entry in the oplog
+ * @param  {Collection} oplog    The oplog collection
+ * @return {Promise<?Timestamp>} A promise resolving to the timestamp, or null if the oplog is empty
+ * @private
+ */
+function newestTimestamp (oplog) {
+  return Promise.resolve(oplog.findOne({}, { sort: { $natural: -1 }, projection: { ts: 1 } }))
+    .then((entry) => entry ? entry.ts : null)
+}
+
+/**
+ * Render the stats of an emitter in the Prometheus text exposition format. Metrics without a value are left out.
+ * @example
+ * http.createServer((req, res) => {
+ *   res.setHeader('Content-Type', 'text/plain; version=0.0.4')
+ *   res.end(OplogEmitter.toPrometheus(emitter.stats()))
+ * }).listen(9100)
+ *
+ * @param  {Stats}   stats   The result of OplogEmitter.stats()
+ * @param  {?object} options An object with the prefix of the metric names (defaults to 'oplog_emitter') and labels to add to every sample
+ * @return {string}          The metrics
+ * @public
+ */
+function toPrometheus (stats, options) {
+  options = Object.assign({ prefix: 'oplog_emitter', labels: {} }, options)
+  const labels = (extra) => {
+    const values = Object.assign({}, options.labels, extra)
+    const pairs = Object.keys(values).map((name) => `${name}="${escapeLabel(String(values[name]))}"`)
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : ''
+  }
+  let lines = []
+  const metric = (name, type, help, samples) => {
+    samples = samples.filter((sample) => sample[1] !== null)
+    if (samples.length === 0) return
+    lines.push(`# HELP ${options.prefix}_${name} ${help}`, `# TYPE ${options.prefix}_${name} ${type}`)
+    samples.forEach((sample) => lines.push(`${options.prefix}_${name}${labels(sample[0])} ${sample[1]}`))
+  }
+
+  metric('events_total', 'counter', 'Events emitted per operation type',
+    OPERATION_TYPES.map((type) => [{ operation: type }, stats.events[type]]))
+  metric('filtered_total', 'counter', 'Oplog entries that were read but fired no events', [[{}, stats.filtered]])
+  metric('processed_timestamp_seconds', 'gauge', 'Timestamp of the last processed oplog entry',
+    [[{}, stats.processed && stats.processed.getHighBits()]])
+  metric('processed_time_seconds', 'gauge', 'Time at which the last oplog entry was processed',
+    [[{}, stats.processedAt && stats.processedAt.getTime() / 1000]])
+  metric('lag_seconds', 'gauge', 'Seconds between the last read and the newest oplog entry', [[{}, stats.lag]])
+  metric('window_seconds', 'gauge', 'Seconds between the oldest and the newest oplog entry', [[{}, stats.window]])
+  metric('reconnects_total', 'counter', 'Reconnections to mongodb', [[{}, stats.reconnects]])
+
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * Escape a label value for the Prometheus text exposition format
+ * @param  {string} value The label value
+ * @return {string}       The escaped value
+ * @private
+ */
+function escapeLabel (value) {
+  return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+}
+
+module.exports = {
+  Metrics,
+  newestTimestamp,
+  toPrometheus
+}
@@ -0,0 +1,183 @@
+'use strict'
+
+let splitNamespace = require('./command').splitNamespace
+
+const OPERATION_TYPES = {
+  i: 'insert',
+  u: 'update',
+  d: 'delete',
+  c: 'command',
+  n: 'noop'
+}
+
+/**
+ * An oplog entry in a format that does not require knowledge of the oplog internals
+ * @typedef {object} NormalizedEvent
+ * @property {string} operationType              insert, update, replace (an update that replaced the whole document), delete or command
+ * @property {string} db                         The database of the document
+ * @property {?string} coll                      The collection of the document
+ * @property {?object} documentKey               The _id (and shard key) of the document
+ * @property {?object} fullDocument              The inserted document, the new document of a replace, or the looked up document of an update
+ * @property {?UpdateDescription} updateDescription The fields that were changed by an update
+ * @property {Timestamp} ts                      The timestamp of the oplog entry
+ * @property {?Date} wallTime                    The wall clock time of the oplog entry, if the server records it
+ * @property {object} raw                        The oplog entry (or operation of a transaction) this event was created from
+ * @property {?object} lsid                      The session of the transaction the operation is part of
+ * @property {?number} txnNumber                 The number of the transaction within its session
+ * @property {?boolean} endOfTransaction         Whether this is the last operation of its transaction
+ * @public
+ */
+
+/**
+ * The fields that were changed by an update
+ * @typedef {object} UpdateDescription
+ * @property {object} updatedFields         A map of dotted field paths to their new value
+ * @property {Array<string>} removedFields  The dotted paths of the fields that were removed
+ * @property {Array<object>} truncatedArrays The arrays that were shortened, as objects with a field and a newSize
+ * @public
+ */
+
+/**
+ * Convert an oplog entry into a NormalizedEvent
+ * @param  {object} entry An oplog entry, or an operation of a transaction
+ * @return {NormalizedEvent} The normalized event
+ * @private
+ */
+function normalize (entry) {
+  const namespace = splitNamespace(entry.ns)
+  let event = {
+    operationType: OPERATION_TYPES[entry.op] || entry.op,
+    db: namespace.db,
+    coll: namespace.coll,
+    documentKey: null,
+    fullDocument: null,
+    updateDescription: null,
+    ts: entry.ts,
+    wallTime: entry.wall || null,
+    raw: entry
+  }
+
+  switch (entry.op) {
+    case 'i':
+      event.documentKey = entry.o2 || { _id: entry.o._id }
+      event.fullDocument = entry.o
+      break
+    case 'd':
+      event.documentKey = entry.o
+      break
+    case 'u':
+      event.documentKey = entry.o2
+      event.updateDescription = decodeUpdate(entry.o)
+      if (event.updateDescription === null) {
+        event.operationType = 'replace'
+        event.fullDocument = entry.o
+      } else if (entry.fullDocument !== undefined) {
+        event.fullDocument = entry.fullDocument
+      }
+  }
+
+  if (entry.txnNumber !== undefined) {
+    event.lsid = entry.lsid
+    event.txnNumber = entry.txnNumber
+    event.endOfTransaction = entry.endOfTransaction
+  }
+
+  return event
+}
+
+/**
+ * Decode the `o` field of an update oplog entry, in either the $set/$unset format or the `$v: 2` diff format
+ * @param  {object} update The `o` field of an update oplog entry
+ * @return {?UpdateDescription} The changed fields, or null if the update replaced the whole document
+ * @private
+ */
+function decodeUpdate (update) {
+  let description = {
+    updatedFields: {},
+    removedFields: [],
+    truncatedArrays: []
+  }
+
+  if (update.$v === 2 || update.diff !== undefined) {
+    applyObjectDiff(update.diff || {}, '', description)
+    return description
+  }
+
+  const operators = Object.keys(update).filter((key) => key[0] === '$' && key !== '$v')
+  if (operators.length === 0) return null
+
+  if (update.$set) Object.assign(description.updatedFields, update.$set)
+  if (update.$unset) description.removedFields = Object.keys(update.$unset)
+  return description
+}
+
+/**
+ * Add the changes of a `$v: 2` object diff to an UpdateDescription
+ * @param  {object}            diff        The diff of an object
+ * @param  {string}            path        The dotted path of the object, empty for the document itself
+ * @param  {UpdateDescription} description The description to add the changes to
+ * @return {undefined}                     Returns void
+ * @private
+ */
+function applyObjectDiff (diff, path, description) {
+  Object.keys(diff).forEach((key) => {
+    const value = diff[key]
+    if (key === 'u' || key === 'i') {
+      Object.keys(value).forEach((field) => { description.updatedFields[joinPath(path, field)] = value[field] })
+    } else if (key === 'd') {
+      Object.keys(value).forEach((field) => description.removedFields.push(joinPath(path, field)))
+    } else if (key[0] === 's') {
+      applyDiff(value, joinPath(path, key.slice(1)), description)
+    }
+  })
+}
+
+/**
+ * Add the changes of a `$v: 2` array diff to an UpdateDescription
+ * @param  {object}            diff        The diff of an array, marked with `a: true`
+ * @param  {string}            path        The dotted path of the array
+ * @param  {UpdateDescription} description The description to add the changes to
+ * @return {undefined}                     Returns void
+ * @private
+ */
+function applyArrayDiff (diff, path, description) {
+  Object.keys(diff).forEach((key) => {
+    const value = diff[key]
+    if (key === 'l') {
+      description.truncatedArrays.push({ field: path, newSize: value })
+    } else if (key[0] === 'u') {
+      description.updatedFields[joinPath(path, key.slice(1))] = value
+    } else if (key[0] === 's') {
+      applyDiff(value, joinPath(path, key.slice(1)), description)
+    }
+  })
+}
+
+/**
+ * Add the changes of a nested `$v: 2` diff, which is either an array or an object diff
+ * @param  {object}            diff        The nested diff
+ * @param  {string}            path        The dotted path of the nested field
+ * @param  {UpdateDescription} description The description to add the changes to
+ * @return {undefined}                     Returns void
+ * @private
+ */
+function applyDiff (diff, path, description) {
+  if (diff.a === true) return applyArrayDiff(diff, path, description)
+  applyObjectDiff(diff, path, description)
+}
+
+/**
+ * Append a field to a dotted path
+ * @param  {string} path  The dotted path, empty for the top level
+ * @param  {string} field The field name
+ * @return {string}       The dotted path of the field
+ * @private
+ */
+function joinPath (path, field) {
+  return path === '' ? field : `${path}.${field}`
+}
+
+module.exports = {
+  decodeUpdate,
+  normalize
+}
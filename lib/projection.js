@@ -0,0 +1,192 @@
+'use strict'
+
+let isDocument = require('./query').isDocument
+
+/**
+ * Validate the project and redact options and compile them into trees of the fields to keep and to remove
+ * @param  {OplogOptions} args The constructor options
+ * @return {?object}           The compiled projection, null if neither option is given
+ * @throws {TypeError}         The options must be arrays of field paths, and redact cannot remove the _id
+ * @private
+ */
+function createProjection (args) {
+  if (args.project === undefined && args.redact === undefined) return null
+
+  let include = null
+  if (args.project !== undefined) {
+    // Like in mongodb projections, the _id is kept unless it is excluded, which events need for their documentKey
+    include = ['_id'].concat(validatePaths(args.project, 'project')).reduce(addPath, Object.create(null))
+  }
+
+  let exclude = null
+  if (args.redact !== undefined) {
+    const paths = validatePaths(args.redact, 'redact')
+    if (paths.some((path) => path.split('.')[0] === '_id')) throw new TypeError('redact cannot remove the _id')
+    exclude = paths.reduce(addPath, Object.create(null))
+  }
+
+  return { include, exclude }
+}
+
+/**
+ * Check that an option is an array of dotted field paths
+ * @param  {*}             paths The value of the option
+ * @param  {string}        name  The name of the option, for the error message
+ * @return {Array<string>}       The paths
+ * @throws {TypeError}           when it is not an array of non-empty paths
+ * @private
+ */
+function validatePaths (paths, name) {
+  if (!Array.isArray(paths) || paths.some((path) => typeof path !== 'string' || path.split('.').indexOf('') !== -1)) {
+    throw new TypeError(`${name} should be an array of field paths`)
+  }
+  return paths
+}
+
+/**
+ * Add a dotted path to a tree of fields, in which true marks a whole field
+ * @param  {object} tree The tree
+ * @param  {string} path The dotted path
+ * @return {object}      The tree
+ * @private
+ */
+function addPath (tree, path) {
+  const segments = path.split('.')
+  const head = segments[0]
+  if (segments.length === 1) tree[head] = true
+  else if (tree[head] !== true) addPath(tree[head] = tree[head] || Object.create(null), segments.slice(1).join('.'))
+  return tree
+}
+
+/**
+ * Apply a projection to the documents of an insert, update or delete: the document in `o` (or the fields changed by an
+ * update, in either the $set/$unset or the `$v: 2` diff format), the _id in `o2` and a fullDocument
+ * @param  {object} projection The compiled projection
+ * @param  {object} entry      An oplog entry or an operation of a transaction
+ * @return {object}            A copy of the entry with the projected documents
+ * @private
+ */
+function projectEntry (projection, entry) {
+  let projected = Object.assign({}, entry)
+  if (isDocument(entry.o)) projected.o = entry.op === 'u' ? projectUpdate(entry.o, projection) : projectValue(entry.o, projection)
+  if (isDocument(entry.o2)) projected.o2 = projectValue(entry.o2, projection)
+  if (isDocument(entry.fullDocument)) projected.fullDocument = projectValue(entry.fullDocument, projection)
+  return projected
+}
+
+/**
+ * Apply a projection to a document
+ * @param  {object} projection The compiled projection
+ * @param  {object} document   The document, e.g. one that was looked up
+ * @return {object}            A copy of the document with the projected fields
+ * @private
+ */
+function projectDocument (projection, document) {
+  return projectValue(document, projection)
+}
+
+/**
+ * Apply the part of a projection below a field to its value
+ * @param  {*}      value  The value of the field
+ * @param  {object} fields The include and exclude trees of the field, where an include of true or null keeps everything
+ * @return {*}             The projected value, or undefined if nothing of it is kept
+ * @private
+ */
+function projectValue (value, fields) {
+  const whole = fields.include === null || fields.include === true
+  if (whole && fields.exclude === null) return value
+  if (Array.isArray(value)) return value.map((item) => projectValue(item, fields)).filter((item) => item !== undefined)
+  // A value that is not a document has no fields to select
+  if (!isDocument(value)) return whole ? value : undefined
+
+  return Object.keys(value).reduce((result, key) => {
+    const child = descend(fields, key)
+    const projected = child === null ? undefined : projectValue(value[key], child)
+    if (projected !== undefined) result[key] = projected
+    return result
+  }, {})
+}
+
+/**
+ * Apply a projection to the `o` field of an update
+ * @param  {object} update The update, in the $set/$unset or the `$v: 2` diff format, or the replacement document
+ * @param  {object} fields The include and exclude trees
+ * @return {object}        The projected update. Operators whose fields are all removed are kept, so it is still an update
+ * @private
+ */
+function projectUpdate (update, fields) {
+  if (update.$v === 2 || update.diff !== undefined) return Object.assign({}, update, { diff: projectDiff(update.diff || {}, fields) })
+
+  const operators = Object.keys(update).filter((key) => key[0] === '$' && key !== '$v')
+  if (operators.length === 0) return projectValue(update, fields)
+
+  return Object.keys(update).reduce((result, key) => {
+    result[key] = operators.indexOf(key) !== -1 && isDocument(update[key]) ? projectPaths(update[key], fields, key === '$unset') : update[key]
+    return result
+  }, {})
+}
+
+/**
+ * Apply a projection to a `$v: 2` diff of an object or an array
+ * @param  {object} diff   The diff
+ * @param  {object} fields The include and exclude trees of the object or array
+ * @return {object}        The projected diff
+ * @private
+ */
+function projectDiff (diff, fields) {
+  const array = diff.a === true
+  return Object.keys(diff).reduce((result, key) => {
+    const value = diff[key]
+    let projected = value
+    if (array && key[0] === 'u') {
+      projected = projectValue(value, fields)
+    } else if (array && key[0] === 's') {
+      projected = projectDiff(value, fields)
+    } else if (!array && (key === 'u' || key === 'i' || key === 'd')) {
+      projected = projectPaths(value, fields, key === 'd')
+    } else if (!array && key[0] === 's') {
+      const child = descend(fields, key.slice(1))
+      projected = child === null ? undefined : projectDiff(value, child)
+    }
+    if (projected !== undefined) result[key] = projected
+    return result
+  }, {})
+}
+
+/**
+ * Apply a projection to an object whose keys are dotted paths, such as a $set
+ * @param  {object}  object     The paths and their values
+ * @param  {object}  fields     The include and exclude trees
+ * @param  {boolean} keepValues True to keep the values of the paths that are kept as they are, as for $unset
+ * @return {object}             The projected object
+ * @private
+ */
+function projectPaths (object, fields, keepValues) {
+  return Object.keys(object).reduce((result, key) => {
+    // Positions in arrays are skipped: the projection applies to every element
+    const child = key.split('.').reduce((node, segment) => node === null || /^\d+$/.test(segment) ? node : descend(node, segment), fields)
+    const projected = child === null ? undefined : keepValues ? object[key] : projectValue(object[key], child)
+    if (projected !== undefined) result[key] = projected
+    return result
+  }, {})
+}
+
+/**
+ * Find the include and exclude trees of a field
+ * @param  {object} fields The include and exclude trees of the document the field is in
+ * @param  {string} key    The name of the field
+ * @return {?object}       The trees of the field, or null if it is not kept at all
+ * @private
+ */
+function descend (fields, key) {
+  const include = fields.include === null || fields.include === true ? fields.include : fields.include[key]
+  const exclude = fields.exclude === null ? null : fields.exclude[key] || null
+  if (include === undefined || exclude === true) return null
+  return { include, exclude }
+}
+
+module.exports = {
+  createProjection,
+  projectDocument,
+  projectEntry
+}
@@ -0,0 +1,397 @@
+'use strict'
+
+let ejson = require('./ejson')
+
+const LOGICAL_OPERATORS = ['$and', '$or', '$nor']
+const SERVER_OPERATORS = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin', '$exists']
+
+/**
+ * A query in the MongoDB query language, e.g. `{ 'o.tenantId': 'acme', 'o.total': { $gte: 100 } }`. Supported are
+ * equality, $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $exists, $regex (with $options i and m), $not, $size, $all,
+ * $elemMatch, $mod, $and, $or and $nor. Dotted paths reach into embedded documents and arrays as they do in mongodb.
+ *
+ * The query is matched against the raw oplog entry, whose `o` holds the update document for updates rather than the
+ * updated document: a changed field is found at `o.$set.status`, or at `o.diff.u.status` for the `$v: 2` updates of
+ * mongodb 5.0 and later, and a field an update does not change is not in the entry at all.
+ * @typedef {object} Query
+ * @public
+ */
+
+/**
+ * Compile a query into a predicate
+ * @param  {Query}    query The query
+ * @param  {string}   name  The name of the option, for the error messages
+ * @return {function}       A function returning true if the document passed to it matches the query
+ * @throws {TypeError}      when the query is not an object or uses an operator that is not supported
+ * @private
+ */
+function compileQuery (query, name) {
+  if (!isDocument(query)) throw new TypeError(`${name} should be a query object`)
+
+  const clauses = Object.keys(query).map((key) => {
+    if (LOGICAL_OPERATORS.indexOf(key) !== -1) return compileLogical(key, query[key], name)
+    if (key[0] === '$') throw new TypeError(`${name} does not support ${key}`)
+    return compileField(key.split('.'), query[key], name)
+  })
+  return (document) => clauses.every((clause) => clause(document))
+}
+
+/**
+ * Check whether the server selects the same oplog entries as compileQuery() for a query, so it can be added to the
+ * query of the cursor. That takes a query that only references fields in `o` and only uses equality, $eq, $ne, $gt,
+ * $gte, $lt, $lte, $in, $nin, $exists, $and, $or and $nor on strings, numbers, booleans, dates and ObjectIDs (and
+ * documents and arrays of them for equality). Paths through fields starting with $ like `o.$set.status`, which the
+ * query language reserves for operators, regular expressions (PCRE on the server), null (which the server also matches
+ * in arrays of values) and the other operators are only evaluated by the emitter.
+ * @param  {Query}   query The query, which compileQuery() accepted
+ * @return {boolean}       True if the server can evaluate the query
+ * @private
+ */
+function isOplogQuery (query) {
+  return Object.keys(query).every((key) => {
+    if (LOGICAL_OPERATORS.indexOf(key) !== -1) return query[key].every(isOplogQuery)
+    const path = key.split('.')
+    return path[0] === 'o' && path.every((segment) => segment[0] !== '$') && isServerCondition(query[key])
+  })
+}
+
+/**
+ * Check whether the server evaluates the condition on a field like compileField() does
+ * @param  {*}       condition The condition
+ * @return {boolean}           True if it only uses the operators and values of isOplogQuery()
+ * @private
+ */
+function isServerCondition (condition) {
+  if (!isOperatorDocument(condition)) return isServerValue(condition)
+  return Object.keys(condition).every((operator) => {
+    if (SERVER_OPERATORS.indexOf(operator) === -1) return false
+    const operand = condition[operator]
+    if (operator === '$exists') return true
+    if (operator === '$in' || operator === '$nin') return operand.every(isServerValue)
+    if (operator === '$eq' || operator === '$ne') return isServerValue(operand)
+    return isServerScalar(operand)
+  })
+}
+
+/**
+ * Check whether a value to compare with is a string, number, boolean, date or ObjectID, or a document or array of them
+ * @param  {*}       value The value in the query
+ * @return {boolean}       True if the server compares it like equals()
+ * @private
+ */
+function isServerValue (value) {
+  if (Array.isArray(value)) return value.every(isServerValue)
+  if (isDocument(value)) return Object.keys(value).every((key) => isServerValue(value[key]))
+  return isServerScalar(value)
+}
+
+/**
+ * Check whether a value to compare with is a string, number, boolean, date or ObjectID
+ * @param  {*}       value The value in the query
+ * @return {boolean}       True if the server orders it like compare()
+ * @private
+ */
+function isServerScalar (value) {
+  if (typeof value === 'number') return !isNaN(value)
+  if (typeof value === 'string' || typeof value === 'boolean') return true
+  if (value instanceof Date) return !isNaN(value.getTime())
+  return value !== null && typeof value === 'object' && value._bsontype === 'ObjectID'
+}
+
+/**
+ * Compile $and, $or or $nor
+ * @param  {string}       operator The logical operator
+ * @param  {Array<Query>} queries  Its operand
+ * @param  {string}       name     The name of the option, for the error messages
+ * @return {function}              A predicate on documents
+ * @throws {TypeError}             when the operand is not a non-empty array of queries
+ * @private
+ */
+function compileLogical (operator, queries, name) {
+  if (!Array.isArray(queries) || queries.length === 0) throw new TypeError(`${name}: ${operator} should be a non-empty array of queries`)
+
+  const predicates = queries.map((query) => compileQuery(query, name))
+  if (operator === '$and') return (document) => predicates.every((predicate) => predicate(document))
+  if (operator === '$or') return (document) => predicates.some((predicate) => predicate(document))
+  return (document) => !predicates.some((predicate) => predicate(document))
+}
+
+/**
+ * Compile the condition on a field: a value it should equal, a regular expression or a document of operators
+ * @param  {Array<string>} path      The segments of the dotted path of the field
+ * @param  {*}             condition The condition
+ * @param  {string}        name      The name of the option, for the error messages
+ * @return {function}                A predicate on documents
+ * @private
+ */
+function compileField (path, condition, name) {
+  let test
+  if (condition instanceof RegExp) test = compileOperator('$regex', condition, undefined, name)
+  else if (isOperatorDocument(condition)) test = compileOperators(condition, name)
+  else test = compileOperator('$eq', condition, undefined, name)
+  return (document) => test(resolvePath(document, path, 0))
+}
+
+/**
+ * Compile a document of operators, all of which have to match
+ * @param  {object}   condition The operators and their operands, e.g. { $gt: 1, $lt: 5 }
+ * @param  {string}   name      The name of the option, for the error messages
+ * @return {function}           A predicate on the values at a path
+ * @throws {TypeError}          when $options is used without $regex
+ * @private
+ */
+function compileOperators (condition, name) {
+  if (condition.$options !== undefined && condition.$regex === undefined) throw new TypeError(`${name}: $options needs $regex`)
+
+  const tests = Object.keys(condition)
+    .filter((operator) => operator !== '$options')
+    .map((operator) => compileOperator(operator, condition[operator], condition.$options, name))
+  return (values) => tests.every((test) => test(values))
+}
+
+/**
+ * Compile a single operator
+ * @param  {string}   operator The operator, such as $gt
+ * @param  {*}        operand  Its operand
+ * @param  {?string}  options  The $options of a $regex
+ * @param  {string}   name     The name of the option, for the error messages
+ * @return {function}          A predicate on the values at a path, as returned by resolvePath()
+ * @throws {TypeError}         when the operator is not supported or its operand is not valid
+ * @private
+ */
+function compileOperator (operator, operand, options, name) {
+  const invalid = (expected) => new TypeError(`${name}: ${operator} should be ${expected}`)
+
+  switch (operator) {
+    case '$eq':
+      return (values) => expand(values).some((value) => equals(value, operand))
+    case '$ne':
+      return (values) => !expand(values).some((value) => equals(value, operand))
+    case '$gt':
+      return (values) => expand(values).some((value) => compare(value, operand) > 0)
+    case '$gte':
+      return (values) => expand(values).some((value) => compare(value, operand) >= 0)
+    case '$lt':
+      return (values) => expand(values).some((value) => compare(value, operand) < 0)
+    case '$lte':
+      return (values) => expand(values).some((value) => compare(value, operand) <= 0)
+    case '$in':
+    case '$nin': {
+      if (!Array.isArray(operand)) throw invalid('an array')
+      const matches = (value) => operand.some((item) => item instanceof RegExp ? typeof value === 'string' && item.test(value) : equals(value, item))
+      if (operator === '$in') return (values) => expand(values).some(matches)
+      return (values) => !expand(values).some(matches)
+    }
+    case '$exists':
+      return (values) => values.some((value) => value !== undefined) === !!operand
+    case '$regex': {
+      const regexp = toRegExp(operand, options)
+      if (regexp === null) throw invalid('a string or a regular expression, with $options i and m')
+      return (values) => expand(values).some((value) => typeof value === 'string' && regexp.test(value))
+    }
+    case '$not': {
+      let test
+      if (operand instanceof RegExp) test = compileOperator('$regex', operand, undefined, name)
+      else if (isOperatorDocument(operand)) test = compileOperators(operand, name)
+      else throw invalid('a document of operators or a regular expression')
+      return (values) => !test(values)
+    }
+    case '$size':
+      if (typeof operand !== 'number') throw invalid('a number')
+      return (values) => values.some((value) => Array.isArray(value) && value.length === operand)
+    case '$all': {
+      if (!Array.isArray(operand)) throw invalid('an array')
+      const tests = operand.map((item) => compileOperator('$eq', item, undefined, name))
+      return (values) => tests.length > 0 && tests.every((test) => test(values))
+    }
+    case '$elemMatch': {
+      if (!isDocument(operand)) throw invalid('a query or a document of operators')
+      if (isOperatorDocument(operand)) {
+        const test = compileOperators(operand, name)
+        return (values) => values.some((value) => Array.isArray(value) && value.some((item) => test([item])))
+      }
+      const predicate = compileQuery(operand, name)
+      return (values) => values.some((value) => Array.isArray(value) && value.some((item) => isDocument(item) && predicate(item)))
+    }
+    case '$mod': {
+      if (!Array.isArray(operand) || operand.length !== 2 || typeof operand[0] !== 'number' || typeof operand[1] !== 'number' || operand[0] === 0) {
+        throw invalid('an array of a divisor other than 0 and a remainder')
+      }
+      return (values) => expand(values).some((value) => {
+        const number = toNumber(value)
+        return number !== null && Math.trunc(number) % operand[0] === operand[1]
+      })
+    }
+    default:
+      throw new TypeError(`${name} does not support ${operator}`)
+  }
+}
+
+/**
+ * Find the values at a dotted path. Like in mongodb, a path continues into every document of an array it reaches, and
+ * a numeric segment also selects an element of an array.
+ * @param  {*}             value A document or a value inside it
+ * @param  {Array<string>} path  The segments of the path
+ * @param  {number}        index The segment to resolve next
+ * @return {Array}               The values at the path, with undefined for a missing field
+ * @private
+ */
+function resolvePath (value, path, index) {
+  if (index === path.length) return [value]
+  if (Array.isArray(value)) {
+    const position = /^\d+$/.test(path[index]) ? Number(path[index]) : -1
+    const values = position !== -1 && position < value.length ? resolvePath(value[position], path, index + 1) : []
+    return value.reduce((all, item) => isDocument(item) ? all.concat(resolvePath(item, path, index)) : all, values)
+  }
+  if (isDocument(value)) return resolvePath(value[path[index]], path, index + 1)
+  return [undefined]
+}
+
+/**
+ * Add the elements of arrays to the values at a path, since conditions match an array if they match one of its elements
+ * @param  {Array} values The values at a path
+ * @return {Array}        The values and the elements of those that are arrays
+ * @private
+ */
+function expand (values) {
+  return values.reduce((all, value) => Array.isArray(value) ? all.concat([value], value) : all.concat([value]), [])
+}
+
+/**
+ * Compare two values like mongodb does for equality: numbers of any type by value, BSON types by their contents and
+ * documents field by field, in order. A missing field equals null.
+ * @param  {*}       value   The value in the document
+ * @param  {*}       operand The value in the query
+ * @return {boolean}         True if they are equal
+ * @private
+ */
+function equals (value, operand) {
+  if (operand === null) return value === null || value === undefined
+  if (value === null || value === undefined || typeof operand !== 'object') {
+    const number = toNumber(value)
+    return number !== null && typeof operand === 'number' ? number === operand : value === operand
+  }
+
+  const numbers = [toNumber(value), toNumber(operand)]
+  if (numbers[0] !== null && numbers[1] !== null) return numbers[0] === numbers[1]
+  if (operand instanceof Date) return value instanceof Date && value.getTime() === operand.getTime()
+  if (operand instanceof RegExp) return value instanceof RegExp && String(value) === String(operand)
+  if (typeof operand._bsontype === 'string' || Buffer.isBuffer(operand)) {
+    return typeof value === 'object' && ejson.stringify(value, { relaxed: false }) === ejson.stringify(operand, { relaxed: false })
+  }
+  if (Array.isArray(operand)) {
+    return Array.isArray(value) && value.length === operand.length && value.every((item, index) => equals(item, operand[index]))
+  }
+
+  if (!isDocument(value)) return false
+  const keys = Object.keys(value)
+  const operandKeys = Object.keys(operand)
+  return keys.length === operandKeys.length && keys.every((key, index) => key === operandKeys[index] && equals(value[key], operand[key]))
+}
+
+/**
+ * Order two values of the same type: numbers (of any type), strings, dates, timestamps, ObjectIDs or booleans
+ * @param  {*}       value   The value in the document
+ * @param  {*}       operand The value in the query
+ * @return {number}          Less than, equal to or greater than 0 if the value is smaller, equal or greater; NaN if they
+ *                           cannot be compared, which no comparison matches
+ * @private
+ */
+function compare (value, operand) {
+  const numbers = [toNumber(value), toNumber(operand)]
+  if (numbers[0] !== null && numbers[1] !== null) {
+    // mongodb orders NaN before every other number
+    if (isNaN(numbers[0]) || isNaN(numbers[1])) return Number(!isNaN(numbers[0])) - Number(!isNaN(numbers[1]))
+    return numbers[0] - numbers[1]
+  }
+  if (value === null || value === undefined || operand === null || operand === undefined) return NaN
+  if (typeof value === 'string' && typeof operand === 'string') return compareStrings(value, operand)
+  if (typeof value === 'boolean' && typeof operand === 'boolean') return Number(value) - Number(operand)
+  if (value instanceof Date && operand instanceof Date) return value.getTime() - operand.getTime()
+  if (value._bsontype === 'Timestamp' && operand._bsontype === 'Timestamp') return value.compare(operand)
+  if (value._bsontype === 'ObjectID' && operand._bsontype === 'ObjectID') return compare(value.toHexString(), operand.toHexString())
+  return NaN
+}
+
+/**
+ * Order two strings like mongodb does, by their UTF-8 bytes. That is the order of their code points, which differs from
+ * the order of their UTF-16 code units for characters outside the basic multilingual plane.
+ * @param  {string} value   The string in the document
+ * @param  {string} operand The string in the query
+ * @return {number}         Less than, equal to or greater than 0 if the value is smaller, equal or greater
+ * @private
+ */
+function compareStrings (value, operand) {
+  const characters = [Array.from(value), Array.from(operand)]
+  const length = Math.min(characters[0].length, characters[1].length)
+  for (let index = 0; index < length; index++) {
+    const difference = characters[0][index].codePointAt(0) - characters[1][index].codePointAt(0)
+    if (difference !== 0) return difference
+  }
+  return characters[0].length - characters[1].length
+}
+
+/**
+ * Read the value of a javascript number or a BSON Long, Int32, Double or Decimal128
+ * @param  {*}       value Any value
+ * @return {?number}       The number, or null if the value is not a number
+ * @private
+ */
+function toNumber (value) {
+  if (typeof value === 'number') return value
+  if (value === null || typeof value !== 'object') return null
+  if (value._bsontype === 'Long') return value.toNumber()
+  if (value._bsontype === 'Int32' || value._bsontype === 'Double') return value.valueOf()
+  if (value._bsontype === 'Decimal128') return Number(value.toString())
+  return null
+}
+
+/**
+ * Build the regular expression of a $regex
+ * @param  {string|RegExp} pattern The pattern
+ * @param  {?string}       options The options, which replace the flags of a regular expression
+ * @return {?RegExp}               The regular expression without the stateful global and sticky flags, or null if the
+ *                                 pattern or options are not valid
+ * @private
+ */
+function toRegExp (pattern, options) {
+  if (options !== undefined && (typeof options !== 'string' || !/^[im]*$/.test(options))) return null
+  if (pattern instanceof RegExp) {
+    return new RegExp(pattern.source, options !== undefined ? options : (pattern.ignoreCase ? 'i' : '') + (pattern.multiline ? 'm' : ''))
+  }
+  if (typeof pattern !== 'string') return null
+  try {
+    return new RegExp(pattern, options)
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Check whether a value is an embedded document, rather than an array, a BSON value, a date or a regular expression
+ * @param  {*}       value Any value
+ * @return {boolean}       True if the value is a plain object
+ * @private
+ */
+function isDocument (value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && typeof value._bsontype !== 'string' &&
+    !(value instanceof Date) && !(value instanceof RegExp) && !Buffer.isBuffer(value)
+}
+
+/**
+ * Check whether a condition is a document of operators rather than a document to compare with
+ * @param  {*}       value The condition
+ * @return {boolean}       True if it is a document whose first key starts with $
+ * @private
+ */
+function isOperatorDocument (value) {
+  if (!isDocument(value)) return false
+  const keys = Object.keys(value)
+  return keys.length > 0 && keys[0][0] === '$'
+}
+
+module.exports = {
+  compileQuery,
+  isDocument,
+  isOplogQuery
+}
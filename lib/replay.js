@@ -0,0 +1,87 @@
+'use strict'
+
+let Timestamp = require('mongodb').Timestamp
+
+const OPERATION_TYPES = {
+  i: 'insert',
+  u: 'update',
+  d: 'delete',
+  c: 'command',
+  n: 'noop'
+}
+
+/**
+ * The range of the oplog to replay. Both ends are included; a Date includes every entry of its second.
+ * @typedef {object} ReplayOptions
+ * @property {Timestamp|Date} start The first timestamp to read
+ * @property {Timestamp|Date} end   The last timestamp to read
+ * @public
+ */
+
+/**
+ * What was read by a replay
+ * @typedef {object} ReplaySummary
+ * @property {Timestamp} start      The first timestamp of the range
+ * @property {Timestamp} end        The first timestamp after the range
+ * @property {number} count         The number of oplog entries that were read
+ * @property {object} operations    The number of entries read per type: insert, update, delete, command and noop
+ * @property {?Timestamp} first     The timestamp of the first entry that was read
+ * @property {?Timestamp} last      The timestamp of the last entry that was read
+ * @public
+ */
+
+/**
+ * Convert the replay option into the timestamps that bound the query
+ * @param  {ReplayOptions} replay The replay option
+ * @return {object}               An object with the start (included), end (excluded) and after (the timestamp
+ *                                right before start) timestamps
+ * @private
+ */
+function replayRange (replay) {
+  const start = replay.start instanceof Date
+    ? new Timestamp(0, Math.floor(replay.start.getTime() / 1000))
+    : replay.start
+  const end = replay.end instanceof Date
+    ? new Timestamp(0, Math.floor(replay.end.getTime() / 1000) + 1)
+    : replay.end.add(Timestamp.ONE)
+
+  return { start, end, after: start.subtract(Timestamp.ONE) }
+}
+
+/**
+ * Create an empty summary of a replay
+ * @param  {object}        range The range returned by replayRange()
+ * @return {ReplaySummary}       The summary
+ * @private
+ */
+function createSummary (range) {
+  return {
+    start: range.start,
+    end: range.end,
+    count: 0,
+    operations: { insert: 0, update: 0, delete: 0, command: 0, noop: 0 },
+    first: null,
+    last: null
+  }
+}
+
+/**
+ * Count an oplog entry in the summary of a replay
+ * @param  {ReplaySummary} summary The summary
+ * @param  {object}        entry   An oplog entry
+ * @return {undefined}             Returns void
+ * @private
+ */
+function addToSummary (summary, entry) {
+  summary.count++
+  const type = OPERATION_TYPES[entry.op]
+  if (type) summary.operations[type]++
+  if (summary.first === null) summary.first = entry.ts
+  summary.last = entry.ts
+}
+
+module.exports = {
+  addToSummary,
+  createSummary,
+  replayRange
+}
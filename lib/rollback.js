@@ -0,0 +1,166 @@
+'use strict'
+
+let Timestamp = require('mongodb').Timestamp
+
+// The events whose payloads are about a single document
+const DOCUMENT_EVENTS = ['insert', 'update', 'delete']
+
+// The events that carry no namespace of their own
+const AGGREGATE_EVENTS = ['op', 'transaction', 'noop']
+
+/**
+ * The entries that were read but no longer exist in the oplog, because the replica set rolled them back
+ * after a failover. The emitter reads on after commonPoint.
+ * @typedef {object} RollbackEvent
+ * @property {Timestamp} commonPoint          The newest remembered entry that is still in the oplog, or the one before the oldest if none is
+ * @property {Array<Timestamp>} timestamps    The timestamps of the entries that were rolled back
+ * @property {Array<string>} namespaces       The namespaces the events of these entries were about
+ * @property {Array<object>} documents        The documents that were inserted, updated or deleted, as objects with the ns and _id
+ * @public
+ */
+
+/**
+ * Remembers the most recently read entries, to drop entries that are read again and to find the entries that were
+ * rolled back. Entries are identified by their timestamp, term (t) and hash (h), or by the resume token of a change.
+ * @class EntryHistory
+ * @param {number} size The number of entries to remember, 0 to remember none
+ * @private
+ */
+class EntryHistory {
+  constructor (size) {
+    this.size = size
+    this.records = []
+    this.keys = new Set()
+  }
+
+  /**
+   * Whether an entry was read before
+   * @param  {object}  entry An oplog entry
+   * @return {boolean}       True if the entry is one of the remembered entries
+   * @private
+   */
+  has (entry) {
+    return this.keys.has(entryKey(entry))
+  }
+
+  /**
+   * Remember an entry and the documents its events were about, forgetting the oldest entry if there are too many
+   * @param  {object}    entry      An oplog entry
+   * @param  {Array}     deliveries A list of [emitter, events] pairs, as returned by routeEvent() for every target
+   * @return {undefined}            Returns void
+   * @private
+   */
+  add (entry, deliveries) {
+    if (this.size === 0) return
+
+    const record = Object.assign({ key: entryKey(entry), ts: entry.ts }, describeDeliveries(deliveries))
+    this.records.push(record)
+    this.keys.add(record.key)
+    if (this.records.length > this.size) this.keys.delete(this.records.shift().key)
+  }
+
+  /**
+   * Look up the remembered entries in the oplog and forget the ones that were rolled back. Since the oplog only grows at
+   * its end, the entries from the first missing one on are rolled back. The entries before the oldest entry of the oplog
+   * were overwritten rather than rolled back, so they are forgotten without looking them up.
+   * @param  {Collection} oplog        The oplog collection
+   * @param  {?Timestamp} oldest       The timestamp of the oldest entry in the oplog, null if it is empty
+   * @return {Promise<?RollbackEvent>} A promise resolving to the entries that were rolled back, or null if there are none
+   * @private
+   */
+  verify (oplog, oldest) {
+    if (oldest) {
+      const index = this.records.findIndex((record) => !record.ts.lessThan(oldest))
+      const overwritten = this.records.splice(0, index === -1 ? this.records.length : index)
+      overwritten.forEach((record) => this.keys.delete(record.key))
+    }
+    if (this.records.length === 0) return Promise.resolve(null)
+
+    const timestamps = this.records.map((record) => record.ts)
+    const range = { $gte: timestamps[0], $lte: timestamps[timestamps.length - 1], $in: timestamps }
+    return Promise.resolve(oplog.find({ ts: range }, { oplogReplay: true, projection: { ts: 1, t: 1, h: 1 } }).toArray())
+      .then((entries) => {
+        const found = new Set(entries.map(entryKey))
+        const index = this.records.findIndex((record) => !found.has(record.key))
+        if (index === -1) return null
+
+        const rolledBack = this.records.splice(index)
+        rolledBack.forEach((record) => this.keys.delete(record.key))
+        return createRollbackEvent(
+          index > 0 ? this.records[index - 1].ts : rolledBack[0].ts.subtract(Timestamp.ONE),
+          rolledBack
+        )
+      })
+  }
+}
+
+/**
+ * Identify an entry
+ * @param  {object} entry An oplog entry, or one converted from a change event
+ * @return {string}       The resume token of a change, or else the timestamp, term and hash of the entry
+ * @private
+ */
+function entryKey (entry) {
+  if (entry.resumeToken !== undefined) return JSON.stringify(entry.resumeToken)
+  const optional = (value) => value === undefined || value === null ? '' : String(value)
+  return `${entry.ts}:${optional(entry.t)}:${optional(entry.h)}`
+}
+
+/**
+ * Collect the namespaces and documents that the events of an entry were about
+ * @param  {Array}  deliveries A list of [emitter, events] pairs
+ * @return {object}            The namespaces and documents ({ ns, _id }), without duplicates
+ * @private
+ */
+function describeDeliveries (deliveries) {
+  let namespaces = new Set()
+  let documents = new Map()
+  deliveries.forEach((delivery) => delivery[1].forEach((event) => {
+    if (AGGREGATE_EVENTS.indexOf(event[0]) !== -1) return
+    const payload = event[1]
+    const ns = payload.ns || (payload.coll === null ? payload.db : `${payload.db}.${payload.coll}`)
+    namespaces.add(ns)
+    if (DOCUMENT_EVENTS.indexOf(event[0]) === -1) return
+
+    const key = payload.documentKey || (payload.op === 'u' ? payload.o2 : payload.o)
+    const document = { ns, _id: key ? key._id : undefined }
+    documents.set(documentId(document), document)
+  }))
+  return { namespaces: Array.from(namespaces), documents: Array.from(documents.values()) }
+}
+
+/**
+ * Merge the remembered entries that were rolled back into a RollbackEvent
+ * @param  {Timestamp}     commonPoint The timestamp to read on after
+ * @param  {Array<object>} records     The remembered entries that were rolled back
+ * @return {RollbackEvent}             The event
+ * @private
+ */
+function createRollbackEvent (commonPoint, records) {
+  let namespaces = new Set()
+  let documents = new Map()
+  records.forEach((record) => {
+    record.namespaces.forEach((ns) => namespaces.add(ns))
+    record.documents.forEach((document) => documents.set(documentId(document), document))
+  })
+  return {
+    commonPoint,
+    timestamps: records.map((record) => record.ts),
+    namespaces: Array.from(namespaces),
+    documents: Array.from(documents.values())
+  }
+}
+
+/**
+ * Turn the namespace and _id of a document into a string that only equals that of the same document
+ * @param  {object} document An object with the ns and _id of a document
+ * @return {string}          A key for the document
+ * @private
+ */
+function documentId (document) {
+  return `${document.ns}:${JSON.stringify(document._id)}`
+}
+
+module.exports = {
+  EntryHistory
+}
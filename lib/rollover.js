@@ -0,0 +1,74 @@
+'use strict'
+
+let newestTimestamp = require('./metrics').newestTimestamp
+
+/**
+ * The error reported when the entries after the requested timestamp are no longer in the oplog:
+ * the capped collection already overwrote them, so they cannot be emitted.
+ * @class OplogRolloverError
+ * @param {Timestamp} requested The timestamp after which the emitter wanted to read
+ * @param {Timestamp} oldest    The timestamp of the oldest entry that is still in the oplog
+ * @property {string} code      Always 'oplogRollover'
+ * @property {Timestamp} requested
+ * @property {Timestamp} oldest
+ * @public
+ */
+class OplogRolloverError extends Error {
+  constructor (requested, oldest) {
+    super(`The oplog no longer contains the entries after ${requested}, its oldest entry is ${oldest}`)
+    this.name = 'OplogRolloverError'
+    this.code = 'oplogRollover'
+    this.requested = requested
+    this.oldest = oldest
+  }
+}
+
+/**
+ * Look up the timestamp of the oldest entry in the oplog
+ * @param  {Collection} oplog   The oplog collection
+ * @return {Promise<?Timestamp>} A promise resolving to the timestamp, or null if the oplog is empty
+ * @private
+ */
+function oldestTimestamp (oplog) {
+  return Promise.resolve(oplog.findOne({}, { sort: { $natural: 1 }, projection: { ts: 1 } }))
+    .then((entry) => entry ? entry.ts : null)
+}
+
+/**
+ * Look up how far a cursor with a query on the server has passed the oplog. The entries that the query filters out do
+ * not move the timestamp of the last entry that was read, but when no entry after it matches up to the newest entry,
+ * the cursor has passed them all.
+ * @param  {Collection} oplog     The oplog collection
+ * @param  {Timestamp}  timestamp The timestamp of the last entry that was read
+ * @param  {object}     query     The query of the cursor, without the condition on ts
+ * @return {Promise<Timestamp>}   A promise resolving to the newest entry if none after the timestamp matches, or else the timestamp
+ * @private
+ */
+function passedTimestamp (oplog, timestamp, query) {
+  return newestTimestamp(oplog)
+    .then((newest) => {
+      if (newest === null || !timestamp.lessThan(newest)) return timestamp
+      const range = Object.assign({}, query, { ts: { $gt: timestamp, $lte: newest } })
+      return Promise.resolve(oplog.findOne(range, { oplogReplay: true, projection: { ts: 1 } }))
+        .then((entry) => entry ? timestamp : newest)
+    })
+}
+
+/**
+ * Whether entries after a timestamp were overwritten: the oldest entry should be at or before the timestamp,
+ * since the entry at the timestamp itself was read before. Reading from Timestamp(0, 0) starts at the oldest entry.
+ * @param  {Timestamp}  timestamp The timestamp after which entries should be read
+ * @param  {?Timestamp} oldest    The timestamp of the oldest entry in the oplog
+ * @return {boolean}              True if entries were lost
+ * @private
+ */
+function isRolledOver (timestamp, oldest) {
+  return oldest !== null && !timestamp.isZero() && timestamp.lessThan(oldest)
+}
+
+module.exports = {
+  isRolledOver,
+  OplogRolloverError,
+  oldestTimestamp,
+  passedTimestamp
+}
@@ -0,0 +1,220 @@
+'use strict'
+
+let stream = require('stream')
+
+// The number of entries buffered per shard before its cursor is paused
+const SHARD_BUFFER_SIZE = 1000
+
+/**
+ * A stream of the oplog entries of every shard in a sharded cluster, ordered by timestamp.
+ * The shards are read from config.shards through mongos, initially and every refreshInterval milliseconds
+ * to pick up shards that were added or removed.
+ *
+ * An entry is only passed on once every shard has an entry buffered, so no shard can still produce an earlier one.
+ * This relies on the periodic noop entries primaries write when they are idle.
+ *
+ * Shards can write entries with the same timestamp, so after a reconnect each shard is read from the last of its own
+ * entries the consumer read (see markRead()) rather than from the last entry overall, which could skip an entry of
+ * another shard that was buffered but not passed on yet. The timestamps of the shards are kept in a Map the emitter
+ * passes to every ShardedOplog it opens.
+ * @class ShardedOplog
+ * @param {object} options An object with the client (connected to mongos), oplogURL, timestamp (to start the shards
+ *                         after that were not read before), timestamps (a Map of the timestamp to start each shard after,
+ *                         by its _id), refreshInterval, logger and openShard (a function taking a connection string and
+ *                         a timestamp, resolving to the client and the tailable cursor stream of a shard) settings
+ * @private
+ */
+class ShardedOplog extends stream.Readable {
+  constructor (options) {
+    super({ objectMode: true })
+
+    this.client = options.client
+    this.oplogURL = options.oplogURL
+    this.timestamp = options.timestamp
+    this.timestamps = options.timestamps
+    // The shard every entry that was passed on came from
+    this.origins = new WeakMap()
+    this.logger = options.logger
+    this.openShard = options.openShard
+    this.shards = new Map()
+    this.waiting = false
+    this.failed = false
+
+    this.refresh()
+    this.timer = setInterval(() => this.refresh(), options.refreshInterval)
+    if (this.timer.unref) this.timer.unref()
+  }
+
+  /**
+   * Read the list of shards and start or stop tailing shards that were added or removed
+   * @return {Promise}   A promise resolving once the list of shards has been updated
+   * @private
+   */
+  refresh () {
+    return this.client.db('config').collection('shards').find({}).toArray()
+      .then((documents) => {
+        if (this.failed) return
+
+        const ids = documents.map((document) => document._id)
+        Array.from(this.shards.keys())
+          .filter((id) => ids.indexOf(id) === -1)
+          .forEach((id) => this.removeShard(id))
+        documents
+          .filter((document) => !this.shards.has(document._id))
+          .forEach((document) => this.addShard(document))
+      })
+      .catch((error) => this.fail(error))
+  }
+
+  /**
+   * Start tailing the oplog of a shard, after the last entry that was read from it or else after the last entry that
+   * was passed on
+   * @param  {object}    document A document of config.shards
+   * @return {undefined}          Returns void
+   * @private
+   */
+  addShard (document) {
+    this.logger.info({ shard: document._id, host: document.host }, 'Tailing the oplog of a shard')
+    let shard = { id: document._id, queue: [], client: null, stream: null, closed: false }
+    this.shards.set(shard.id, shard)
+    if (!this.timestamps.has(shard.id)) this.timestamps.set(shard.id, this.timestamp)
+    const timestamp = this.timestamps.get(shard.id)
+
+    Promise.resolve()
+      .then(() => this.openShard(shardURL(this.oplogURL, document.host), timestamp))
+      .then((connection) => {
+        shard.client = connection.client
+        shard.stream = connection.stream
+        if (shard.closed) return this.closeShard(shard)
+
+        const onClose = () => {
+          if (!shard.closed) this.fail(new Error(`Tailable cursor of shard ${shard.id} was closed`))
+        }
+        shard.stream
+          .on('data', (entry) => {
+            shard.queue.push(entry)
+            if (shard.queue.length >= SHARD_BUFFER_SIZE) shard.stream.pause()
+            this.merge()
+          })
+          .on('error', onClose)
+          .on('end', onClose)
+          .on('close', onClose)
+      })
+      .catch((error) => this.fail(error))
+  }
+
+  /**
+   * Stop tailing the oplog of a shard that was removed from the cluster
+   * @param  {string}    id The _id of the shard in config.shards
+   * @return {undefined}    Returns void
+   * @private
+   */
+  removeShard (id) {
+    this.logger.info({ shard: id }, 'Shard was removed, no longer tailing its oplog')
+    const shard = this.shards.get(id)
+    this.shards.delete(id)
+    this.timestamps.delete(id)
+    this.closeShard(shard)
+    this.merge()
+  }
+
+  /**
+   * Close the cursor and the connection of a shard
+   * @param  {object}    shard The state of the shard
+   * @return {undefined}       Returns void
+   * @private
+   */
+  closeShard (shard) {
+    shard.closed = true
+    if (shard.stream) shard.stream.destroy()
+    if (shard.client) {
+      Promise.resolve(shard.client.close())
+        .catch((error) => this.logger.warn({ err: error, shard: shard.id }, 'Closing the connection to a shard failed'))
+    }
+  }
+
+  /**
+   * Pass on entries in timestamp order for as long as every shard has one buffered and the consumer wants more
+   * @return {undefined} Returns void
+   * @private
+   */
+  merge () {
+    while (!this.waiting && this.shards.size > 0) {
+      let next = null
+      for (const shard of this.shards.values()) {
+        if (shard.queue.length === 0) return
+        if (next === null || shard.queue[0].ts.lessThan(next.queue[0].ts)) next = shard
+      }
+
+      const entry = next.queue.shift()
+      if (next.queue.length < SHARD_BUFFER_SIZE && next.stream.isPaused()) next.stream.resume()
+      this.timestamp = entry.ts
+      this.origins.set(entry, next.id)
+      this.waiting = !this.push(entry)
+    }
+  }
+
+  /**
+   * Record that the consumer read an entry, so its shard is read from after it when the shards are opened again.
+   * Entries that were passed on but are still in the buffer of the stream when it is destroyed are read again.
+   * @param  {object}    entry An oplog entry this stream passed on
+   * @return {undefined}       Returns void
+   * @private
+   */
+  markRead (entry) {
+    const id = this.origins.get(entry)
+    if (this.timestamps.has(id)) this.timestamps.set(id, entry.ts)
+  }
+
+  /**
+   * Fail the stream, so the emitter reconnects
+   * @param  {Error}     error The reason of the failure
+   * @return {undefined}       Returns void
+   * @private
+   */
+  fail (error) {
+    if (this.failed) return
+    this.failed = true
+    this.destroy(error)
+  }
+
+  _read () {
+    this.waiting = false
+    this.merge()
+  }
+
+  _destroy (error, callback) {
+    this.failed = true
+    clearInterval(this.timer)
+    this.shards.forEach((shard) => this.closeShard(shard))
+    this.shards.clear()
+    callback(error)
+  }
+}
+
+/**
+ * Build the connection string of a shard from the connection string of mongos
+ * @param  {string} oplogURL The connection string of mongos, whose credentials and options are reused
+ * @param  {string} host     The host field of a config.shards document: replicaSet/host1:port,host2:port
+ * @return {string}          The connection string of the shard
+ * @private
+ */
+function shardURL (oplogURL, host) {
+  const match = /^(mongodb:\/\/)([^@/]*@)?([^/?]*)(.*)$/.exec(oplogURL)
+  if (!match) throw new Error('oplogURL should be a mongodb:// connection string to tail the oplogs of a sharded cluster')
+
+  const separator = host.indexOf('/')
+  const hosts = separator === -1 ? host : host.slice(separator + 1)
+  let rest = match[4]
+  if (separator !== -1) {
+    if (rest === '') rest = '/'
+    rest += (rest.indexOf('?') === -1 ? '?' : '&') + 'replicaSet=' + host.slice(0, separator)
+  }
+
+  return match[1] + (match[2] || '') + hosts + rest
+}
+
+module.exports = {
+  ShardedOplog,
+  shardURL
+}
@@ -0,0 +1,220 @@
+'use strict'
+
+let compileNamespaces = require('./filter').compileNamespaces
+let deserialize = require('./ejson').deserialize
+let poller = require('promise-poller').default
+
+const SINK_EVENTS = ['insert', 'update', 'delete']
+
+/**
+ * A destination for oplog events, such as a message bus
+ * @typedef {object} Sink
+ * @property {function(Array<SinkMessage>): Promise} send A function resolving once the sink confirmed the delivery of all messages
+ * @property {?function(): Promise} close                 A function that releases the resources of the sink
+ * @public
+ */
+
+/**
+ * A message for a sink
+ * @typedef {object} SinkMessage
+ * @property {string} topic The topic, queue, stream or file the message belongs to
+ * @property {string} key   The key of the message, derived from the documentKey of the event
+ * @property {string} value The serialized event
+ * @property {object} event The payload of the event: an oplog entry or a NormalizedEvent
+ * @public
+ */
+
+/**
+ * The options of OplogEmitter.pipe()
+ * @typedef {object} SinkOptions
+ * @property {?(string|function)} topic  The topic of every message, or a function returning it for an event and its namespace (defaults to the namespace)
+ * @property {?object} topics            A map of namespaces (exact names or globs) to topics, which take precedence over topic
+ * @property {?function} key             A function returning the key of an event (defaults to the _id of its documentKey)
+ * @property {?function} serialize       A function turning an event into the value of the message, e.g. OplogEmitter.EJSON.stringify (defaults to JSON.stringify)
+ * @property {?Array<string>} events     The events to forward: insert, update and/or delete (defaults to all three)
+ * @property {?number} batchSize         The maximum number of messages sent at once (defaults to 100)
+ * @property {?number} batchTimeout      The number of milliseconds a message waits for more messages to fill its batch (defaults to 50)
+ * @property {?number} retries           The number of times a batch is sent before it fails (with exponential backoff) (defaults to 5)
+ * @public
+ */
+
+/**
+ * Forwards the events of an emitter to a sink. Messages are collected into batches, which are sent one at a time and
+ * in order, and retried with exponential backoff. The listeners return a promise that resolves once the batch holding
+ * their event is delivered, so in acknowledge mode an entry only counts as processed (and is checkpointed) after the
+ * sink confirmed it. Batches hold the events of at most `concurrency` entries, as no more are pending at the same time.
+ * Once a batch fails for good, it and all later events are rejected, which stops the emitter.
+ * @class SinkPipe
+ * @param {EventEmitter} emitter An OplogEmitter in acknowledge mode
+ * @param {Sink}         sink    The sink to forward the events to
+ * @param {?SinkOptions} options The options of the pipe
+ * @throws {TypeError}           when the sink or options are not valid
+ * @public
+ */
+class SinkPipe {
+  constructor (emitter, sink, options) {
+    this.options = validateOptions(sink, options)
+    this.emitter = emitter
+    this.sink = sink
+    this.batch = []
+    this.timer = null
+    this.sending = Promise.resolve()
+    this.failure = null
+    this.closing = null
+
+    this.listener = (event) => this.write(event)
+    this.onClose = () => this.close()
+    this.options.events.forEach((name) => emitter.on(name, this.listener))
+    emitter.on('close', this.onClose)
+  }
+
+  /**
+   * Add the message of an event to the current batch
+   * @param  {object}  event The payload of an insert, update or delete event
+   * @return {Promise}       A promise resolving once the sink confirmed the message
+   * @private
+   */
+  write (event) {
+    if (this.failure) return Promise.reject(this.failure)
+
+    return new Promise((resolve, reject) => {
+      this.batch.push({ message: createMessage(this.options, event), resolve, reject })
+      if (this.batch.length >= this.options.batchSize) return this.flush()
+      if (this.timer === null) this.timer = setTimeout(() => this.flush(), this.options.batchTimeout)
+    })
+  }
+
+  /**
+   * Send the current batch, once the batches before it are delivered
+   * @return {Promise}   A promise resolving once every batch so far is delivered
+   * @public
+   */
+  flush () {
+    clearTimeout(this.timer)
+    this.timer = null
+    const batch = this.batch
+    this.batch = []
+    if (batch.length === 0) return this.sending
+
+    this.sending = this.sending
+      .then(() => {
+        if (this.failure) throw this.failure
+        return poller({
+          taskFn: () => this.sink.send(batch.map((pending) => pending.message)),
+          retries: this.options.retries,
+          strategy: 'exponential-backoff'
+        })
+      })
+      .then(() => batch.forEach((pending) => pending.resolve()))
+      .catch((errors) => {
+        const error = Array.isArray(errors) ? errors[errors.length - 1] : errors
+        if (!this.failure) this.failure = error
+        batch.forEach((pending) => pending.reject(error))
+      })
+    return this.sending
+  }
+
+  /**
+   * Stop forwarding events: send the current batch and close the sink.
+   * The pipe closes by itself when the emitter closes. Calling this more than once returns the same promise.
+   * @return {Promise}   A promise resolving once the sink is closed
+   * @public
+   */
+  close () {
+    if (this.closing) return this.closing
+
+    this.options.events.forEach((name) => this.emitter.removeListener(name, this.listener))
+    this.emitter.removeListener('close', this.onClose)
+    this.closing = this.flush()
+      .then(() => {
+        if (typeof this.sink.close === 'function') return this.sink.close()
+      })
+    return this.closing
+  }
+}
+
+/**
+ * Validate the sink and the options of a pipe and supply defaults
+ * @param  {Sink}         sink    The sink
+ * @param  {?SinkOptions} options The options as supplied by the user
+ * @return {object}               The options with defaults and the compiled topic map
+ * @throws {TypeError}            The sink and options must have their specified types
+ * @private
+ */
+function validateOptions (sink, options) {
+  if (typeof sink !== 'object' || sink === null || typeof sink.send !== 'function') throw new TypeError('sink should be an object with a send function')
+  if (options === undefined) options = {}
+  if (typeof options !== 'object' || options === null) throw new TypeError('options should be an object')
+
+  const topic = options.topic === undefined ? null : options.topic
+  if (topic !== null && typeof topic !== 'string' && typeof topic !== 'function') throw new TypeError('topic should be a string or a function')
+
+  if (options.topics !== undefined && (typeof options.topics !== 'object' || options.topics === null)) throw new TypeError('topics should be a map of namespaces to topics')
+  const topics = Object.keys(options.topics || {}).map((pattern) => {
+    if (typeof options.topics[pattern] !== 'string') throw new TypeError('topics should be a map of namespaces to topics')
+    return { matcher: compileNamespaces([pattern], 'topics')[0], topic: options.topics[pattern] }
+  })
+
+  const key = options.key === undefined ? documentId : options.key
+  if (typeof key !== 'function') throw new TypeError('key should be a function')
+
+  const serialize = options.serialize === undefined ? JSON.stringify : options.serialize
+  if (typeof serialize !== 'function') throw new TypeError('serialize should be a function')
+
+  const events = options.events === undefined ? SINK_EVENTS : options.events
+  if (!Array.isArray(events) || events.length === 0 || !events.every((name) => SINK_EVENTS.indexOf(name) !== -1)) {
+    throw new TypeError('events should be an array of insert, update and delete')
+  }
+
+  const batchSize = options.batchSize === undefined ? 100 : options.batchSize
+  if (typeof batchSize !== 'number' || batchSize < 1) throw new TypeError('batchSize should be a number greater than 0')
+
+  const batchTimeout = options.batchTimeout === undefined ? 50 : options.batchTimeout
+  if (typeof batchTimeout !== 'number') throw new TypeError('batchTimeout should be a number')
+
+  const retries = options.retries === undefined ? 5 : options.retries
+  if (typeof retries !== 'number' || retries < 1) throw new TypeError('retries should be a number greater than 0')
+
+  return { topic, topics, key, serialize, events, batchSize, batchTimeout, retries }
+}
+
+/**
+ * Turn the payload of an event into a message
+ * @param  {object}      options The validated options of the pipe
+ * @param  {object}      event   An oplog entry or a NormalizedEvent
+ * @return {SinkMessage}         The message
+ * @private
+ */
+function createMessage (options, event) {
+  const ns = event.ns || `${event.db}.${event.coll}`
+  const mapped = options.topics.find((mapping) => mapping.matcher.namespace.test(ns))
+
+  let topic = ns
+  if (mapped) topic = mapped.topic
+  else if (typeof options.topic === 'string') topic = options.topic
+  else if (options.topic) topic = options.topic(event, ns)
+
+  return { topic, key: options.key(event), value: options.serialize(event), event }
+}
+
+/**
+ * The default key of a message: the _id of the document the event is about
+ * @param  {object} event An oplog entry or a NormalizedEvent
+ * @return {string}       The _id as a string (ObjectIDs as hex, other objects as JSON, numbers and longs in decimal)
+ * @private
+ */
+function documentId (event) {
+  let documentKey = event.documentKey
+  if (documentKey === undefined) documentKey = event.op === 'u' ? event.o2 : event.o2 || event.o
+  // Payloads of emitters with the ejson option hold the Extended JSON representation of the _id
+  const id = documentKey ? deserialize(documentKey._id) : undefined
+
+  if (id === undefined || id === null) return ''
+  if (typeof id.toHexString === 'function') return id.toHexString()
+  if (id._bsontype === 'Long') return id.toString()
+  return typeof id === 'object' ? JSON.stringify(id) : String(id)
+}
+
+module.exports = {
+  SinkPipe
+}
@@ -0,0 +1,261 @@
+'use strict'
+
+let fs = require('fs')
+let http = require('http')
+let https = require('https')
+let url = require('url')
+
+/**
+ * A sink that produces messages to Kafka with a connected kafkajs producer (or any client with the same send function).
+ * Every topic of a batch is sent in one request, and the batch is confirmed once all of them are.
+ * @example
+ * let producer = new Kafka({ brokers: ['localhost:9092'] }).producer({ idempotent: true })
+ * producer.connect().then(() => emitter.pipe(new OplogEmitter.KafkaSink({ producer }), { topics: { 'shop.*': 'shop-changes' } }))
+ *
+ * @class KafkaSink
+ * @param {object} options An object with the producer, and optionally acks (defaults to -1: all in-sync replicas)
+ * @throws {TypeError}     when the producer has no send function
+ * @public
+ */
+class KafkaSink {
+  constructor (options) {
+    options = options || {}
+    if (typeof options.producer !== 'object' || options.producer === null || typeof options.producer.send !== 'function') {
+      throw new TypeError('producer should be an object with a send function')
+    }
+    this.producer = options.producer
+    this.acks = options.acks === undefined ? -1 : options.acks
+  }
+
+  /**
+   * Produce the messages
+   * @param  {Array<SinkMessage>} messages The messages
+   * @return {Promise}                     A promise resolving once the brokers acknowledged every message
+   * @public
+   */
+  send (messages) {
+    const topics = groupByTopic(messages)
+    return Promise.all(Object.keys(topics).map((topic) => this.producer.send({
+      topic,
+      acks: this.acks,
+      messages: topics[topic].map((message) => ({ key: message.key, value: message.value }))
+    })))
+  }
+}
+
+/**
+ * A sink that publishes messages to an AMQP exchange with an amqplib confirm channel (or any channel with the same functions).
+ * The topic of a message is its routing key, so with the default exchange it is the name of the queue.
+ * @example
+ * amqp.connect('amqp://localhost')
+ *   .then((connection) => connection.createConfirmChannel())
+ *   .then((channel) => emitter.pipe(new OplogEmitter.AMQPSink({ channel, exchange: 'changes' })))
+ *
+ * @class AMQPSink
+ * @param {object} options An object with the channel, and optionally the exchange (defaults to the default exchange '')
+ * @throws {TypeError}     when the channel is not a confirm channel
+ * @public
+ */
+class AMQPSink {
+  constructor (options) {
+    options = options || {}
+    const channel = options.channel
+    if (typeof channel !== 'object' || channel === null || typeof channel.publish !== 'function' || typeof channel.waitForConfirms !== 'function') {
+      throw new TypeError('channel should be a confirm channel with publish and waitForConfirms functions')
+    }
+    if (options.exchange !== undefined && typeof options.exchange !== 'string') throw new TypeError('exchange should be a string')
+    this.channel = channel
+    this.exchange = options.exchange || ''
+  }
+
+  /**
+   * Publish the messages as persistent messages
+   * @param  {Array<SinkMessage>} messages The messages
+   * @return {Promise}                     A promise resolving once the broker confirmed every message
+   * @public
+   */
+  send (messages) {
+    messages.forEach((message) => this.channel.publish(this.exchange, message.topic, Buffer.from(message.value), {
+      persistent: true,
+      messageId: message.key,
+      contentType: 'application/json'
+    }))
+    return this.channel.waitForConfirms()
+  }
+}
+
+/**
+ * A sink that appends messages to Redis Streams with an ioredis client (or any client with the same xadd function).
+ * The topic of a message is the key of the stream, and every stream entry has a key and a value field.
+ * @example
+ * emitter.pipe(new OplogEmitter.RedisStreamSink({ client: new Redis(), maxLength: 100000 }))
+ *
+ * @class RedisStreamSink
+ * @param {object} options An object with the client, and optionally the approximate maxLength of the streams
+ * @throws {TypeError}     when the client has no xadd function
+ * @public
+ */
+class RedisStreamSink {
+  constructor (options) {
+    options = options || {}
+    if (typeof options.client !== 'object' || options.client === null || typeof options.client.xadd !== 'function') {
+      throw new TypeError('client should be an object with an xadd function')
+    }
+    if (options.maxLength !== undefined && typeof options.maxLength !== 'number') throw new TypeError('maxLength should be a number')
+    this.client = options.client
+    this.maxLength = options.maxLength
+  }
+
+  /**
+   * Add the messages to their streams, one after the other to keep them in order
+   * @param  {Array<SinkMessage>} messages The messages
+   * @return {Promise}                     A promise resolving once every message was added
+   * @public
+   */
+  send (messages) {
+    const trim = this.maxLength === undefined ? [] : ['MAXLEN', '~', this.maxLength]
+    return messages.reduce((previous, message) => previous
+      .then(() => this.client.xadd.apply(this.client, [message.topic].concat(trim, ['*', 'key', message.key, 'value', message.value]))),
+    Promise.resolve())
+  }
+}
+
+/**
+ * A sink that POSTs every batch to a webhook as a JSON array of objects with a topic, key and value (the serialized event).
+ * The batch is confirmed once the webhook responds with a 2xx status code.
+ * @example
+ * emitter.pipe(new OplogEmitter.WebhookSink({ url: 'https://example.com/hooks/oplog', headers: { Authorization: 'Bearer ...' } }))
+ *
+ * @class WebhookSink
+ * @param {object} options An object with the url, and optionally headers and the timeout of a request in milliseconds (defaults to 10000)
+ * @throws {TypeError}     when the url is not an http(s) url
+ * @public
+ */
+class WebhookSink {
+  constructor (options) {
+    options = options || {}
+    if (typeof options.url !== 'string' || !/^https?:\/\//.test(options.url)) throw new TypeError('url should be an http or https url')
+    if (options.headers !== undefined && (typeof options.headers !== 'object' || options.headers === null)) throw new TypeError('headers should be an object')
+    if (options.timeout !== undefined && typeof options.timeout !== 'number') throw new TypeError('timeout should be a number')
+    this.url = options.url
+    this.headers = options.headers || {}
+    this.timeout = options.timeout === undefined ? 10000 : options.timeout
+  }
+
+  /**
+   * POST the messages
+   * @param  {Array<SinkMessage>} messages The messages
+   * @return {Promise}                     A promise resolving once the webhook accepted the batch
+   * @public
+   */
+  send (messages) {
+    const body = Buffer.from(JSON.stringify(messages.map((message) => ({ topic: message.topic, key: message.key, value: message.value }))))
+    // url.URL is not available on node 6
+    const target = url.parse(this.url) // eslint-disable-line node/no-deprecated-api
+    const request = Object.assign({}, target, {
+      method: 'POST',
+      headers: Object.assign({ 'Content-Type': 'application/json', 'Content-Length': body.length }, this.headers)
+    })
+
+    return new Promise((resolve, reject) => {
+      const req = (target.protocol === 'https:' ? https : http).request(request, (res) => {
+        res.resume()
+        if (res.statusCode >= 200 && res.statusCode < 300) return res.on('end', resolve)
+        reject(new Error(`Webhook ${this.url} responded with status ${res.statusCode}`))
+      })
+      req.setTimeout(this.timeout, () => req.abort())
+      req.on('abort', () => reject(new Error(`Webhook ${this.url} did not respond within ${this.timeout}ms`)))
+      req.on('error', reject)
+      req.end(body)
+    })
+  }
+}
+
+/**
+ * A sink that appends the value of every message to a newline-delimited JSON file.
+ * The batch is confirmed once it is flushed to disk.
+ * @example
+ * emitter.pipe(new OplogEmitter.FileSink({ path: '/var/log/myservice/changes.ndjson' }))
+ *
+ * @class FileSink
+ * @param {object} options An object with the path of the file
+ * @throws {TypeError}     when the path is not a string
+ * @public
+ */
+class FileSink {
+  constructor (options) {
+    options = options || {}
+    if (typeof options.path !== 'string') throw new TypeError('path should be a string')
+    this.path = options.path
+    this.fd = null
+  }
+
+  /**
+   * Append the messages, one per line
+   * @param  {Array<SinkMessage>} messages The messages
+   * @return {Promise}                     A promise resolving once the messages are synced to disk
+   * @public
+   */
+  send (messages) {
+    const data = messages.map((message) => message.value + '\n').join('')
+    return this._open()
+      .then((fd) => fromCallback((done) => fs.write(fd, data, done)).then(() => fromCallback((done) => fs.fsync(fd, done))))
+  }
+
+  /**
+   * Close the file
+   * @return {Promise}  A promise resolving once the file is closed
+   * @public
+   */
+  close () {
+    if (this.fd === null) return Promise.resolve()
+    const fd = this.fd
+    this.fd = null
+    return fd.then((descriptor) => fromCallback((done) => fs.close(descriptor, done)), () => {})
+  }
+
+  /**
+   * Open the file for appending, once
+   * @return {Promise<number>} A promise resolving to the file descriptor
+   * @private
+   */
+  _open () {
+    if (this.fd === null) {
+      this.fd = fromCallback((done) => fs.open(this.path, 'a', done))
+      // Try again on the next batch if the file could not be opened
+      this.fd.catch(() => { this.fd = null })
+    }
+    return this.fd
+  }
+}
+
+/**
+ * Group messages by their topic
+ * @param  {Array<SinkMessage>} messages The messages
+ * @return {object}                      A map of topics to their messages, in their original order
+ * @private
+ */
+function groupByTopic (messages) {
+  return messages.reduce((topics, message) => {
+    topics[message.topic] = (topics[message.topic] || []).concat(message)
+    return topics
+  }, {})
+}
+
+/**
+ * Call a function that takes a node style callback
+ * @param  {function} fn A function receiving the callback
+ * @return {Promise}     A promise resolving to the result passed to the callback
+ * @private
+ */
+function fromCallback (fn) {
+  return new Promise((resolve, reject) => fn((error, result) => error ? reject(error) : resolve(result)))
+}
+
+module.exports = {
+  AMQPSink,
+  FileSink,
+  KafkaSink,
+  RedisStreamSink,
+  WebhookSink
+}
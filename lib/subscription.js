@@ -0,0 +1,61 @@
+'use strict'
+
+let createFilter = require('./filter').createFilter
+let EventEmitter = require('events')
+
+// Noops don't belong to a namespace, so a subscription only fires them when they are asked for
+const DEFAULT_OPERATIONS = ['insert', 'update', 'delete', 'command']
+
+/**
+ * An event emitter for the entries of some namespaces, fed by the tailable cursor of an OplogEmitter.
+ * It fires the same events as the OplogEmitter (except `error`, `reconnecting` and `reconnected`, which only fire on the
+ * OplogEmitter), filtered by its own namespaces and options instead of those of the OplogEmitter.
+ * @class Subscription
+ * @param {OplogEmitter}               emitter   The emitter whose cursor feeds this subscription
+ * @param {string|RegExp|Array}        namespace The namespaces to watch, in any format of Filter.namespaces
+ * @param {?Filter}                    options   A filter without namespaces (operations defaults to inserts, updates, deletes and commands)
+ * @throws {TypeError}                           when the namespace or options are not valid
+ * @public
+ */
+class Subscription extends EventEmitter {
+  constructor (emitter, namespace, options) {
+    super()
+
+    if (typeof namespace !== 'string' && !(namespace instanceof RegExp) && !Array.isArray(namespace)) {
+      throw new TypeError('namespace should be a string, a regular expression or an array of them')
+    }
+    if (options !== undefined && (typeof options !== 'object' || options === null)) throw new TypeError('options should be an object')
+    if (options && options.namespaces !== undefined) throw new TypeError('options cannot contain namespaces, pass them as the first argument')
+
+    this._emitter = emitter
+    this._args = {
+      format: emitter._args.format,
+      includeMigrations: emitter._args.includeMigrations,
+      projection: emitter._args.projection,
+      // The timestamp after which a subscription that is added while the emitter is reading starts (null until known)
+      since: undefined,
+      matcher: createFilter({
+        database: '.*',
+        collection: '.*',
+        format: emitter._args.format,
+        filter: Object.assign({ operations: DEFAULT_OPERATIONS }, options, { namespaces: [].concat(namespace) })
+      })
+    }
+  }
+
+  /**
+   * Stop receiving entries. The query of the tailable cursor is narrowed to the remaining subscriptions.
+   * @return {undefined}     Returns void
+   * @fires Subscription#close
+   * @public
+   */
+  unwatch () {
+    if (!this._emitter._subscriptions.delete(this)) return
+    this._emitter._requery()
+    this.emit('close')
+  }
+}
+
+module.exports = {
+  Subscription
+}
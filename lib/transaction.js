@@ -0,0 +1,93 @@
+'use strict'
+
+let Timestamp = require('mongodb').Timestamp
+
+/**
+ * Reassembles transactions from the oplog. A transaction is written as one or more `applyOps` command entries:
+ * large transactions are split over several entries marked with `partialTxn`, and prepared transactions end with an
+ * entry marked with `prepare` that is later followed by a `commitTransaction` or `abortTransaction` entry.
+ * Every entry points to the previous entry of its transaction through `prevOpTime`.
+ * @class TransactionBuffer
+ * @private
+ */
+class TransactionBuffer {
+  constructor () {
+    // Unfinished transactions, keyed by the timestamp of their latest entry
+    this.pending = new Map()
+  }
+
+  /**
+   * Process an oplog entry
+   * @param  {object} entry A json object returned by the mongodb cursor
+   * @return {?Array}       Undefined if the entry is not part of a transaction, otherwise the operations of the transaction
+   *                        if it completed with this entry, or an empty array if it did not
+   * @private
+   */
+  add (entry) {
+    if (entry.op !== 'c' || !entry.o) return
+
+    const command = entry.o
+    if (!command.applyOps && !command.commitTransaction && !command.abortTransaction) return
+
+    const previous = this.take(entry)
+    if (command.abortTransaction) return []
+    if (command.commitTransaction) return previous ? previous.operations : []
+
+    const transaction = {
+      start: previous ? previous.start : entry.ts,
+      latest: entry.ts,
+      operations: (previous ? previous.operations : []).concat(command.applyOps)
+    }
+    if (!command.partialTxn && !command.prepare) return transaction.operations
+
+    this.pending.set(entry.ts.toString(), transaction)
+    return []
+  }
+
+  /**
+   * Remove and return the unfinished transaction an entry continues
+   * @param  {object}  entry A json object returned by the mongodb cursor
+   * @return {?object}       The unfinished transaction, or undefined if the entry starts a new one
+   * @private
+   */
+  take (entry) {
+    if (!entry.prevOpTime || !entry.prevOpTime.ts || entry.prevOpTime.ts.isZero()) return
+
+    const key = entry.prevOpTime.ts.toString()
+    const previous = this.pending.get(key)
+    this.pending.delete(key)
+    return previous
+  }
+
+  /**
+   * Forget the unfinished transactions whose latest entry is after a timestamp, because that entry was rolled back
+   * @param  {Timestamp} timestamp The timestamp of the newest entry that was not rolled back
+   * @return {undefined}           Returns void
+   * @private
+   */
+  discardAfter (timestamp) {
+    this.pending.forEach((transaction, key) => {
+      if (timestamp.lessThan(transaction.latest)) this.pending.delete(key)
+    })
+  }
+
+  /**
+   * Cap a timestamp so that it never passes the start of an unfinished transaction.
+   * Resuming after the returned timestamp is guaranteed to read all entries of unfinished transactions again.
+   * @param  {Timestamp} timestamp The timestamp of the latest processed entry
+   * @return {Timestamp}           The timestamp that can safely be resumed after
+   * @private
+   */
+  safeTimestamp (timestamp) {
+    let safe = timestamp
+    this.pending.forEach((transaction) => {
+      const beforeStart = transaction.start.subtract(Timestamp.ONE)
+      if (beforeStart.lessThan(safe)) safe = beforeStart
+    })
+    return safe
+  }
+}
+
+module.exports = {
+  TransactionBuffer
+}
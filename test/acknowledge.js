@@ -0,0 +1,220 @@
+'use strict'
+
+let expect = require('chai').expect
+let EventEmitter = require('events')
+
+let acknowledge = require('../lib/acknowledge')
+let AckQueue = acknowledge.AckQueue
+let dispatch = acknowledge.dispatch
+
+function defer () {
+  let deferred = {}
+  deferred.promise = new Promise((resolve, reject) => {
+    deferred.resolve = resolve
+    deferred.reject = reject
+  })
+  return deferred
+}
+
+function tick () {
+  return new Promise((resolve) => setImmediate(resolve))
+}
+
+describe('AckQueue', () => {
+  function createQueue (concurrency) {
+    let queue = new AckQueue({
+      concurrency,
+      onCommit: (timestamp, resumeToken) => queue.committed.push(resumeToken === undefined ? timestamp : [timestamp, resumeToken]),
+      onError: (error) => queue.errors.push(error),
+      onAvailable: () => { queue.available++ }
+    })
+    queue.committed = []
+    queue.errors = []
+    queue.available = 0
+    return queue
+  }
+
+  it('should be full when concurrency entries are in flight', () => {
+    const queue = createQueue(2)
+
+    queue.push(1, defer().promise)
+    expect(queue.isFull()).to.be.false
+    queue.push(2, defer().promise)
+    expect(queue.isFull()).to.be.true
+  })
+
+  it('should commit an entry once it is acknowledged', () => {
+    const queue = createQueue(1)
+    const delivery = defer()
+
+    queue.push(1, delivery.promise)
+    delivery.resolve()
+
+    return tick()
+      .then(() => {
+        expect(queue.committed).to.deep.equal([1])
+        expect(queue.available).to.equal(1)
+        expect(queue.isFull()).to.be.false
+      })
+  })
+
+  it('should commit the resume token of the last acknowledged entry', () => {
+    const queue = createQueue(2)
+
+    queue.push(1, Promise.resolve(), { _data: 'first' })
+    queue.push(2, Promise.resolve(), { _data: 'second' })
+
+    return tick()
+      .then(() => {
+        expect(queue.committed[queue.committed.length - 1]).to.deep.equal([2, { _data: 'second' }])
+      })
+  })
+
+  it('should not commit past an entry that is still in flight', () => {
+    const queue = createQueue(3)
+    const deliveries = [defer(), defer(), defer()]
+
+    deliveries.forEach((delivery, index) => queue.push(index + 1, delivery.promise))
+    deliveries[1].resolve()
+    deliveries[2].resolve()
+
+    return tick()
+      .then(() => {
+        expect(queue.committed).to.be.empty
+        deliveries[0].resolve()
+        return tick()
+      })
+      .then(() => {
+        expect(queue.committed).to.deep.equal([3])
+      })
+  })
+
+  it('should report failures and never commit past them', () => {
+    const queue = createQueue(2)
+    const deliveries = [defer(), defer()]
+    const error = new Error('test-error')
+
+    deliveries.forEach((delivery, index) => queue.push(index + 1, delivery.promise))
+    deliveries[0].reject(error)
+    deliveries[1].resolve()
+
+    return tick()
+      .then(() => {
+        expect(queue.errors).to.deep.equal([error])
+        expect(queue.committed).to.be.empty
+      })
+  })
+
+  it('should be idle once every entry is committed', () => {
+    const queue = createQueue(2)
+    const deliveries = [defer(), defer()]
+    let idle = false
+
+    deliveries.forEach((delivery, index) => queue.push(index + 1, delivery.promise))
+    queue.idle().then(() => { idle = true })
+    deliveries[1].resolve()
+
+    return tick()
+      .then(() => {
+        expect(idle).to.be.false
+        deliveries[0].resolve()
+        return tick()
+      })
+      .then(() => expect(idle).to.be.true)
+  })
+})
+
+describe('dispatch()', () => {
+  it('should resolve once synchronous listeners have returned', () => {
+    const emitter = new EventEmitter()
+    let called = false
+    emitter.on('op', () => { called = true })
+
+    return dispatch(emitter, [['op', {}]])
+      .then(() => {
+        expect(called).to.be.true
+      })
+  })
+
+  it('should pass the payload to the listeners of every event', () => {
+    const emitter = new EventEmitter()
+    const payload = { op: 'i' }
+    let received = []
+    emitter.on('op', (op) => received.push(['op', op]))
+    emitter.on('insert', (op) => received.push(['insert', op]))
+
+    return dispatch(emitter, [['op', payload], ['insert', payload]])
+      .then(() => {
+        expect(received).to.deep.equal([['op', payload], ['insert', payload]])
+      })
+  })
+
+  it('should wait for promises returned by listeners', () => {
+    const emitter = new EventEmitter()
+    const delivery = defer()
+    let settled = false
+    emitter.on('op', () => delivery.promise)
+
+    const promise = dispatch(emitter, [['op', {}]]).then(() => { settled = true })
+    return tick()
+      .then(() => {
+        expect(settled).to.be.false
+        delivery.resolve()
+        return promise
+      })
+      .then(() => {
+        expect(settled).to.be.true
+      })
+  })
+
+  it('should wait for listeners that accept an ack callback to call it', () => {
+    const emitter = new EventEmitter()
+    let acknowledge
+    let settled = false
+    emitter.on('op', (op, ack) => { acknowledge = ack })
+
+    const promise = dispatch(emitter, [['op', {}]]).then(() => { settled = true })
+    return tick()
+      .then(() => {
+        expect(settled).to.be.false
+        acknowledge()
+        return promise
+      })
+      .then(() => {
+        expect(settled).to.be.true
+      })
+  })
+
+  it('should reject when a listener calls ack with an error', () => {
+    const emitter = new EventEmitter()
+    emitter.on('op', (op, ack) => ack(new Error('test-error')))
+
+    return expect(dispatch(emitter, [['op', {}]])).to.eventually.be.rejectedWith('test-error')
+  })
+
+  it('should reject when a listener throws', () => {
+    const emitter = new EventEmitter()
+    emitter.on('op', () => { throw new Error('test-error') })
+
+    return expect(dispatch(emitter, [['op', {}]])).to.eventually.be.rejectedWith('test-error')
+  })
+
+  it('should reject when a listener returns a rejected promise', () => {
+    const emitter = new EventEmitter()
+    emitter.on('op', () => Promise.reject(new Error('test-error')))
+
+    return expect(dispatch(emitter, [['op', {}]])).to.eventually.be.rejectedWith('test-error')
+  })
+
+  it('should only call once() listeners once', () => {
+    const emitter = new EventEmitter()
+    let calls = 0
+    emitter.once('op', () => { calls++ })
+
+    return dispatch(emitter, [['op', {}]])
+      .then(() => dispatch(emitter, [['op', {}]]))
+      .then(() => {
+        expect(calls).to.equal(1)
+      })
+  })
+})
@@ -0,0 +1,145 @@
+'use strict'
+
+let expect = require('chai').expect
+let Timestamp = require('mongodb').Timestamp
+
+let changeStream = require('../lib/change-stream')
+let fromChangeEvent = changeStream.fromChangeEvent
+let openChangeStream = changeStream.openChangeStream
+
+function createChangeEvent (operationType, fields) {
+  return Object.assign({
+    _id: { _data: 'token' },
+    operationType,
+    clusterTime: new Timestamp(1, 100),
+    ns: { db: 'database', coll: 'collection' }
+  }, fields)
+}
+
+function createWatchable (name, children) {
+  let watchable = {
+    name,
+    watched: null,
+    watch: (pipeline, options) => {
+      watchable.watched = options
+      return { stream: () => watchable }
+    }
+  }
+  watchable.db = () => children.db
+  watchable.collection = () => children.collection
+  return watchable
+}
+
+describe('fromChangeEvent()', () => {
+  it('should convert an insert', () => {
+    const change = createChangeEvent('insert', { fullDocument: { _id: 1 }, documentKey: { _id: 1 } })
+
+    expect(fromChangeEvent(change)).to.deep.equal({
+      ts: change.clusterTime,
+      ns: 'database.collection',
+      resumeToken: change._id,
+      op: 'i',
+      o: { _id: 1 }
+    })
+  })
+
+  it('should convert an update into a $set/$unset modifier', () => {
+    const change = createChangeEvent('update', {
+      documentKey: { _id: 1 },
+      updateDescription: { updatedFields: { a: 1 }, removedFields: ['b'] }
+    })
+
+    expect(fromChangeEvent(change)).to.include({ op: 'u', o2: change.documentKey })
+    expect(fromChangeEvent(change).o).to.deep.equal({ $set: { a: 1 }, $unset: { b: true } })
+  })
+
+  it('should keep the looked up document of an update', () => {
+    const change = createChangeEvent('update', {
+      documentKey: { _id: 1 },
+      updateDescription: { updatedFields: { a: 1 }, removedFields: [] },
+      fullDocument: { _id: 1, a: 1 }
+    })
+
+    expect(fromChangeEvent(change)).to.have.property('fullDocument', change.fullDocument)
+  })
+
+  it('should convert a replace into an update with the full document', () => {
+    const change = createChangeEvent('replace', { documentKey: { _id: 1 }, fullDocument: { _id: 1, a: 1 } })
+
+    expect(fromChangeEvent(change)).to.include({ op: 'u', o: change.fullDocument, o2: change.documentKey })
+  })
+
+  it('should convert a delete', () => {
+    const change = createChangeEvent('delete', { documentKey: { _id: 1 } })
+
+    expect(fromChangeEvent(change)).to.include({ op: 'd', o: change.documentKey })
+  })
+
+  it('should convert a drop, dropDatabase and rename into commands', () => {
+    const drop = fromChangeEvent(createChangeEvent('drop'))
+    const dropDatabase = fromChangeEvent(createChangeEvent('dropDatabase', { ns: { db: 'database' } }))
+    const rename = fromChangeEvent(createChangeEvent('rename', { to: { db: 'database', coll: 'renamed' } }))
+
+    expect(drop).to.deep.include({ op: 'c', ns: 'database.$cmd', o: { drop: 'collection' } })
+    expect(dropDatabase).to.deep.include({ op: 'c', ns: 'database.$cmd', o: { dropDatabase: 1 } })
+    expect(rename).to.deep.include({ op: 'c', ns: 'admin.$cmd', o: { renameCollection: 'database.collection', to: 'database.renamed' } })
+  })
+
+  it('should keep the transaction of a change', () => {
+    const change = createChangeEvent('insert', { fullDocument: { _id: 1 }, lsid: { id: 'session' }, txnNumber: 2 })
+
+    expect(fromChangeEvent(change)).to.include({ lsid: change.lsid, txnNumber: 2 })
+  })
+
+  it('should return null for an invalidate', () => {
+    expect(fromChangeEvent(createChangeEvent('invalidate', { ns: undefined }))).to.be.null
+  })
+})
+
+describe('openChangeStream()', () => {
+  function createClient () {
+    const collection = createWatchable('collection', {})
+    const db = createWatchable('db', { collection })
+    return createWatchable('client', { db })
+  }
+
+  it('should watch the deployment when the database is a regex', () => {
+    const client = createClient()
+
+    expect(openChangeStream(client, { database: '.*', collection: '.*' }, new Timestamp(0, 100))).to.have.property('name', 'client')
+  })
+
+  it('should watch the database when only the database is a name', () => {
+    const client = createClient()
+
+    expect(openChangeStream(client, { database: 'database', collection: 'coll.*' }, new Timestamp(0, 100))).to.have.property('name', 'db')
+  })
+
+  it('should watch the collection when both the database and the collection are names', () => {
+    const client = createClient()
+
+    expect(openChangeStream(client, { database: 'database', collection: 'collection' }, new Timestamp(0, 100))).to.have.property('name', 'collection')
+  })
+
+  it('should start at the timestamp, which the rest of a transaction may share', () => {
+    const client = createClient()
+    const stream = openChangeStream(client, { database: '.*', collection: '.*' }, new Timestamp(4, 100))
+
+    expect(stream.watched.startAtOperationTime.equals(new Timestamp(4, 100))).to.be.true
+  })
+
+  it('should resume after the resume token if there is one', () => {
+    const client = createClient()
+    const resumeToken = { _data: 'token' }
+    const stream = openChangeStream(client, { database: '.*', collection: '.*' }, new Timestamp(4, 100), resumeToken)
+
+    expect(stream.watched).to.deep.equal({ resumeAfter: resumeToken })
+  })
+
+  it('should ask the server to look up updated documents with fullDocument updateLookup', () => {
+    const client = createClient()
+    const stream = openChangeStream(client, { database: '.*', collection: '.*', fullDocument: 'updateLookup' }, new Timestamp(4, 100))
+
+    expect(stream.watched).to.have.property('fullDocument', 'updateLookup')
+  })
+})
@@ -0,0 +1,257 @@
+'use strict'
+
+let expect = require('chai').expect
+let fs = require('fs')
+let os = require('os')
+let path = require('path')
+let mongodb = require('mongodb')
+let Timestamp = mongodb.Timestamp
+
+let checkpoint = require('../lib/checkpoint')
+let Checkpointer = checkpoint.Checkpointer
+let FileCheckpointStore = checkpoint.FileCheckpointStore
+let MongoCheckpointStore = checkpoint.MongoCheckpointStore
+
+function createMemoryStore () {
+  let store = {
+    saved: [],
+    load: () => Promise.resolve(store.saved[store.saved.length - 1] || null),
+    save: (timestamp) => {
+      store.saved.push(timestamp)
+      return Promise.resolve()
+    }
+  }
+  return store
+}
+
+describe('FileCheckpointStore', () => {
+  let file
+  beforeEach(() => {
+    file = path.join(os.tmpdir(), `oplog-emitter-checkpoint-${process.pid}-${Date.now()}.json`)
+  })
+
+  afterEach(() => {
+    if (fs.existsSync(file)) fs.unlinkSync(file)
+  })
+
+  it('should throw a TypeError if file is not a string', () => {
+    const testFn = () => new FileCheckpointStore(12345)
+
+    expect(testFn).to.throw(TypeError, 'file should be a string')
+  })
+
+  it('should resolve to null if the file does not exist', () => {
+    return expect(new FileCheckpointStore(file).load()).to.eventually.be.null
+  })
+
+  it('should load the timestamp that was saved', () => {
+    const timestamp = new Timestamp(3, 1500000000)
+    const store = new FileCheckpointStore(file)
+
+    return store.save(timestamp)
+      .then(() => store.load())
+      .then((loaded) => {
+        expect(loaded).to.be.an.instanceOf(Timestamp)
+        expect(loaded.equals(timestamp)).to.be.true
+      })
+  })
+
+  it('should load the resume token that was saved', () => {
+    const resumeToken = { _data: new mongodb.Binary(Buffer.from('token')) }
+    const store = new FileCheckpointStore(file)
+
+    return store.loadResumeToken()
+      .then((loaded) => {
+        expect(loaded).to.be.null
+        return store.save(new Timestamp(3, 1500000000), resumeToken)
+      })
+      .then(() => Promise.all([store.load(), store.loadResumeToken()]))
+      .then((loaded) => {
+        expect(loaded[0].equals(new Timestamp(3, 1500000000))).to.be.true
+        expect(loaded[1]._data).to.be.an.instanceOf(mongodb.Binary)
+        expect(loaded[1]._data.buffer.toString()).to.equal('token')
+      })
+  })
+
+  it('should not leave a temporary file behind', () => {
+    const store = new FileCheckpointStore(file)
+
+    return store.save(new Timestamp(0, 1500000000))
+      .then(() => {
+        expect(fs.existsSync(file + '.tmp')).to.be.false
+      })
+  })
+
+  it('should reject if the file does not contain a timestamp', () => {
+    fs.writeFileSync(file, '{"foo":"bar"}')
+
+    return expect(new FileCheckpointStore(file).load()).to.eventually.be.rejectedWith('does not contain a timestamp')
+  })
+
+  it('should reject if the file does not contain JSON', () => {
+    fs.writeFileSync(file, 'not json')
+
+    return expect(new FileCheckpointStore(file).load()).to.eventually.be.rejectedWith('does not contain valid JSON')
+  })
+})
+
+describe('MongoCheckpointStore', () => {
+  function createCollection () {
+    let documents = {}
+    return {
+      documents,
+      findOne: (query) => Promise.resolve(documents[query._id] || null),
+      updateOne: (query, update, options) => {
+        expect(options).to.have.property('upsert', true)
+        documents[query._id] = Object.assign({ _id: query._id }, documents[query._id], update.$set)
+        return Promise.resolve()
+      }
+    }
+  }
+
+  it('should throw a TypeError if collection is not a mongodb collection', () => {
+    const testFn = () => new MongoCheckpointStore({})
+
+    expect(testFn).to.throw(TypeError, 'collection should be a mongodb Collection')
+  })
+
+  it('should resolve to null if there is no checkpoint document', () => {
+    return expect(new MongoCheckpointStore(createCollection()).load()).to.eventually.be.null
+  })
+
+  it('should load the timestamp that was saved', () => {
+    const timestamp = new Timestamp(3, 1500000000)
+    const store = new MongoCheckpointStore(createCollection())
+
+    return store.save(timestamp)
+      .then(() => store.load())
+      .then((loaded) => {
+        expect(loaded).to.equal(timestamp)
+      })
+  })
+
+  it('should load the resume token that was saved', () => {
+    const resumeToken = { _data: 'token' }
+    const store = new MongoCheckpointStore(createCollection())
+
+    return store.loadResumeToken()
+      .then((loaded) => {
+        expect(loaded).to.be.null
+        return store.save(new Timestamp(3, 1500000000), resumeToken)
+      })
+      .then(() => store.loadResumeToken())
+      .then((loaded) => {
+        expect(loaded).to.equal(resumeToken)
+      })
+  })
+
+  it('should default the document _id to oplog-emitter', () => {
+    const collection = createCollection()
+
+    return new MongoCheckpointStore(collection).save(new Timestamp(0, 1500000000))
+      .then(() => {
+        expect(collection.documents).to.have.property('oplog-emitter')
+      })
+  })
+
+  it('should use the given document _id', () => {
+    const collection = createCollection()
+
+    return new MongoCheckpointStore(collection, 'custom').save(new Timestamp(0, 1500000000))
+      .then(() => {
+        expect(collection.documents).to.have.property('custom')
+      })
+  })
+})
+
+describe('Checkpointer', () => {
+  let checkpointer
+  afterEach(() => {
+    if (checkpointer) checkpointer.stop()
+    checkpointer = null
+  })
+
+  it('should save the latest timestamp after count updates', () => {
+    const store = createMemoryStore()
+    const timestamps = [new Timestamp(0, 1), new Timestamp(0, 2), new Timestamp(0, 3)]
+    checkpointer = new Checkpointer(store, { interval: 60000, count: 2, onError: () => {} })
+
+    timestamps.forEach((timestamp) => checkpointer.update(timestamp))
+
+    return checkpointer.saving
+      .then(() => {
+        expect(store.saved).to.deep.equal([timestamps[1]])
+      })
+  })
+
+  it('should save the latest timestamp every interval', (done) => {
+    const store = createMemoryStore()
+    const timestamp = new Timestamp(0, 1)
+    checkpointer = new Checkpointer(store, { interval: 10, count: 100, onError: done })
+
+    checkpointer.update(timestamp)
+    setTimeout(() => {
+      try {
+        expect(store.saved).to.deep.equal([timestamp])
+        done()
+      } catch (error) {
+        done(error)
+      }
+    }, 50)
+  })
+
+  it('should save the pending timestamp on stop()', () => {
+    const store = createMemoryStore()
+    const timestamp = new Timestamp(0, 1)
+    checkpointer = new Checkpointer(store, { interval: 60000, count: 100, onError: () => {} })
+
+    checkpointer.update(timestamp)
+    return checkpointer.stop()
+      .then(() => {
+        expect(store.saved).to.deep.equal([timestamp])
+      })
+  })
+
+  it('should save the resume token with the timestamp', () => {
+    let saved = []
+    const store = { save: (timestamp, resumeToken) => saved.push([timestamp, resumeToken]) }
+    const timestamp = new Timestamp(0, 1)
+    checkpointer = new Checkpointer(store, { interval: 60000, count: 1, onError: () => {} })
+
+    checkpointer.update(timestamp, { _data: 'token' })
+    return checkpointer.saving
+      .then(() => {
+        expect(saved).to.deep.equal([[timestamp, { _data: 'token' }]])
+      })
+  })
+
+  it('should not save when nothing changed', () => {
+    const store = createMemoryStore()
+    checkpointer = new Checkpointer(store, { interval: 60000, count: 100, onError: () => {} })
+
+    return checkpointer.flush()
+      .then(() => {
+        expect(store.saved).to.be.empty
+      })
+  })
+
+  it('should pass save errors to onError', (done) => {
+    const store = {
+      save: () => Promise.reject(new Error('test-error'))
+    }
+    checkpointer = new Checkpointer(store, {
+      interval: 60000,
+      count: 1,
+      onError: (error) => {
+        try {
+          expect(error).to.have.property('message', 'test-error')
+          done()
+        } catch (assertion) {
+          done(assertion)
+        }
+      }
+    })
+
+    checkpointer.update(new Timestamp(0, 1))
+  })
+})
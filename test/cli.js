@@ -0,0 +1,302 @@
+'use strict'
+
+let EventEmitter = require('events')
+let decodeCommand = require('../lib/command').decodeCommand
+let expect = require('chai').expect
+let FileCheckpointStore = require('../lib/checkpoint').FileCheckpointStore
+let ObjectID = require('mongodb').ObjectID
+let rewire = require('rewire')
+let Timestamp = require('mongodb').Timestamp
+
+let testModule = rewire('../lib/cli')
+let run = testModule.run
+let USAGE = testModule.USAGE
+let formatPretty = testModule.__get__('formatPretty')
+let parseArgs = testModule.__get__('parseArgs')
+let parseTime = testModule.__get__('parseTime')
+let toOptions = testModule.__get__('toOptions')
+
+function createOutput (full) {
+  let output = new EventEmitter()
+  output.data = ''
+  output.write = (chunk) => {
+    output.data += chunk
+    return !full
+  }
+  return output
+}
+
+class FakeEmitter extends EventEmitter {
+  constructor (options) {
+    super()
+    this.options = options
+    this.paused = false
+    this.stopped = false
+    FakeEmitter.last = this
+  }
+
+  pause () {
+    this.paused = true
+    return this
+  }
+
+  resume () {
+    this.paused = false
+    return this
+  }
+
+  stop () {
+    this.stopped = true
+    this.emit('close')
+    return Promise.resolve()
+  }
+}
+
+function createEntry () {
+  return { ts: new Timestamp(1, 1700000000), op: 'i', ns: 'shop.orders', o: { _id: 1, total: 10 } }
+}
+
+describe('run()', () => {
+  let restore
+
+  beforeEach(() => {
+    restore = testModule.__set__({ OplogEmitter: FakeEmitter })
+  })
+
+  afterEach(() => {
+    restore()
+  })
+
+  it('should print the usage with --help', () => {
+    const io = { stdout: createOutput(), stderr: createOutput() }
+
+    return run(['--help'], io).then((code) => {
+      expect(code).to.equal(0)
+      expect(io.stdout.data).to.equal(USAGE)
+    })
+  })
+
+  it('should exit with 2 on invalid arguments', () => {
+    const io = { stdout: createOutput(), stderr: createOutput() }
+
+    return run(['--unknown'], io).then((code) => {
+      expect(code).to.equal(2)
+      expect(io.stderr.data).to.include('unknown argument --unknown')
+      expect(io.stdout.data).to.equal('')
+    })
+  })
+
+  it('should print the entries in the requested format until the emitter closes', () => {
+    const io = { stdout: createOutput(), stderr: createOutput() }
+    const done = run(['--format', 'json'], io)
+    const entry = createEntry()
+    FakeEmitter.last.emit('op', entry)
+    FakeEmitter.last.emit('close')
+
+    return done.then((code) => {
+      expect(code).to.equal(0)
+      expect(io.stdout.data).to.equal(JSON.stringify(entry) + '\n')
+    })
+  })
+
+  it('should print noops', () => {
+    const io = { stdout: createOutput(), stderr: createOutput() }
+    const done = run(['--ops', 'noop'], io)
+    const noop = decodeCommand({ ts: new Timestamp(1, 1700000000), op: 'n', ns: '', o: { msg: 'periodic noop' } })
+    FakeEmitter.last.emit(noop[0], noop[1])
+    FakeEmitter.last.emit('close')
+
+    return done.then(() => {
+      expect(io.stdout.data).to.equal('2023-11-14T22:13:20.000Z 1700000000:1 noop - {"msg":"periodic noop"}\n')
+    })
+  })
+
+  it('should print Extended JSON', () => {
+    const io = { stdout: createOutput(), stderr: createOutput() }
+    const done = run(['-o', 'ejson', '--canonical'], io)
+    FakeEmitter.last.emit('op', createEntry())
+    FakeEmitter.last.emit('close')
+
+    return done.then(() => {
+      expect(JSON.parse(io.stdout.data)).to.deep.equal({
+        ts: { $timestamp: { t: 1700000000, i: 1 } },
+        op: 'i',
+        ns: 'shop.orders',
+        o: { _id: { $numberInt: '1' }, total: { $numberInt: '10' } }
+      })
+    })
+  })
+
+  it('should pause the emitter until stdout drains', () => {
+    const io = { stdout: createOutput(true), stderr: createOutput() }
+    const done = run([], io)
+    const emitter = FakeEmitter.last
+    emitter.emit('op', createEntry())
+    expect(emitter.paused).to.be.true
+    io.stdout.emit('drain')
+    expect(emitter.paused).to.be.false
+    emitter.emit('close')
+
+    return done
+  })
+
+  it('should stop and exit with 1 when the emitter emits an error', () => {
+    const io = { stdout: createOutput(), stderr: createOutput() }
+    const done = run([], io)
+    FakeEmitter.last.emit('error', new Error('test-error'))
+
+    return done.then((code) => {
+      expect(code).to.equal(1)
+      expect(FakeEmitter.last.stopped).to.be.true
+      expect(io.stderr.data).to.equal('oplog-emitter: test-error\n')
+    })
+  })
+
+  it('should stop on SIGINT and SIGTERM', () => {
+    const signals = new EventEmitter()
+    const io = { stdout: createOutput(), stderr: createOutput(), signals }
+    const done = run([], io)
+    signals.emit('SIGTERM')
+
+    return done.then((code) => {
+      expect(code).to.equal(0)
+      expect(FakeEmitter.last.stopped).to.be.true
+      expect(signals.listenerCount('SIGINT')).to.equal(0)
+      expect(signals.listenerCount('SIGTERM')).to.equal(0)
+    })
+  })
+
+  it('should write warnings and errors of the emitter to stderr', () => {
+    const io = { stdout: createOutput(), stderr: createOutput() }
+    const done = run([], io)
+    const logger = FakeEmitter.last.options.logger
+    logger.info({}, 'Reconnected')
+    logger.warn({}, 'Connecting to mongodb failed')
+    FakeEmitter.last.emit('close')
+
+    return done.then(() => {
+      expect(io.stderr.data).to.equal('oplog-emitter: warning: Connecting to mongodb failed\n')
+      expect(io.stdout.data).to.equal('')
+    })
+  })
+})
+
+describe('parseArgs()', () => {
+  it('should parse flags, aliases, values after = and the url', () => {
+    expect(parseArgs(['mongodb://db/local', '-c', 'orders', '--database=shop', '-f', '-n', 'a.*', '--namespace', 'b.c'])).to.deep.equal({
+      url: 'mongodb://db/local',
+      collection: 'orders',
+      database: 'shop',
+      follow: true,
+      namespace: ['a.*', 'b.c']
+    })
+  })
+
+  it('should throw on unknown flags, a second url and missing values', () => {
+    expect(() => parseArgs(['--verbose'])).to.throw(TypeError, 'unknown argument --verbose')
+    expect(() => parseArgs(['mongodb://a', 'mongodb://b'])).to.throw(TypeError, 'unknown argument mongodb://b')
+    expect(() => parseArgs(['--since'])).to.throw(TypeError, '--since needs a value')
+  })
+})
+
+describe('toOptions()', () => {
+  it('should tail from now on by default', () => {
+    expect(toOptions(parseArgs([]))).to.deep.equal({ oplogURL: 'mongodb://localhost:27017/local' })
+  })
+
+  it('should map the connection and selection flags to the constructor options', () => {
+    const options = toOptions(parseArgs([
+      '-u', 'mongodb://db/local', '--username', 'user', '--password', 'secret', '--auth-source', 'admin',
+      '--auth-mechanism', 'SCRAM-SHA-256', '--tls', '--read-preference', 'secondary',
+      '-d', 'shop', '-c', 'orders', '-n', 'crm.*', '--ops', 'insert, delete'
+    ]))
+
+    expect(options).to.deep.equal({
+      oplogURL: 'mongodb://db/local',
+      readPreference: 'secondary',
+      database: 'shop',
+      collection: 'orders',
+      filter: { namespaces: ['crm.*'], operations: ['insert', 'delete'] },
+      credentials: { username: 'user', password: 'secret', authSource: 'admin', mechanism: 'SCRAM-SHA-256' },
+      tls: true
+    })
+  })
+
+  it('should replay from --since up to --until', () => {
+    const options = toOptions(parseArgs(['--since', '1700000000', '--until', '1700000600:2']))
+
+    expect(options.replay.start.equals(new Timestamp(0, 1700000000))).to.be.true
+    expect(options.replay.end.equals(new Timestamp(2, 1700000600))).to.be.true
+  })
+
+  it('should replay from --since up to now', () => {
+    const before = Date.now()
+    const options = toOptions(parseArgs(['--since', '2023-11-14T22:13:20Z']))
+
+    expect(options.replay.start.getTime()).to.equal(1700000000000)
+    expect(options.replay.end.getTime()).to.be.at.least(before)
+  })
+
+  it('should tail from --since with --follow', () => {
+    const options = toOptions(parseArgs(['--since', '1700000000', '--follow']))
+
+    expect(options).not.to.have.property('replay')
+    return options.getLastTimestamp().then((timestamp) => {
+      expect(timestamp.equals(new Timestamp(0, 1700000000).subtract(Timestamp.ONE))).to.be.true
+    })
+  })
+
+  it('should resume from a checkpoint file', () => {
+    const options = toOptions(parseArgs(['--since', '1h', '--checkpoint', '/tmp/oplog.json']))
+
+    expect(options.checkpoint).to.be.an.instanceOf(FileCheckpointStore).with.property('file', '/tmp/oplog.json')
+    expect(options).to.have.property('getLastTimestamp')
+    expect(options).not.to.have.property('replay')
+  })
+
+  it('should throw on flags that cannot be combined or invalid values', () => {
+    expect(() => toOptions(parseArgs(['--until', '1h']))).to.throw(TypeError, '--until needs --since')
+    expect(() => toOptions(parseArgs(['--since', '2h', '--until', '1h', '-f']))).to.throw(TypeError, '--until cannot be used with --follow or --checkpoint')
+    expect(() => toOptions(parseArgs(['--format', 'xml']))).to.throw(TypeError, '--format should be pretty, json or ejson')
+    expect(() => toOptions(parseArgs(['--since', 'yesterday']))).to.throw(TypeError, '--since should be a date')
+  })
+})
+
+describe('parseTime()', () => {
+  it('should parse durations as the time that long ago', () => {
+    const before = Date.now()
+    const time = parseTime('15m', '--since').getTime()
+
+    expect(time).to.be.within(before - 15 * 60 * 1000, Date.now() - 15 * 60 * 1000)
+  })
+
+  it('should parse timestamps with and without increment', () => {
+    expect(parseTime('1700000000:3', '--since').equals(new Timestamp(3, 1700000000))).to.be.true
+    expect(parseTime('1700000000', '--since').equals(new Timestamp(0, 1700000000))).to.be.true
+  })
+
+  it('should parse dates', () => {
+    expect(parseTime('2023-11-14', '--since').getTime()).to.equal(Date.UTC(2023, 10, 14))
+  })
+})
+
+describe('formatPretty()', () => {
+  it('should print the time, timestamp, operation, namespace and document', () => {
+    const id = new ObjectID('5f0000000000000000000001')
+    const entry = { ts: new Timestamp(1, 1700000000), op: 'i', ns: 'shop.orders', o: { _id: id, total: 10 } }
+
+    expect(formatPretty(entry)).to.equal('2023-11-14T22:13:20.000Z 1700000000:1 insert shop.orders {"_id":{"$oid":"5f0000000000000000000001"},"total":10}')
+  })
+
+  it('should print the query of updates before the update', () => {
+    const entry = { ts: new Timestamp(1, 1700000000), op: 'u', ns: 'shop.orders', o2: { _id: 1 }, o: { $set: { total: 10 } } }
+
+    expect(formatPretty(entry)).to.equal('2023-11-14T22:13:20.000Z 1700000000:1 update shop.orders {"_id":1} {"$set":{"total":10}}')
+  })
+
+  it('should print a dash for entries without a namespace', () => {
+    const entry = { ts: new Timestamp(1, 1700000000), op: 'n', ns: '', o: { msg: 'periodic noop' } }
+
+    expect(formatPretty(entry)).to.equal('2023-11-14T22:13:20.000Z 1700000000:1 noop - {"msg":"periodic noop"}')
+  })
+})
@@ -0,0 +1,111 @@
+'use strict'
+
+let expect = require('chai').expect
+let Timestamp = require('mongodb').Timestamp
+let testUtils = require('./test-utils.js')
+
+let createOplogDocument = testUtils.createOplogDocument
+let command = require('../lib/command')
+let decodeCommand = command.decodeCommand
+let splitNamespace = command.splitNamespace
+
+function createCommandDocument (ns, o) {
+  return {
+    ts: new Timestamp(0, 100),
+    h: '123456789',
+    v: 2,
+    op: 'c',
+    ns,
+    o
+  }
+}
+
+describe('decodeCommand()', () => {
+  it('should return null for CRUD operations', () => {
+    expect(decodeCommand(createOplogDocument('insert'))).to.be.null
+  })
+
+  it('should return null for unknown commands', () => {
+    expect(decodeCommand(createCommandDocument('database.$cmd', { emptycapped: 'collection' }))).to.be.null
+  })
+
+  it('should decode a noop', () => {
+    const doc = { ts: new Timestamp(0, 100), op: 'n', ns: '', o: { msg: 'periodic noop' } }
+
+    expect(decodeCommand(doc)).to.deep.equal(['noop', {
+      operationType: 'noop',
+      db: null,
+      coll: null,
+      ts: doc.ts,
+      command: doc.o,
+      raw: doc
+    }])
+  })
+
+  it('should decode a drop', () => {
+    const doc = createCommandDocument('database.$cmd', { drop: 'collection' })
+
+    expect(decodeCommand(doc)).to.deep.equal(['drop', {
+      operationType: 'drop',
+      db: 'database',
+      coll: 'collection',
+      ts: doc.ts,
+      command: doc.o,
+      raw: doc
+    }])
+  })
+
+  it('should decode a dropDatabase', () => {
+    const doc = createCommandDocument('database.$cmd', { dropDatabase: 1 })
+
+    expect(decodeCommand(doc)).to.deep.equal(['dropDatabase', {
+      operationType: 'dropDatabase',
+      db: 'database',
+      coll: null,
+      ts: doc.ts,
+      command: doc.o,
+      raw: doc
+    }])
+  })
+
+  it('should decode a renameCollection with its target namespace', () => {
+    const doc = createCommandDocument('admin.$cmd', { renameCollection: 'database.old', to: 'other.new', stayTemp: false })
+
+    expect(decodeCommand(doc)).to.deep.equal(['renameCollection', {
+      operationType: 'renameCollection',
+      db: 'database',
+      coll: 'old',
+      to: { db: 'other', coll: 'new' },
+      ts: doc.ts,
+      command: doc.o,
+      raw: doc
+    }])
+  })
+
+  it('should decode create, collMod, createIndexes and dropIndexes', () => {
+    const commands = [
+      ['create', { create: 'collection', idIndex: {} }],
+      ['collMod', { collMod: 'collection', validator: {} }],
+      ['createIndexes', { createIndexes: 'collection', v: 2, key: { a: 1 }, name: 'a_1' }],
+      ['createIndexes', { commitIndexBuild: 'collection', indexes: [] }],
+      ['dropIndexes', { dropIndexes: 'collection', index: 'a_1' }],
+      ['dropIndexes', { deleteIndexes: 'collection', index: 'a_1' }]
+    ]
+
+    commands.forEach((expected) => {
+      const result = decodeCommand(createCommandDocument('database.$cmd', expected[1]))
+      expect(result[0]).to.equal(expected[0])
+      expect(result[1]).to.include({ operationType: expected[0], db: 'database', coll: 'collection' })
+    })
+  })
+})
+
+describe('splitNamespace()', () => {
+  it('should split a namespace on the first dot', () => {
+    expect(splitNamespace('database.collection.with.dots')).to.deep.equal({ db: 'database', coll: 'collection.with.dots' })
+  })
+
+  it('should return a null collection when there is no dot', () => {
+    expect(splitNamespace('database')).to.deep.equal({ db: 'database', coll: null })
+  })
+})
@@ -0,0 +1,168 @@
+'use strict'
+
+let expect = require('chai').expect
+let mongodb = require('mongodb')
+
+let ejson = require('../lib/ejson')
+let deserialize = ejson.deserialize
+let parse = ejson.parse
+let serialize = ejson.serialize
+let stringify = ejson.stringify
+
+describe('serialize()', () => {
+  it('should convert the BSON types', () => {
+    const value = {
+      oid: new mongodb.ObjectID('5f0000000000000000000001'),
+      ts: new mongodb.Timestamp(4294967295, 1700000000),
+      long: mongodb.Long.fromString('9007199254740993'),
+      int: new mongodb.Int32(5),
+      double: new mongodb.Double(5),
+      decimal: mongodb.Decimal128.fromString('1.10'),
+      binary: new mongodb.Binary(Buffer.from('abc'), 4),
+      code: new mongodb.Code('x + 1', { x: 1 }),
+      ref: new mongodb.DBRef('orders', 1, 'shop'),
+      regexp: new mongodb.BSONRegExp('^a', 'mi'),
+      symbol: new mongodb.Symbol('s'),
+      min: new mongodb.MinKey(),
+      max: new mongodb.MaxKey()
+    }
+
+    expect(serialize(value, { relaxed: false })).to.deep.equal({
+      oid: { $oid: '5f0000000000000000000001' },
+      ts: { $timestamp: { t: 1700000000, i: 4294967295 } },
+      long: { $numberLong: '9007199254740993' },
+      int: { $numberInt: '5' },
+      double: { $numberDouble: '5.0' },
+      decimal: { $numberDecimal: '1.10' },
+      binary: { $binary: { base64: 'YWJj', subType: '04' } },
+      code: { $code: 'x + 1', $scope: { x: { $numberInt: '1' } } },
+      ref: { $ref: 'orders', $id: { $numberInt: '1' }, $db: 'shop' },
+      regexp: { $regularExpression: { pattern: '^a', options: 'im' } },
+      symbol: { $symbol: 's' },
+      min: { $minKey: 1 },
+      max: { $maxKey: 1 }
+    })
+  })
+
+  it('should only wrap numbers JSON cannot represent in relaxed mode', () => {
+    const value = { a: 1, b: 1.5, c: mongodb.Long.fromNumber(7), d: new mongodb.Int32(3), e: new mongodb.Double(2.5), f: Infinity, g: NaN }
+
+    expect(serialize(value)).to.deep.equal({
+      a: 1,
+      b: 1.5,
+      c: 7,
+      d: 3,
+      e: 2.5,
+      f: { $numberDouble: 'Infinity' },
+      g: { $numberDouble: 'NaN' }
+    })
+  })
+
+  it('should wrap javascript numbers as int32 or double in canonical mode', () => {
+    expect(serialize([1, -2147483648, 2147483648, 1.5, -0, 1e21], { relaxed: false })).to.deep.equal([
+      { $numberInt: '1' },
+      { $numberInt: '-2147483648' },
+      { $numberDouble: '2147483648.0' },
+      { $numberDouble: '1.5' },
+      { $numberDouble: '-0.0' },
+      { $numberDouble: '1e+21' }
+    ])
+  })
+
+  it('should write dates as ISO strings in relaxed mode if they are after 1970', () => {
+    expect(serialize(new Date(1700000000000))).to.deep.equal({ $date: '2023-11-14T22:13:20.000Z' })
+    expect(serialize(new Date(-1000))).to.deep.equal({ $date: { $numberLong: '-1000' } })
+    expect(serialize(new Date(1700000000000), { relaxed: false })).to.deep.equal({ $date: { $numberLong: '1700000000000' } })
+  })
+
+  it('should convert regular expressions and buffers', () => {
+    expect(serialize(/a.b/gim)).to.deep.equal({ $regularExpression: { pattern: 'a.b', options: 'im' } })
+    expect(serialize(Buffer.from('abc'))).to.deep.equal({ $binary: { base64: 'YWJj', subType: '00' } })
+  })
+
+  it('should leave out undefined fields and turn undefined array items into null', () => {
+    expect(serialize({ a: undefined, b: [undefined], c: null, d: 'x', e: true })).to.deep.equal({ b: [null], c: null, d: 'x', e: true })
+  })
+
+  it('should throw on unknown BSON types', () => {
+    expect(() => serialize({ _bsontype: 'Unknown' })).to.throw(TypeError, 'Cannot convert the BSON type Unknown to Extended JSON')
+  })
+})
+
+describe('stringify()', () => {
+  it('should serialize to a string', () => {
+    expect(stringify({ _id: new mongodb.ObjectID('5f0000000000000000000001'), n: 1 }, { relaxed: false }))
+      .to.equal('{"_id":{"$oid":"5f0000000000000000000001"},"n":{"$numberInt":"1"}}')
+  })
+})
+
+describe('deserialize()', () => {
+  it('should restore the BSON types of canonical Extended JSON', () => {
+    const value = {
+      oid: new mongodb.ObjectID('5f0000000000000000000001'),
+      ts: new mongodb.Timestamp(4294967295, 1700000000),
+      long: mongodb.Long.fromString('9007199254740993'),
+      int: new mongodb.Int32(5),
+      double: new mongodb.Double(5.5),
+      decimal: mongodb.Decimal128.fromString('1.10'),
+      binary: new mongodb.Binary(Buffer.from('abc'), 4),
+      date: new Date(1700000000000),
+      code: new mongodb.Code('x + 1', { x: new mongodb.Int32(1) }),
+      ref: new mongodb.DBRef('orders', new mongodb.ObjectID('5f0000000000000000000002'), 'shop'),
+      regexp: /^a/im,
+      bsonRegexp: new mongodb.BSONRegExp('^a', 'x'),
+      symbol: new mongodb.Symbol('s'),
+      min: new mongodb.MinKey(),
+      max: new mongodb.MaxKey(),
+      nested: [{ a: null, b: 'x', c: true }]
+    }
+    const copy = deserialize(serialize(value, { relaxed: false }), { relaxed: false })
+
+    expect(serialize(copy, { relaxed: false })).to.deep.equal(serialize(value, { relaxed: false }))
+    expect(copy.oid).to.be.an.instanceOf(mongodb.ObjectID)
+    expect(copy.ts).to.be.an.instanceOf(mongodb.Timestamp)
+    expect(copy.ts.equals(value.ts)).to.be.true
+    expect(copy.long.equals(value.long)).to.be.true
+    expect(copy.int).to.be.an.instanceOf(mongodb.Int32)
+    expect(copy.double).to.be.an.instanceOf(mongodb.Double)
+    expect(copy.binary.sub_type).to.equal(4)
+    expect(copy.date).to.deep.equal(value.date)
+    expect(copy.regexp).to.deep.equal(/^a/im)
+    expect(copy.bsonRegexp).to.be.an.instanceOf(mongodb.BSONRegExp)
+    expect(copy.ref.oid.equals(value.ref.oid)).to.be.true
+  })
+
+  it('should turn int32 and double wrappers into numbers in relaxed mode', () => {
+    expect(deserialize({ a: { $numberInt: '1' }, b: { $numberDouble: '1.5' }, c: { $numberDouble: 'NaN' }, d: 2 })).to.deep.equal({ a: 1, b: 1.5, c: NaN, d: 2 })
+  })
+
+  it('should read relaxed and legacy dates and binaries', () => {
+    expect(deserialize({ $date: '2023-11-14T22:13:20.000Z' }).getTime()).to.equal(1700000000000)
+    expect(deserialize({ $date: 1700000000000 }).getTime()).to.equal(1700000000000)
+    expect(deserialize({ $binary: 'YWJj', $type: '00' }).value()).to.equal('abc')
+  })
+
+  it('should leave documents that merely have dollar keys and values with BSON types alone', () => {
+    const oid = new mongodb.ObjectID()
+
+    expect(deserialize({ $set: { a: 1 }, $oid: 'x', other: 1 })).to.deep.equal({ $set: { a: 1 }, $oid: 'x', other: 1 })
+    expect(deserialize({ _id: oid })._id).to.equal(oid)
+  })
+
+  it('should throw on wrappers with invalid values', () => {
+    expect(() => deserialize({ $oid: 'x' })).to.throw(TypeError, 'Invalid Extended JSON $oid: "x"')
+    expect(() => deserialize({ $numberLong: 1 })).to.throw(TypeError, 'Invalid Extended JSON $numberLong')
+    expect(() => deserialize({ $date: 'yesterday' })).to.throw(TypeError, 'Invalid Extended JSON $date')
+  })
+})
+
+describe('parse()', () => {
+  it('should parse what stringify() wrote', () => {
+    const entry = { ts: new mongodb.Timestamp(1, 1700000000), op: 'i', ns: 'shop.orders', o: { _id: new mongodb.ObjectID(), total: mongodb.Decimal128.fromString('9.99') } }
+    const copy = parse(stringify(entry))
+
+    expect(copy.ts.equals(entry.ts)).to.be.true
+    expect(copy.o._id.equals(entry.o._id)).to.be.true
+    expect(copy.o.total.toString()).to.equal('9.99')
+  })
+})
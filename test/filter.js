@@ -0,0 +1,213 @@
+'use strict'
+
+let expect = require('chai').expect
+
+let filterModule = require('../lib/filter')
+let createFilter = filterModule.createFilter
+let matchesCommand = filterModule.matchesCommand
+let matchesNamespace = filterModule.matchesNamespace
+let matchesOperation = filterModule.matchesOperation
+let toQuery = filterModule.toQuery
+
+function compile (filter, database, collection, format) {
+  return createFilter({ filter, database: database || '.*', collection: collection || '.*', format })
+}
+
+describe('createFilter()', () => {
+  it('should throw if filter is not an object', () => {
+    expect(() => compile('shop.*')).to.throw(TypeError, 'filter should be an object')
+  })
+
+  it('should throw if namespaces is not an array of strings and regular expressions', () => {
+    expect(() => compile({ namespaces: 'shop.*' })).to.throw(TypeError, 'filter.namespaces should be an array of strings and regular expressions')
+    expect(() => compile({ exclude: [1] })).to.throw(TypeError, 'filter.exclude should be an array of strings and regular expressions')
+  })
+
+  it('should throw if operations contains an unknown type', () => {
+    expect(() => compile({ operations: ['insert', 'upsert'] })).to.throw(TypeError, 'filter.operations should be an array of insert, update, delete, command and noop')
+  })
+
+  it('should throw if where is not a function', () => {
+    expect(() => compile({ where: true })).to.throw(TypeError, 'filter.where should be a function')
+  })
+
+  it('should throw if match is not a valid query', () => {
+    expect(() => compile({ match: 'paid' })).to.throw(TypeError, 'filter.match should be a query object')
+    expect(() => compile({ match: { $where: 'this.paid' } })).to.throw(TypeError, 'filter.match does not support $where')
+  })
+
+  it('should only push match queries on o into the cursor query', () => {
+    const match = { 'o.status': 'paid', $or: [{ 'o.total': { $gt: 10 } }, { o: { _id: 1 } }] }
+
+    expect(compile({ match }).matchQuery).to.equal(match)
+    expect(compile({ match: { 'o.status': 'paid', ns: 'shop.orders' } }).matchQuery).to.be.null
+    expect(compile({ match }, null, null, 'normalized').matchQuery).to.be.null
+  })
+
+  it('should throw if namespaces is combined with database or collection', () => {
+    expect(() => compile({ namespaces: ['shop.orders'] }, 'shop')).to.throw(TypeError, 'database and collection cannot be combined with filter.namespaces')
+  })
+})
+
+describe('matchesNamespace()', () => {
+  it('should match every namespace by default', () => {
+    expect(matchesNamespace(compile(), 'any.collection')).to.be.true
+  })
+
+  it('should match the whole database and collection names', () => {
+    const filter = compile(undefined, 'shop', 'user')
+
+    expect(matchesNamespace(filter, 'shop.user')).to.be.true
+    expect(matchesNamespace(filter, 'shop.users_archive')).to.be.false
+    expect(matchesNamespace(filter, 'workshop.user')).to.be.false
+  })
+
+  it('should match exact namespaces', () => {
+    const filter = compile({ namespaces: ['shop.orders', 'shop.users'] })
+
+    expect(matchesNamespace(filter, 'shop.users')).to.be.true
+    expect(matchesNamespace(filter, 'shop.users_archive')).to.be.false
+  })
+
+  it('should match globs', () => {
+    const filter = compile({ namespaces: ['shop.*', 'logs.day_?'] })
+
+    expect(matchesNamespace(filter, 'shop.orders')).to.be.true
+    expect(matchesNamespace(filter, 'logs.day_1')).to.be.true
+    expect(matchesNamespace(filter, 'logs.day_10')).to.be.false
+    expect(matchesNamespace(filter, 'shopping.orders')).to.be.false
+  })
+
+  it('should match regular expressions', () => {
+    const filter = compile({ namespaces: [/^shop\.(orders|users)$/g] })
+
+    expect(matchesNamespace(filter, 'shop.orders')).to.be.true
+    expect(matchesNamespace(filter, 'shop.orders')).to.be.true
+    expect(matchesNamespace(filter, 'shop.carts')).to.be.false
+  })
+
+  it('should not match excluded namespaces', () => {
+    const filter = compile({ namespaces: ['shop.*'], exclude: ['shop.sessions', /\.tmp_/] })
+
+    expect(matchesNamespace(filter, 'shop.orders')).to.be.true
+    expect(matchesNamespace(filter, 'shop.sessions')).to.be.false
+    expect(matchesNamespace(filter, 'shop.tmp_import')).to.be.false
+  })
+})
+
+describe('matchesOperation()', () => {
+  it('should only match the selected operation types', () => {
+    const filter = compile({ operations: ['insert'] })
+
+    expect(matchesOperation(filter, { op: 'i', ns: 'shop.orders', o: {} })).to.be.true
+    expect(matchesOperation(filter, { op: 'd', ns: 'shop.orders', o: {} })).to.be.false
+  })
+
+  it('should only match entries for which where returns true', () => {
+    const filter = compile({ where: (entry) => entry.o.status === 'paid' })
+
+    expect(matchesOperation(filter, { op: 'i', ns: 'shop.orders', o: { status: 'paid' } })).to.be.true
+    expect(matchesOperation(filter, { op: 'i', ns: 'shop.orders', o: { status: 'open' } })).to.be.false
+  })
+
+  it('should only match entries that match the match query', () => {
+    const filter = compile({ match: { 'o.status': 'paid' } })
+
+    expect(matchesOperation(filter, { op: 'i', ns: 'shop.orders', o: { status: 'paid' } })).to.be.true
+    expect(matchesOperation(filter, { op: 'i', ns: 'shop.orders', o: { status: 'open' } })).to.be.false
+  })
+
+  it('should evaluate the match query on the NormalizedEvent with the normalized format', () => {
+    const filter = compile({ match: { operationType: 'update', 'updateDescription.updatedFields.status': { $exists: true } } }, null, null, 'normalized')
+
+    expect(matchesOperation(filter, { op: 'u', ns: 'shop.orders', o: { $set: { status: 'paid' } }, o2: { _id: 1 } })).to.be.true
+    expect(matchesOperation(filter, { op: 'u', ns: 'shop.orders', o: { $set: { total: 1 } }, o2: { _id: 1 } })).to.be.false
+  })
+
+  it('should not call where or match for commands', () => {
+    const filter = compile({ where: () => false, match: { 'o.status': 'paid' } })
+
+    expect(matchesOperation(filter, { op: 'c', ns: 'shop.$cmd', o: { emptycapped: 'orders' } })).to.be.true
+  })
+})
+
+describe('matchesCommand()', () => {
+  const drop = { operationType: 'drop', db: 'shop', coll: 'orders' }
+  const dropDatabase = { operationType: 'dropDatabase', db: 'shop', coll: null }
+  const noop = { operationType: 'noop', db: '', coll: null }
+
+  it('should match a command on an included collection', () => {
+    expect(matchesCommand(compile({ namespaces: ['shop.orders'] }), drop)).to.be.true
+    expect(matchesCommand(compile({ namespaces: ['shop.orders'], exclude: ['shop.orders'] }), drop)).to.be.false
+  })
+
+  it('should match a dropDatabase if an included namespace can be in the database', () => {
+    expect(matchesCommand(compile({ namespaces: ['shop.orders'] }), dropDatabase)).to.be.true
+    expect(matchesCommand(compile({ namespaces: ['logs.*'] }), dropDatabase)).to.be.false
+    expect(matchesCommand(compile({ namespaces: [/orders$/] }), dropDatabase)).to.be.true
+  })
+
+  it('should match noops unless they are not selected', () => {
+    expect(matchesCommand(compile({ namespaces: ['logs.*'] }), noop)).to.be.true
+    expect(matchesCommand(compile({ operations: ['insert'] }), noop)).to.be.false
+  })
+
+  it('should not match commands unless they are selected', () => {
+    expect(matchesCommand(compile({ operations: ['insert'] }), drop)).to.be.false
+  })
+})
+
+describe('toQuery()', () => {
+  it('should return no conditions if every entry passes', () => {
+    expect(toQuery([compile({ where: () => true })])).to.deep.equal({})
+  })
+
+  it('should select the namespaces of inserts, updates and deletes', () => {
+    const glob = compile({ namespaces: ['shop.*'] }).include[0].namespace
+
+    expect(toQuery([compile({ namespaces: ['shop.orders', 'shop.*'], exclude: ['shop.sessions'] })])).to.deep.equal({
+      $or: [
+        { op: 'n' },
+        { op: 'c' },
+        { op: { $in: ['i', 'u', 'd'] }, ns: { $in: ['shop.orders', glob], $nin: ['shop.sessions'] } }
+      ]
+    })
+  })
+
+  it('should only read the transactions among the commands if commands are not selected', () => {
+    expect(toQuery([compile({ operations: ['insert', 'delete'] })])).to.deep.equal({
+      $or: [
+        { op: 'n' },
+        { op: 'c', ns: 'admin.$cmd' },
+        { op: { $in: ['i', 'd'] } }
+      ]
+    })
+  })
+
+  it('should read the entries that pass any of the filters', () => {
+    const filters = [compile({ namespaces: [] }), compile({ namespaces: ['shop.orders'], operations: ['insert'] })]
+
+    expect(toQuery(filters)).to.deep.equal({
+      $or: [
+        { op: 'n' },
+        { op: 'c' },
+        { op: { $in: ['i', 'u', 'd'] }, ns: { $in: [] } },
+        { op: { $in: ['i'] }, ns: { $in: ['shop.orders'] } }
+      ]
+    })
+  })
+
+  it('should add a match query on o to the query of inserts, updates and deletes', () => {
+    expect(toQuery([compile({ match: { 'o.tenantId': 'acme' } })])).to.deep.equal({
+      $or: [
+        { op: 'n' },
+        { op: 'c' },
+        { op: { $in: ['i', 'u', 'd'] }, $and: [{ 'o.tenantId': 'acme' }] }
+      ]
+    })
+  })
+
+  it('should only read noops and commands if no inserts, updates or deletes are selected', () => {
+    expect(toQuery([compile({ operations: ['command'] })])).to.deep.equal({ $or: [{ op: 'n' }, { op: 'c' }] })
+  })
+})
@@ -0,0 +1,107 @@
+'use strict'
+
+let expect = require('chai').expect
+let ObjectID = require('mongodb').ObjectID
+
+let createProjection = require('../lib/projection').createProjection
+let DocumentLookup = require('../lib/lookup').DocumentLookup
+
+function createClient (collections) {
+  let client = { queries: [] }
+  client.db = (db) => ({
+    collection: (coll) => ({
+      find: (query) => {
+        client.queries.push({ ns: `${db}.${coll}`, query })
+        const documents = collections[`${db}.${coll}`] || []
+        const ids = query._id.$in.map((id) => JSON.stringify(id))
+        return { toArray: () => Promise.resolve(documents.filter((document) => ids.indexOf(JSON.stringify(document._id)) !== -1)) }
+      }
+    })
+  })
+  return client
+}
+
+function createLookup (client, projection) {
+  return new DocumentLookup({ client: () => Promise.resolve(client), onAvailable: () => {}, projection })
+}
+
+function createUpdate (ns, id) {
+  return { op: 'u', ns, o: { $set: { updated: true } }, o2: { _id: id } }
+}
+
+describe('DocumentLookup', () => {
+  it('should attach the current documents to the updates', () => {
+    const client = createClient({ 'shop.orders': [{ _id: 1, status: 'paid' }] })
+    const update = createUpdate('shop.orders', 1)
+
+    return createLookup(client).fetch([update])
+      .then(() => expect(update.fullDocument).to.deep.equal({ _id: 1, status: 'paid' }))
+  })
+
+  it('should apply the projection to the documents', () => {
+    const client = createClient({ 'shop.orders': [{ _id: 1, status: 'paid', customer: { name: 'a', email: 'a@b.c' } }] })
+    const update = createUpdate('shop.orders', 1)
+
+    return createLookup(client, createProjection({ redact: ['customer.email'] })).fetch([update])
+      .then(() => expect(update.fullDocument).to.deep.equal({ _id: 1, status: 'paid', customer: { name: 'a' } }))
+  })
+
+  it('should batch the lookups of the same tick into one query per namespace', () => {
+    const client = createClient({ 'shop.orders': [{ _id: 1 }, { _id: 2 }], 'shop.users': [{ _id: 1 }] })
+    const lookup = createLookup(client)
+
+    return Promise.all([
+      lookup.fetch([createUpdate('shop.orders', 1)]),
+      lookup.fetch([createUpdate('shop.orders', 2), createUpdate('shop.users', 1)]),
+      lookup.fetch([createUpdate('shop.orders', 1)])
+    ]).then(() => {
+      expect(client.queries).to.deep.equal([
+        { ns: 'shop.orders', query: { _id: { $in: [1, 2] } } },
+        { ns: 'shop.users', query: { _id: { $in: [1] } } }
+      ])
+    })
+  })
+
+  it('should set fullDocument to null for documents that no longer exist', () => {
+    const update = createUpdate('shop.orders', 1)
+
+    return createLookup(createClient({})).fetch([update])
+      .then(() => expect(update.fullDocument).to.be.null)
+  })
+
+  it('should not confuse ids of different types', () => {
+    const id = new ObjectID()
+    const client = createClient({ 'shop.orders': [{ _id: id, type: 'objectid' }, { _id: id.toHexString(), type: 'string' }] })
+    const updates = [createUpdate('shop.orders', id), createUpdate('shop.orders', id.toHexString())]
+
+    return createLookup(client).fetch(updates)
+      .then(() => expect(updates.map((update) => update.fullDocument.type)).to.deep.equal(['objectid', 'string']))
+  })
+
+  it('should look up normalized updates but not replaces', () => {
+    const client = createClient({ 'shop.orders': [{ _id: 1, status: 'paid' }] })
+    const update = { operationType: 'update', db: 'shop', coll: 'orders', documentKey: { _id: 1 }, fullDocument: null }
+    const replace = { operationType: 'replace', db: 'shop', coll: 'orders', documentKey: { _id: 1 }, fullDocument: { _id: 1 } }
+
+    return createLookup(client).fetch([update, replace])
+      .then(() => {
+        expect(update.fullDocument).to.deep.equal({ _id: 1, status: 'paid' })
+        expect(replace.fullDocument).to.deep.equal({ _id: 1 })
+      })
+  })
+
+  it('should be full while 1000 entries wait for their lookups', () => {
+    const lookup = createLookup(createClient({}))
+    let fetches = []
+    for (let i = 0; i < 1000; i++) fetches.push(lookup.fetch([createUpdate('shop.orders', i)]))
+
+    expect(lookup.isFull()).to.be.true
+    return Promise.all(fetches).then(() => expect(lookup.isFull()).to.be.false)
+  })
+
+  it('should reject if there is no connection', () => {
+    const lookup = new DocumentLookup({ client: () => Promise.resolve(null), onAvailable: () => {} })
+
+    return expect(lookup.fetch([createUpdate('shop.orders', 1)])).to.eventually.be.rejectedWith('Cannot look up updated documents without a connection to mongodb')
+  })
+})
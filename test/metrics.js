@@ -0,0 +1,101 @@
+'use strict'
+
+let expect = require('chai').expect
+let Timestamp = require('mongodb').Timestamp
+
+let metrics = require('../lib/metrics')
+let Metrics = metrics.Metrics
+let newestTimestamp = metrics.newestTimestamp
+let toPrometheus = metrics.toPrometheus
+
+describe('Metrics', () => {
+  it('should count events per operation type and entries that fired no events', () => {
+    const stats = new Metrics()
+
+    stats.count([[{}, [['op', {}], ['insert', {}]]], [{}, [['op', {}], ['insert', {}]]]])
+    stats.count([[{}, [['op', {}], ['drop', {}]]], [{}, []]])
+    stats.count([[{}, [['noop', {}]]]])
+    stats.count([[{}, [['op', {}], ['update', {}], ['transaction', []]]]])
+    stats.count([[{}, []], [{}, []]])
+
+    expect(stats.snapshot().events).to.deep.equal({ insert: 2, update: 1, delete: 0, command: 1, noop: 1 })
+    expect(stats.snapshot().filtered).to.equal(1)
+  })
+
+  it('should compute the lag and the window from the sampled oplog', () => {
+    const stats = new Metrics()
+    expect(stats.snapshot()).to.include({ lag: null, window: null })
+
+    stats.sample(new Timestamp(0, 100), new Timestamp(0, 500))
+    expect(stats.snapshot()).to.include({ lag: null, window: 400 })
+
+    stats.read(new Timestamp(3, 480))
+    expect(stats.snapshot()).to.include({ lag: 20, window: 400 })
+  })
+
+  it('should compute the lag from the last entry that was read rather than the last processed one', () => {
+    const stats = new Metrics()
+    stats.sample(new Timestamp(0, 100), new Timestamp(0, 500))
+    stats.process(new Timestamp(0, 300))
+    stats.read(new Timestamp(0, 490))
+
+    expect(stats.snapshot()).to.include({ lag: 10 })
+  })
+})
+
+describe('newestTimestamp()', () => {
+  it('should find the last entry in natural order', () => {
+    let options
+    const oplog = {
+      findOne: (query, findOptions) => {
+        options = findOptions
+        return Promise.resolve({ ts: new Timestamp(0, 100) })
+      }
+    }
+
+    return newestTimestamp(oplog).then((timestamp) => {
+      expect(timestamp.equals(new Timestamp(0, 100))).to.be.true
+      expect(options).to.deep.equal({ sort: { $natural: -1 }, projection: { ts: 1 } })
+    })
+  })
+})
+
+describe('toPrometheus()', () => {
+  it('should render the stats in the text exposition format', () => {
+    const stats = new Metrics()
+    stats.count([[{}, [['op', {}], ['insert', {}]]]])
+    stats.reconnects = 2
+    stats.process(new Timestamp(0, 480))
+    stats.read(new Timestamp(0, 480))
+    stats.sample(new Timestamp(0, 100), new Timestamp(0, 500))
+
+    const lines = toPrometheus(stats.snapshot()).split('\n')
+
+    expect(lines).to.include.members([
+      '# HELP oplog_emitter_events_total Events emitted per operation type',
+      '# TYPE oplog_emitter_events_total counter',
+      'oplog_emitter_events_total{operation="insert"} 1',
+      'oplog_emitter_events_total{operation="noop"} 0',
+      'oplog_emitter_filtered_total 0',
+      'oplog_emitter_processed_timestamp_seconds 480',
+      'oplog_emitter_lag_seconds 20',
+      'oplog_emitter_window_seconds 400',
+      '# TYPE oplog_emitter_reconnects_total counter',
+      'oplog_emitter_reconnects_total 2'
+    ])
+  })
+
+  it('should leave out metrics without a value', () => {
+    const output = toPrometheus(new Metrics().snapshot())
+
+    expect(output).not.to.include('lag_seconds')
+    expect(output).not.to.include('processed_time_seconds')
+  })
+
+  it('should use the prefix and add the labels to every sample', () => {
+    const output = toPrometheus(new Metrics().snapshot(), { prefix: 'orders', labels: { instance: 'a"b' } })
+
+    expect(output).to.include('orders_events_total{instance="a\\"b",operation="insert"} 0')
+    expect(output).to.include('orders_reconnects_total{instance="a\\"b"} 0')
+  })
+})
@@ -0,0 +1,137 @@
+'use strict'
+
+let expect = require('chai').expect
+let testUtils = require('./test-utils.js')
+
+let createOplogDocument = testUtils.createOplogDocument
+let normalizeModule = require('../lib/normalize')
+let decodeUpdate = normalizeModule.decodeUpdate
+let normalize = normalizeModule.normalize
+
+describe('normalize()', () => {
+  it('should normalize an insert', () => {
+    const doc = createOplogDocument('insert', { operation: { _id: 1, name: 'test' } })
+    doc.wall = new Date()
+
+    expect(normalize(doc)).to.deep.equal({
+      operationType: 'insert',
+      db: 'database',
+      coll: 'collection',
+      documentKey: { _id: 1 },
+      fullDocument: { _id: 1, name: 'test' },
+      updateDescription: null,
+      ts: doc.ts,
+      wallTime: doc.wall,
+      raw: doc
+    })
+  })
+
+  it('should normalize a delete', () => {
+    const doc = createOplogDocument('delete', { operation: { _id: 1 } })
+
+    expect(normalize(doc)).to.deep.equal({
+      operationType: 'delete',
+      db: 'database',
+      coll: 'collection',
+      documentKey: { _id: 1 },
+      fullDocument: null,
+      updateDescription: null,
+      ts: doc.ts,
+      wallTime: null,
+      raw: doc
+    })
+  })
+
+  it('should normalize an update', () => {
+    const doc = createOplogDocument('update', { operation: { $set: { name: 'test' } } })
+    doc.o2 = { _id: 1 }
+
+    expect(normalize(doc)).to.deep.equal({
+      operationType: 'update',
+      db: 'database',
+      coll: 'collection',
+      documentKey: { _id: 1 },
+      fullDocument: null,
+      updateDescription: { updatedFields: { name: 'test' }, removedFields: [], truncatedArrays: [] },
+      ts: doc.ts,
+      wallTime: null,
+      raw: doc
+    })
+  })
+
+  it('should normalize an update that replaces the document as a replace', () => {
+    const doc = createOplogDocument('update', { operation: { _id: 1, name: 'test' } })
+    doc.o2 = { _id: 1 }
+
+    expect(normalize(doc)).to.include({ operationType: 'replace', fullDocument: doc.o, updateDescription: null })
+  })
+
+  it('should keep the looked up document of an update', () => {
+    const doc = createOplogDocument('update', { operation: { $set: { name: 'test' } } })
+    doc.o2 = { _id: 1 }
+    doc.fullDocument = { _id: 1, name: 'test' }
+
+    expect(normalize(doc)).to.include({ operationType: 'update', fullDocument: doc.fullDocument })
+  })
+
+  it('should copy the transaction annotations of transaction operations', () => {
+    const operation = { op: 'i', ns: 'database.collection', o: { _id: 1 }, lsid: { id: 'session' }, txnNumber: 1, endOfTransaction: true }
+
+    expect(normalize(operation)).to.include({ lsid: operation.lsid, txnNumber: 1, endOfTransaction: true })
+  })
+})
+
+describe('decodeUpdate()', () => {
+  it('should return null for a replacement document', () => {
+    expect(decodeUpdate({ _id: 1, name: 'test' })).to.be.null
+  })
+
+  it('should decode $set and $unset', () => {
+    expect(decodeUpdate({ $v: 1, $set: { a: 1, 'b.c': 2 }, $unset: { d: true } })).to.deep.equal({
+      updatedFields: { a: 1, 'b.c': 2 },
+      removedFields: ['d'],
+      truncatedArrays: []
+    })
+  })
+
+  it('should decode a $v: 2 diff', () => {
+    const update = {
+      $v: 2,
+      diff: {
+        u: { a: 1 },
+        i: { b: 2 },
+        d: { c: false },
+        sd: {
+          u: { e: 3 },
+          sf: { d: { g: false } }
+        }
+      }
+    }
+
+    expect(decodeUpdate(update)).to.deep.equal({
+      updatedFields: { a: 1, b: 2, 'd.e': 3 },
+      removedFields: ['c', 'd.f.g'],
+      truncatedArrays: []
+    })
+  })
+
+  it('should decode array changes in a $v: 2 diff', () => {
+    const update = {
+      $v: 2,
+      diff: {
+        sarr: {
+          a: true,
+          l: 3,
+          u0: 'first',
+          s2: { u: { name: 'nested' } }
+        }
+      }
+    }
+
+    expect(decodeUpdate(update)).to.deep.equal({
+      updatedFields: { 'arr.0': 'first', 'arr.2.name': 'nested' },
+      removedFields: [],
+      truncatedArrays: [{ field: 'arr', newSize: 3 }]
+    })
+  })
+})
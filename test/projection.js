@@ -0,0 +1,114 @@
+'use strict'
+
+let expect = require('chai').expect
+let ObjectID = require('mongodb').ObjectID
+
+let projectionModule = require('../lib/projection')
+let createProjection = projectionModule.createProjection
+let projectDocument = projectionModule.projectDocument
+let projectEntry = projectionModule.projectEntry
+
+const order = {
+  _id: 1,
+  status: 'paid',
+  customer: { id: 7, email: 'a@shop.test', card: { number: '4111', expiry: '01/30' } },
+  items: [{ sku: 'a', price: 5 }, { sku: 'b', price: 7 }],
+  notes: 'leave at the door'
+}
+
+describe('createProjection()', () => {
+  it('should return null without project and redact', () => {
+    expect(createProjection({})).to.be.null
+  })
+
+  it('should throw if the options are not arrays of field paths', () => {
+    expect(() => createProjection({ project: 'status' })).to.throw(TypeError, 'project should be an array of field paths')
+    expect(() => createProjection({ redact: ['customer.'] })).to.throw(TypeError, 'redact should be an array of field paths')
+    expect(() => createProjection({ redact: [1] })).to.throw(TypeError, 'redact should be an array of field paths')
+  })
+
+  it('should throw if redact would remove the _id', () => {
+    expect(() => createProjection({ redact: ['_id.tenant'] })).to.throw(TypeError, 'redact cannot remove the _id')
+  })
+})
+
+describe('projectDocument()', () => {
+  it('should only keep the projected fields and the _id', () => {
+    const projection = createProjection({ project: ['status', 'customer.id', 'items.sku'] })
+
+    expect(projectDocument(projection, order)).to.deep.equal({
+      _id: 1,
+      status: 'paid',
+      customer: { id: 7 },
+      items: [{ sku: 'a' }, { sku: 'b' }]
+    })
+  })
+
+  it('should remove the redacted fields', () => {
+    const projection = createProjection({ redact: ['customer.email', 'customer.card', 'items.price'] })
+
+    expect(projectDocument(projection, order)).to.deep.equal({
+      _id: 1,
+      status: 'paid',
+      customer: { id: 7 },
+      items: [{ sku: 'a' }, { sku: 'b' }],
+      notes: 'leave at the door'
+    })
+  })
+
+  it('should remove the redacted fields from the projected ones', () => {
+    const projection = createProjection({ project: ['customer'], redact: ['customer.card.number'] })
+
+    expect(projectDocument(projection, order)).to.deep.equal({ _id: 1, customer: { id: 7, email: 'a@shop.test', card: { expiry: '01/30' } } })
+  })
+
+  it('should keep BSON values whole', () => {
+    const id = new ObjectID()
+    const projected = projectDocument(createProjection({ project: ['ref.id'] }), { _id: id, ref: id })
+
+    expect(projected).to.deep.equal({ _id: id })
+  })
+})
+
+describe('projectEntry()', () => {
+  const projection = createProjection({ project: ['status', 'customer'], redact: ['customer.email'] })
+
+  it('should project the documents of inserts and deletes', () => {
+    const insert = { op: 'i', ns: 'shop.orders', o: order }
+    const projected = projectEntry(projection, insert)
+
+    expect(projected).to.deep.equal({ op: 'i', ns: 'shop.orders', o: { _id: 1, status: 'paid', customer: { id: 7, card: order.customer.card } } })
+    expect(insert.o).to.equal(order)
+    expect(projectEntry(projection, { op: 'd', ns: 'shop.orders', o: { _id: 1 } }).o).to.deep.equal({ _id: 1 })
+  })
+
+  it('should project the fields of $set and $unset updates', () => {
+    const update = {
+      op: 'u',
+      ns: 'shop.orders',
+      o: { $v: 1, $set: { status: 'sent', 'customer.email': 'b@shop.test', 'customer.card': {}, notes: '' }, $unset: { 'customer.email': true, notes: true } },
+      o2: { _id: 1 }
+    }
+
+    expect(projectEntry(projection, update).o).to.deep.equal({ $v: 1, $set: { status: 'sent', 'customer.card': {} }, $unset: {} })
+  })
+
+  it('should project $v: 2 diffs', () => {
+    const update = {
+      op: 'u',
+      ns: 'shop.orders',
+      o: { $v: 2, diff: { u: { status: 'sent', notes: '' }, d: { notes: false }, scustomer: { u: { email: 'b@shop.test', id: 8 } }, sitems: { a: true, u0: { sku: 'c' } } } },
+      o2: { _id: 1 }
+    }
+
+    expect(projectEntry(projection, update).o).to.deep.equal({ $v: 2, diff: { u: { status: 'sent' }, d: {}, scustomer: { u: { id: 8 } } } })
+  })
+
+  it('should project replacements and fullDocument', () => {
+    const update = { op: 'u', ns: 'shop.orders', o: order, o2: { _id: 1 }, fullDocument: order }
+    const projected = projectEntry(projection, update)
+
+    expect(projected.o).to.deep.equal({ _id: 1, status: 'paid', customer: { id: 7, card: order.customer.card } })
+    expect(projected.fullDocument).to.deep.equal(projected.o)
+  })
+})
@@ -0,0 +1,167 @@
+'use strict'
+
+let expect = require('chai').expect
+let mongodb = require('mongodb')
+
+let queryModule = require('../lib/query')
+let compileQuery = queryModule.compileQuery
+let isOplogQuery = queryModule.isOplogQuery
+
+function matches (query, document) {
+  return compileQuery(query, 'match')(document)
+}
+
+describe('compileQuery()', () => {
+  it('should match fields that equal a value, including missing fields against null', () => {
+    expect(matches({ status: 'paid', 'customer.id': 7 }, { status: 'paid', customer: { id: 7 } })).to.be.true
+    expect(matches({ status: 'paid' }, { status: 'open' })).to.be.false
+    expect(matches({ deletedAt: null }, { status: 'paid' })).to.be.true
+    expect(matches({ customer: { id: 7 } }, { customer: { id: 7, name: 'a' } })).to.be.false
+  })
+
+  it('should compare numbers of any BSON type by value', () => {
+    expect(matches({ total: 5 }, { total: mongodb.Long.fromNumber(5) })).to.be.true
+    expect(matches({ total: { $gt: mongodb.Long.fromNumber(4) } }, { total: new mongodb.Double(4.5) })).to.be.true
+    expect(matches({ total: { $lte: 4 } }, { total: mongodb.Decimal128.fromString('4.01') })).to.be.false
+  })
+
+  it('should compare ObjectIDs, dates and timestamps', () => {
+    const id = new mongodb.ObjectID('5f0000000000000000000001')
+
+    expect(matches({ _id: new mongodb.ObjectID(id.toHexString()) }, { _id: id })).to.be.true
+    expect(matches({ _id: { $gt: new mongodb.ObjectID('5e0000000000000000000000') } }, { _id: id })).to.be.true
+    expect(matches({ at: { $gte: new Date(1000) } }, { at: new Date(2000) })).to.be.true
+    expect(matches({ ts: { $lt: new mongodb.Timestamp(0, 2) } }, { ts: new mongodb.Timestamp(5, 1) })).to.be.true
+  })
+
+  it('should not compare values of different types', () => {
+    expect(matches({ total: { $gt: 1 } }, { total: '2' })).to.be.false
+    expect(matches({ total: { $lt: 1 } }, {})).to.be.false
+  })
+
+  it('should match arrays if an element matches, and reach into the documents in arrays', () => {
+    const order = { tags: ['new', 'gift'], items: [{ sku: 'a', qty: 1 }, { sku: 'b', qty: 3 }] }
+
+    expect(matches({ tags: 'gift' }, order)).to.be.true
+    expect(matches({ tags: ['new', 'gift'] }, order)).to.be.true
+    expect(matches({ 'items.sku': 'b' }, order)).to.be.true
+    expect(matches({ 'items.1.sku': 'b' }, order)).to.be.true
+    expect(matches({ 'items.0.sku': 'b' }, order)).to.be.false
+    expect(matches({ 'items.qty': { $gt: 2 } }, order)).to.be.true
+  })
+
+  it('should support $ne, $in, $nin and $exists', () => {
+    const order = { status: 'paid', tags: ['gift'] }
+
+    expect(matches({ status: { $ne: 'open' } }, order)).to.be.true
+    expect(matches({ tags: { $ne: 'gift' } }, order)).to.be.false
+    expect(matches({ status: { $in: ['open', /^pa/] } }, order)).to.be.true
+    expect(matches({ tags: { $nin: ['gift'] } }, order)).to.be.false
+    expect(matches({ status: { $exists: true }, total: { $exists: false } }, order)).to.be.true
+  })
+
+  it('should support $regex, $not, $size, $all, $elemMatch and $mod', () => {
+    const order = { email: 'A@shop.test', tags: ['new', 'gift'], items: [{ sku: 'a', qty: 1 }, { sku: 'b', qty: 3 }], total: 12 }
+
+    expect(matches({ email: /@shop\.test$/ }, order)).to.be.true
+    expect(matches({ email: { $regex: '^a@', $options: 'i' } }, order)).to.be.true
+    expect(matches({ email: { $not: /^a@/ } }, order)).to.be.true
+    expect(matches({ total: { $not: { $gt: 10 } } }, order)).to.be.false
+    expect(matches({ tags: { $size: 2, $all: ['gift', 'new'] } }, order)).to.be.true
+    expect(matches({ items: { $elemMatch: { sku: 'a', qty: { $gt: 2 } } } }, order)).to.be.false
+    expect(matches({ items: { $elemMatch: { sku: 'b', qty: { $gt: 2 } } } }, order)).to.be.true
+    expect(matches({ tags: { $elemMatch: { $regex: '^g' } } }, order)).to.be.true
+    expect(matches({ total: { $mod: [5, 2] } }, order)).to.be.true
+  })
+
+  it('should match updates by their update document', () => {
+    const update = { op: 'u', o: { $set: { status: 'paid' } }, o2: { _id: 1 } }
+    const diff = { op: 'u', o: { $v: 2, diff: { u: { status: 'paid' } } }, o2: { _id: 1 } }
+    const statusChanged = { $or: [{ 'o.$set.status': 'paid' }, { 'o.diff.u.status': 'paid' }] }
+
+    expect(matches({ 'o.status': 'paid' }, update)).to.be.false
+    expect(matches(statusChanged, update)).to.be.true
+    expect(matches(statusChanged, diff)).to.be.true
+    expect(matches(statusChanged, { op: 'u', o: { $set: { total: 5 } }, o2: { _id: 1 } })).to.be.false
+  })
+
+  it('should support $and, $or and $nor', () => {
+    const order = { status: 'paid', total: 12 }
+
+    expect(matches({ $and: [{ status: 'paid' }, { total: { $gt: 10 } }] }, order)).to.be.true
+    expect(matches({ $or: [{ status: 'open' }, { total: { $gt: 20 } }] }, order)).to.be.false
+    expect(matches({ $nor: [{ status: 'open' }] }, order)).to.be.true
+  })
+
+  it('should throw on unsupported operators and invalid operands', () => {
+    expect(() => compileQuery(null, 'match')).to.throw(TypeError, 'match should be a query object')
+    expect(() => compileQuery({ $text: { $search: 'a' } }, 'match')).to.throw(TypeError, 'match does not support $text')
+    expect(() => compileQuery({ a: { $near: [0, 0] } }, 'match')).to.throw(TypeError, 'match does not support $near')
+    expect(() => compileQuery({ $or: [] }, 'match')).to.throw(TypeError, 'match: $or should be a non-empty array of queries')
+    expect(() => compileQuery({ a: { $in: 'a' } }, 'match')).to.throw(TypeError, 'match: $in should be an array')
+    expect(() => compileQuery({ a: { $regex: 'a', $options: 'x' } }, 'match')).to.throw(TypeError, 'match: $regex should be a string or a regular expression')
+    expect(() => compileQuery({ a: { $options: 'i' } }, 'match')).to.throw(TypeError, 'match: $options needs $regex')
+    expect(() => compileQuery({ a: { $mod: [0, 1] } }, 'match')).to.throw(TypeError, 'match: $mod should be an array of a divisor other than 0 and a remainder')
+  })
+})
+
+describe('isOplogQuery()', () => {
+  it('should only accept queries that reference nothing but o', () => {
+    expect(isOplogQuery({ o: { _id: 1 }, 'o.status': 'paid', $or: [{ 'o.total': { $gt: 1 } }] })).to.be.true
+    expect(isOplogQuery({ 'o2._id': 1 })).to.be.false
+    expect(isOplogQuery({ $and: [{ 'o.a': 1 }, { ns: 'shop.orders' }] })).to.be.false
+  })
+
+  it('should only accept the operators and values the server evaluates like the emitter', () => {
+    const id = new mongodb.ObjectID('5f0000000000000000000001')
+
+    expect(isOplogQuery({ 'o.status': { $in: ['paid', 'sent'] }, 'o.total': { $gte: 1, $lt: 5 }, 'o.at': { $gt: new Date(0) } })).to.be.true
+    expect(isOplogQuery({ $nor: [{ 'o._id': { $ne: id } }], 'o.tags': ['a', 1], 'o.paidAt': { $exists: false } })).to.be.true
+    expect(isOplogQuery({ 'o.diff.u.status': 'paid' })).to.be.true
+
+    expect(isOplogQuery({ 'o.$set.status': 'paid' })).to.be.false
+    expect(isOplogQuery({ 'o.email': /@shop\.test$/ })).to.be.false
+    expect(isOplogQuery({ 'o.email': { $in: ['a', /^b/] } })).to.be.false
+    expect(isOplogQuery({ 'o.deletedAt': null })).to.be.false
+    expect(isOplogQuery({ 'o.customer': { id: 7, deletedAt: null } })).to.be.false
+    expect(isOplogQuery({ 'o.total': { $gt: NaN } })).to.be.false
+    expect(isOplogQuery({ 'o.total': { $gt: [1] } })).to.be.false
+    expect(isOplogQuery({ 'o.total': { $gt: mongodb.Long.fromNumber(1) } })).to.be.false
+    expect(isOplogQuery({ 'o.tags': { $size: 1 } })).to.be.false
+    expect(isOplogQuery({ 'o.tags': { $all: ['a'] } })).to.be.false
+    expect(isOplogQuery({ 'o.items': { $elemMatch: { sku: 'a' } } })).to.be.false
+    expect(isOplogQuery({ 'o.total': { $mod: [2, 0] } })).to.be.false
+    expect(isOplogQuery({ 'o.total': { $not: { $gt: 1 } } })).to.be.false
+  })
+
+  it('should only accept queries that match the same entries as mongodb', () => {
+    // Each case is the result mongodb gives for the query on the entry
+    const cases = [
+      [{ 'o.total': { $gt: 10 } }, { total: '20' }, false],
+      [{ 'o.total': { $lt: 5 } }, { total: NaN }, true],
+      [{ 'o.total': 5 }, { total: mongodb.Long.fromNumber(5) }, true],
+      [{ 'o.total': { $gt: 1, $lt: 3 } }, { total: [0, 5] }, true],
+      [{ 'o.name': { $gt: '\uffff' } }, { name: '\ud83d\ude00' }, true],
+      [{ 'o.name': { $lt: 'b' } }, { name: 'B' }, true],
+      [{ 'o.active': { $gt: false } }, { active: true }, true],
+      [{ 'o.tags': ['a', 'b'] }, { tags: [['a', 'b'], 'c'] }, true],
+      [{ 'o.tags': 'b' }, { tags: ['a', 'b'] }, true],
+      [{ 'o.tags': { $ne: 'b' } }, { tags: ['a', 'b'] }, false],
+      [{ 'o.customer': { id: 7, name: 'a' } }, { customer: { name: 'a', id: 7 } }, false],
+      [{ 'o.customer': { id: 7 } }, { customer: { id: 7.0 } }, true],
+      [{ 'o.items.qty': { $gte: 3 } }, { items: [{ qty: 1 }, { qty: 3 }] }, true],
+      [{ 'o.items.0.qty': { $gte: 3 } }, { items: [{ qty: 1 }, { qty: 3 }] }, false],
+      [{ 'o.status': { $in: [] } }, { status: 'paid' }, false],
+      [{ 'o.status': { $nin: [] } }, { status: 'paid' }, true],
+      [{ 'o.paidAt': { $exists: true } }, { paidAt: null }, true],
+      [{ 'o.at': { $gte: new Date(1000) } }, { at: new Date(2000) }, true],
+      [{ 'o._id': { $lt: new mongodb.ObjectID('5f0000000000000000000002') } }, { _id: new mongodb.ObjectID('5f0000000000000000000001') }, true],
+      [{ $or: [{ 'o.status': 'open' }], $nor: [{ 'o.total': { $gt: 1 } }] }, { status: 'open', total: 1 }, true]
+    ]
+
+    cases.forEach((testCase) => {
+      expect(isOplogQuery(testCase[0]), JSON.stringify(testCase[0])).to.be.true
+      expect(matches(testCase[0], { op: 'i', ns: 'shop.orders', o: testCase[1] }), JSON.stringify(testCase[0])).to.equal(testCase[2])
+    })
+  })
+})
@@ -0,0 +1,53 @@
+'use strict'
+
+let expect = require('chai').expect
+let Timestamp = require('mongodb').Timestamp
+
+let replay = require('../lib/replay')
+let addToSummary = replay.addToSummary
+let createSummary = replay.createSummary
+let replayRange = replay.replayRange
+
+describe('replayRange()', () => {
+  it('should include both timestamps of the range', () => {
+    const range = replayRange({ start: new Timestamp(3, 100), end: new Timestamp(7, 200) })
+
+    expect(range.start.equals(new Timestamp(3, 100))).to.be.true
+    expect(range.after.equals(new Timestamp(2, 100))).to.be.true
+    expect(range.end.equals(new Timestamp(8, 200))).to.be.true
+  })
+
+  it('should include every entry of the seconds of Dates', () => {
+    const range = replayRange({ start: new Date(100500), end: new Date(200500) })
+
+    expect(range.start.equals(new Timestamp(0, 100))).to.be.true
+    expect(range.after.lessThan(new Timestamp(0, 100))).to.be.true
+    expect(range.after.greaterThan(new Timestamp(4294967295, 98))).to.be.true
+    expect(range.end.equals(new Timestamp(0, 201))).to.be.true
+  })
+})
+
+describe('addToSummary()', () => {
+  it('should count the entries per operation type and track the first and last timestamp', () => {
+    const summary = createSummary(replayRange({ start: new Timestamp(0, 100), end: new Timestamp(0, 200) }))
+    const entries = [
+      { op: 'n', ts: new Timestamp(0, 101) },
+      { op: 'i', ts: new Timestamp(0, 102) },
+      { op: 'c', ts: new Timestamp(0, 103) },
+      { op: 'i', ts: new Timestamp(0, 104) }
+    ]
+
+    entries.forEach((entry) => addToSummary(summary, entry))
+
+    expect(summary.count).to.equal(4)
+    expect(summary.operations).to.deep.equal({ insert: 2, update: 0, delete: 0, command: 1, noop: 1 })
+    expect(summary.first).to.equal(entries[0].ts)
+    expect(summary.last).to.equal(entries[3].ts)
+  })
+
+  it('should leave first and last null when nothing was read', () => {
+    const summary = createSummary(replayRange({ start: new Timestamp(0, 100), end: new Timestamp(0, 200) }))
+
+    expect(summary).to.include({ count: 0, first: null, last: null })
+  })
+})
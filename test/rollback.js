@@ -0,0 +1,154 @@
+'use strict'
+
+let expect = require('chai').expect
+let Timestamp = require('mongodb').Timestamp
+
+let EntryHistory = require('../lib/rollback').EntryHistory
+
+function entry (increment, o) {
+  return { ts: new Timestamp(increment, 100), t: 1, h: '0', op: 'i', ns: 'shop.orders', o }
+}
+
+function deliveries (name, payload) {
+  return [[null, [['op', payload], [name, payload], ['insert:shop', payload]]]]
+}
+
+// An oplog that only still contains the given entries
+function createOplog (entries) {
+  let oplog = { queries: [] }
+  oplog.find = (query, options) => {
+    oplog.queries.push({ query, options })
+    return { toArray: () => Promise.resolve(entries.map((entry) => ({ ts: entry.ts, t: entry.t, h: entry.h }))) }
+  }
+  return oplog
+}
+
+describe('EntryHistory', () => {
+  const first = entry(1, { _id: 1 })
+  const second = entry(2, { _id: 2 })
+  const third = entry(3, { _id: 2 })
+
+  it('should recognize the entries that were added', () => {
+    const history = new EntryHistory(10)
+    history.add(first, deliveries('insert', first))
+
+    expect(history.has(first)).to.be.true
+    expect(history.has(Object.assign({}, first))).to.be.true
+    expect(history.has(second)).to.be.false
+    expect(history.has(Object.assign({}, first, { t: 2 }))).to.be.false
+  })
+
+  it('should recognize changes by their resume token', () => {
+    const history = new EntryHistory(10)
+    const change = Object.assign({ resumeToken: { _data: '01' } }, first)
+    history.add(change, [])
+
+    expect(history.has(Object.assign({}, change, { ts: second.ts }))).to.be.true
+    expect(history.has(Object.assign({}, change, { resumeToken: { _data: '02' } }))).to.be.false
+  })
+
+  it('should forget the oldest entries beyond its size', () => {
+    const history = new EntryHistory(2)
+    ;[first, second, third].forEach((entry) => history.add(entry, []))
+
+    expect(history.has(first)).to.be.false
+    expect(history.has(second)).to.be.true
+    expect(history.has(third)).to.be.true
+  })
+
+  it('should remember nothing with a size of 0', () => {
+    const history = new EntryHistory(0)
+    history.add(first, [])
+
+    expect(history.has(first)).to.be.false
+  })
+
+  it('should look up the remembered entries in the oplog', () => {
+    const history = new EntryHistory(10)
+    const oplog = createOplog([first, second])
+    history.add(first, [])
+    history.add(second, [])
+
+    return history.verify(oplog).then((rollback) => {
+      expect(rollback).to.be.null
+      expect(oplog.queries).to.deep.equal([{
+        query: { ts: { $gte: first.ts, $lte: second.ts, $in: [first.ts, second.ts] } },
+        options: { oplogReplay: true, projection: { ts: 1, t: 1, h: 1 } }
+      }])
+    })
+  })
+
+  it('should not query the oplog when nothing is remembered', () => {
+    const oplog = createOplog([])
+
+    return new EntryHistory(10).verify(oplog).then((rollback) => {
+      expect(rollback).to.be.null
+      expect(oplog.queries).to.be.empty
+    })
+  })
+
+  it('should report the entries from the first missing one on as rolled back', () => {
+    const history = new EntryHistory(10)
+    const update = Object.assign({}, entry(4, { $set: { status: 'paid' } }), { op: 'u', o2: { _id: 1 } })
+    history.add(first, deliveries('insert', first))
+    history.add(second, deliveries('insert', second))
+    history.add(third, deliveries('insert', third))
+    history.add(update, deliveries('update', update))
+
+    return history.verify(createOplog([first, third, update])).then((rollback) => {
+      expect(rollback).to.deep.equal({
+        commonPoint: first.ts,
+        timestamps: [second.ts, third.ts, update.ts],
+        namespaces: ['shop.orders'],
+        documents: [{ ns: 'shop.orders', _id: 2 }, { ns: 'shop.orders', _id: 1 }]
+      })
+      expect(history.has(first)).to.be.true
+      expect(history.has(third)).to.be.false
+    })
+  })
+
+  it('should read on before the oldest entry when all of them were rolled back', () => {
+    const history = new EntryHistory(10)
+    const drop = { ts: new Timestamp(5, 100), t: 1, h: '0', op: 'c', ns: 'shop.$cmd', o: { drop: 'carts' } }
+    history.add(drop, [[null, [['op', drop], ['drop', { db: 'shop', coll: 'carts' }], ['dropDatabase', { db: 'tmp', coll: null }]]]])
+
+    return history.verify(createOplog([])).then((rollback) => {
+      expect(rollback.commonPoint.equals(new Timestamp(4, 100))).to.be.true
+      expect(rollback.namespaces).to.deep.equal(['shop.carts', 'tmp'])
+      expect(rollback.documents).to.be.empty
+    })
+  })
+
+  it('should forget the entries before the oldest entry of the oplog instead of reporting them as rolled back', () => {
+    const history = new EntryHistory(10)
+    const oplog = createOplog([second, third])
+    ;[first, second, third].forEach((entry) => history.add(entry, []))
+
+    return history.verify(oplog, second.ts).then((rollback) => {
+      expect(rollback).to.be.null
+      expect(history.has(first)).to.be.false
+      expect(oplog.queries[0].query).to.deep.equal({ ts: { $gte: second.ts, $lte: third.ts, $in: [second.ts, third.ts] } })
+    })
+  })
+
+  it('should not query the oplog when every remembered entry is older than the oldest entry', () => {
+    const history = new EntryHistory(10)
+    const oplog = createOplog([])
+    history.add(first, [])
+
+    return history.verify(oplog, second.ts).then((rollback) => {
+      expect(rollback).to.be.null
+      expect(oplog.queries).to.be.empty
+    })
+  })
+
+  it('should take the _id of normalized events from their documentKey', () => {
+    const history = new EntryHistory(10)
+    const event = { operationType: 'delete', ns: 'shop.orders', documentKey: { _id: 3 } }
+    history.add(first, [[null, [['delete', event]]]])
+
+    return history.verify(createOplog([])).then((rollback) => {
+      expect(rollback.documents).to.deep.equal([{ ns: 'shop.orders', _id: 3 }])
+    })
+  })
+})
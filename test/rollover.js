@@ -0,0 +1,98 @@
+'use strict'
+
+let expect = require('chai').expect
+let Timestamp = require('mongodb').Timestamp
+
+let rollover = require('../lib/rollover')
+let isRolledOver = rollover.isRolledOver
+let OplogRolloverError = rollover.OplogRolloverError
+let oldestTimestamp = rollover.oldestTimestamp
+let passedTimestamp = rollover.passedTimestamp
+
+describe('OplogRolloverError', () => {
+  it('should carry the requested and the oldest timestamp', () => {
+    const error = new OplogRolloverError(new Timestamp(0, 100), new Timestamp(0, 200))
+
+    expect(error).to.be.an.instanceOf(Error).with.property('name', 'OplogRolloverError')
+    expect(error).to.have.property('code', 'oplogRollover')
+    expect(error.requested.equals(new Timestamp(0, 100))).to.be.true
+    expect(error.oldest.equals(new Timestamp(0, 200))).to.be.true
+  })
+})
+
+describe('oldestTimestamp()', () => {
+  it('should find the first entry in natural order', () => {
+    let options
+    const oplog = {
+      findOne: (query, findOptions) => {
+        options = findOptions
+        return Promise.resolve({ ts: new Timestamp(0, 100) })
+      }
+    }
+
+    return oldestTimestamp(oplog).then((timestamp) => {
+      expect(timestamp.equals(new Timestamp(0, 100))).to.be.true
+      expect(options).to.deep.equal({ sort: { $natural: 1 }, projection: { ts: 1 } })
+    })
+  })
+
+  it('should resolve to null for an empty oplog', () => {
+    return expect(oldestTimestamp({ findOne: () => Promise.resolve(null) })).to.eventually.be.null
+  })
+})
+
+describe('isRolledOver()', () => {
+  it('should only be true if the oldest entry is newer than the timestamp', () => {
+    expect(isRolledOver(new Timestamp(0, 100), new Timestamp(0, 200))).to.be.true
+    expect(isRolledOver(new Timestamp(0, 100), new Timestamp(0, 100))).to.be.false
+    expect(isRolledOver(new Timestamp(0, 100), new Timestamp(0, 50))).to.be.false
+    expect(isRolledOver(new Timestamp(0, 100), null)).to.be.false
+  })
+
+  it('should not be true when reading from Timestamp(0, 0)', () => {
+    expect(isRolledOver(new Timestamp(0, 0), new Timestamp(0, 200))).to.be.false
+  })
+})
+
+describe('passedTimestamp()', () => {
+  const createOplog = (newest, match) => {
+    let oplog = {
+      queries: [],
+      findOne: (query, options) => {
+        if (options.sort) return Promise.resolve(newest && { ts: newest })
+        oplog.queries.push(query)
+        return Promise.resolve(match && { ts: match })
+      }
+    }
+    return oplog
+  }
+
+  it('should resolve to the newest entry if no entry after the timestamp matches the query', () => {
+    const oplog = createOplog(new Timestamp(0, 300), null)
+
+    return passedTimestamp(oplog, new Timestamp(0, 100), { $or: [{ op: 'n' }] }).then((timestamp) => {
+      expect(timestamp.equals(new Timestamp(0, 300))).to.be.true
+      expect(oplog.queries).to.deep.equal([{ $or: [{ op: 'n' }], ts: { $gt: new Timestamp(0, 100), $lte: new Timestamp(0, 300) } }])
+    })
+  })
+
+  it('should resolve to the timestamp if an entry after it matches the query', () => {
+    const oplog = createOplog(new Timestamp(0, 300), new Timestamp(0, 200))
+
+    return passedTimestamp(oplog, new Timestamp(0, 100), { $or: [{ op: 'n' }] }).then((timestamp) => {
+      expect(timestamp.equals(new Timestamp(0, 100))).to.be.true
+    })
+  })
+
+  it('should resolve to the timestamp without a query if it is the newest entry or the oplog is empty', () => {
+    const oplog = createOplog(new Timestamp(0, 100), null)
+
+    return Promise.all([
+      passedTimestamp(oplog, new Timestamp(0, 100), { $or: [{ op: 'n' }] }),
+      passedTimestamp(createOplog(null, null), new Timestamp(0, 100), { $or: [{ op: 'n' }] })
+    ]).then((timestamps) => {
+      timestamps.forEach((timestamp) => expect(timestamp.equals(new Timestamp(0, 100))).to.be.true)
+      expect(oplog.queries).to.be.empty
+    })
+  })
+})
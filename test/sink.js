@@ -0,0 +1,249 @@
+'use strict'
+
+let EventEmitter = require('events')
+let expect = require('chai').expect
+let ObjectID = require('mongodb').ObjectID
+let rewire = require('rewire')
+let Timestamp = require('mongodb').Timestamp
+
+let testModule = rewire('../lib/sink')
+let SinkPipe = testModule.SinkPipe
+let createMessage = testModule.__get__('createMessage')
+let documentId = testModule.__get__('documentId')
+let validateOptions = testModule.__get__('validateOptions')
+
+function createSink () {
+  let sink = {
+    batches: [],
+    closed: false,
+    send: (messages) => {
+      sink.batches.push(messages)
+      return Promise.resolve()
+    },
+    close: () => {
+      sink.closed = true
+      return Promise.resolve()
+    }
+  }
+  return sink
+}
+
+function createEntry (op, ns, id) {
+  return { ts: new Timestamp(0, 1), op, ns, o: { _id: id } }
+}
+
+describe('SinkPipe', () => {
+  it('should send the events in batches of batchSize', () => {
+    const emitter = new EventEmitter()
+    const sink = createSink()
+    expect(() => new SinkPipe(emitter, sink, { batchSize: 2, batchTimeout: 1000 })).to.not.throw()
+    const deliveries = [
+      emitter.listeners('insert')[0](createEntry('i', 'shop.orders', 1)),
+      emitter.listeners('delete')[0](createEntry('d', 'shop.orders', 2))
+    ]
+
+    return Promise.all(deliveries).then(() => {
+      expect(sink.batches).to.have.lengthOf(1)
+      expect(sink.batches[0].map((message) => message.key)).to.deep.equal(['1', '2'])
+    })
+  })
+
+  it('should send an incomplete batch after batchTimeout', () => {
+    const emitter = new EventEmitter()
+    const sink = createSink()
+    expect(() => new SinkPipe(emitter, sink, { batchTimeout: 5 })).to.not.throw()
+
+    return emitter.listeners('insert')[0](createEntry('i', 'shop.orders', 1))
+      .then(() => expect(sink.batches).to.have.lengthOf(1))
+  })
+
+  it('should send batches one at a time and in order', () => {
+    const emitter = new EventEmitter()
+    let sent = []
+    let sending = false
+    const sink = {
+      send: (messages) => {
+        expect(sending).to.be.false
+        sending = true
+        return new Promise((resolve) => setTimeout(() => {
+          sending = false
+          sent = sent.concat(messages.map((message) => message.key))
+          resolve()
+        }, 5))
+      }
+    }
+    const pipe = new SinkPipe(emitter, sink, { batchSize: 1 })
+    const listener = emitter.listeners('insert')[0]
+
+    return Promise.all([1, 2, 3].map((id) => listener(createEntry('i', 'shop.orders', id))))
+      .then(() => pipe.flush())
+      .then(() => expect(sent).to.deep.equal(['1', '2', '3']))
+  })
+
+  it('should retry a batch that failed', function () {
+    this.timeout(5000)
+    const emitter = new EventEmitter()
+    let attempts = 0
+    const sink = { send: () => ++attempts === 1 ? Promise.reject(new Error('test-error')) : Promise.resolve() }
+    expect(() => new SinkPipe(emitter, sink, { batchTimeout: 0, retries: 2 })).to.not.throw()
+
+    return emitter.listeners('insert')[0](createEntry('i', 'shop.orders', 1))
+      .then(() => expect(attempts).to.equal(2))
+  })
+
+  it('should reject the events of a batch that failed and every event after it', () => {
+    const emitter = new EventEmitter()
+    let attempts = 0
+    const sink = {
+      send: () => {
+        attempts++
+        return Promise.reject(new Error('test-error'))
+      }
+    }
+    expect(() => new SinkPipe(emitter, sink, { batchTimeout: 0, retries: 1 })).to.not.throw()
+    const listener = emitter.listeners('insert')[0]
+
+    return expect(listener(createEntry('i', 'shop.orders', 1))).to.eventually.be.rejectedWith('test-error')
+      .then(() => expect(listener(createEntry('i', 'shop.orders', 2))).to.eventually.be.rejectedWith('test-error'))
+      .then(() => expect(attempts).to.equal(1))
+  })
+
+  it('should only forward the configured events', () => {
+    const emitter = new EventEmitter()
+    expect(() => new SinkPipe(emitter, createSink(), { events: ['insert'] })).to.not.throw()
+
+    expect(emitter.listenerCount('insert')).to.equal(1)
+    expect(emitter.listenerCount('update')).to.equal(0)
+    expect(emitter.listenerCount('delete')).to.equal(0)
+  })
+
+  it('should send the last batch and close the sink on close()', () => {
+    const emitter = new EventEmitter()
+    const sink = createSink()
+    const pipe = new SinkPipe(emitter, sink, { batchTimeout: 1000 })
+    const delivery = emitter.listeners('insert')[0](createEntry('i', 'shop.orders', 1))
+
+    return pipe.close()
+      .then(() => delivery)
+      .then(() => {
+        expect(sink.batches).to.have.lengthOf(1)
+        expect(sink.closed).to.be.true
+        expect(emitter.listenerCount('insert')).to.equal(0)
+        expect(emitter.listenerCount('close')).to.equal(0)
+        expect(pipe.close()).to.equal(pipe.close())
+      })
+  })
+
+  it('should close when the emitter closes', (done) => {
+    const emitter = new EventEmitter()
+    const sink = createSink()
+    sink.close = () => {
+      done()
+      return Promise.resolve()
+    }
+    expect(() => new SinkPipe(emitter, sink)).to.not.throw()
+    emitter.emit('close')
+  })
+
+  it('should accept a sink without a close function', () => {
+    const pipe = new SinkPipe(new EventEmitter(), { send: () => Promise.resolve() })
+    return pipe.close()
+  })
+})
+
+describe('createMessage()', () => {
+  it('should use the namespace as the topic by default', () => {
+    const entry = createEntry('i', 'shop.orders', 1)
+    const message = createMessage(validateOptions(createSink()), entry)
+
+    expect(message).to.deep.equal({ topic: 'shop.orders', key: '1', value: JSON.stringify(entry), event: entry })
+  })
+
+  it('should use the namespace of normalized events', () => {
+    const event = { operationType: 'insert', db: 'shop', coll: 'orders', documentKey: { _id: 1 } }
+
+    expect(createMessage(validateOptions(createSink()), event)).to.include({ topic: 'shop.orders', key: '1' })
+  })
+
+  it('should map namespaces to topics, before the topic option', () => {
+    const options = validateOptions(createSink(), { topics: { 'shop.orders': 'orders', 'crm.*': 'crm' }, topic: 'other' })
+
+    expect(createMessage(options, createEntry('i', 'shop.orders', 1)).topic).to.equal('orders')
+    expect(createMessage(options, createEntry('i', 'crm.users', 1)).topic).to.equal('crm')
+    expect(createMessage(options, createEntry('i', 'shop.users', 1)).topic).to.equal('other')
+  })
+
+  it('should call a topic function with the event and its namespace', () => {
+    const options = validateOptions(createSink(), { topic: (event, ns) => `${ns}.${event.op}` })
+
+    expect(createMessage(options, createEntry('d', 'shop.orders', 1)).topic).to.equal('shop.orders.d')
+  })
+
+  it('should use the key and serialize functions', () => {
+    const options = validateOptions(createSink(), { key: (event) => event.op, serialize: (event) => event.ns })
+
+    expect(createMessage(options, createEntry('i', 'shop.orders', 1))).to.include({ key: 'i', value: 'shop.orders' })
+  })
+})
+
+describe('documentId()', () => {
+  it('should use the _id of inserts and deletes', () => {
+    expect(documentId(createEntry('i', 'shop.orders', 'a'))).to.equal('a')
+    expect(documentId(createEntry('d', 'shop.orders', 2))).to.equal('2')
+  })
+
+  it('should use the _id of the o2 field of updates', () => {
+    expect(documentId({ op: 'u', o: { $set: { a: 1 } }, o2: { _id: 3 } })).to.equal('3')
+  })
+
+  it('should use the documentKey of normalized events', () => {
+    expect(documentId({ operationType: 'update', documentKey: { _id: 4 } })).to.equal('4')
+  })
+
+  it('should format ObjectIDs as hex and other objects as JSON', () => {
+    const id = new ObjectID()
+
+    expect(documentId(createEntry('i', 'shop.orders', id))).to.equal(id.toHexString())
+    expect(documentId(createEntry('i', 'shop.orders', { a: 1 }))).to.equal('{"a":1}')
+  })
+
+  it('should read the _id of Extended JSON payloads', () => {
+    expect(documentId({ op: 'i', o: { _id: { $oid: '5f0000000000000000000001' } } })).to.equal('5f0000000000000000000001')
+    expect(documentId({ op: 'd', o: { _id: { $numberLong: '9007199254740993' } } })).to.equal('9007199254740993')
+  })
+
+  it('should return an empty string without an _id', () => {
+    expect(documentId({ op: 'u', o: {} })).to.equal('')
+  })
+})
+
+describe('validateOptions()', () => {
+  it('should supply defaults', () => {
+    const options = validateOptions(createSink())
+
+    expect(options).to.include({ topic: null, key: documentId, serialize: JSON.stringify, batchSize: 100, batchTimeout: 50, retries: 5 })
+    expect(options.events).to.deep.equal(['insert', 'update', 'delete'])
+    expect(options.topics).to.deep.equal([])
+  })
+
+  it('should throw if the sink has no send function', () => {
+    expect(() => validateOptions({})).to.throw(TypeError, 'sink should be an object with a send function')
+    expect(() => validateOptions(null)).to.throw(TypeError, 'sink should be an object with a send function')
+  })
+
+  it('should throw if the options are not valid', () => {
+    const sink = createSink()
+
+    expect(() => validateOptions(sink, null)).to.throw(TypeError, 'options should be an object')
+    expect(() => validateOptions(sink, { topic: 1 })).to.throw(TypeError, 'topic should be a string or a function')
+    expect(() => validateOptions(sink, { topics: 'orders' })).to.throw(TypeError, 'topics should be a map of namespaces to topics')
+    expect(() => validateOptions(sink, { topics: { 'shop.orders': 1 } })).to.throw(TypeError, 'topics should be a map of namespaces to topics')
+    expect(() => validateOptions(sink, { key: '_id' })).to.throw(TypeError, 'key should be a function')
+    expect(() => validateOptions(sink, { serialize: 'json' })).to.throw(TypeError, 'serialize should be a function')
+    expect(() => validateOptions(sink, { events: ['drop'] })).to.throw(TypeError, 'events should be an array of insert, update and delete')
+    expect(() => validateOptions(sink, { events: [] })).to.throw(TypeError, 'events should be an array of insert, update and delete')
+    expect(() => validateOptions(sink, { batchSize: 0 })).to.throw(TypeError, 'batchSize should be a number greater than 0')
+    expect(() => validateOptions(sink, { batchTimeout: '1s' })).to.throw(TypeError, 'batchTimeout should be a number')
+    expect(() => validateOptions(sink, { retries: 0 })).to.throw(TypeError, 'retries should be a number greater than 0')
+  })
+})
@@ -0,0 +1,207 @@
+'use strict'
+
+let expect = require('chai').expect
+let fs = require('fs')
+let http = require('http')
+let os = require('os')
+let path = require('path')
+
+let sinks = require('../lib/sinks')
+let AMQPSink = sinks.AMQPSink
+let FileSink = sinks.FileSink
+let KafkaSink = sinks.KafkaSink
+let RedisStreamSink = sinks.RedisStreamSink
+let WebhookSink = sinks.WebhookSink
+
+const messages = [
+  { topic: 'orders', key: '1', value: '{"a":1}', event: {} },
+  { topic: 'users', key: '2', value: '{"b":2}', event: {} },
+  { topic: 'orders', key: '3', value: '{"c":3}', event: {} }
+]
+
+describe('KafkaSink', () => {
+  it('should send the messages of every topic in one request', () => {
+    let records = []
+    const producer = {
+      send: (record) => {
+        records.push(record)
+        return Promise.resolve([])
+      }
+    }
+
+    return new KafkaSink({ producer }).send(messages).then(() => {
+      expect(records).to.deep.equal([
+        { topic: 'orders', acks: -1, messages: [{ key: '1', value: '{"a":1}' }, { key: '3', value: '{"c":3}' }] },
+        { topic: 'users', acks: -1, messages: [{ key: '2', value: '{"b":2}' }] }
+      ])
+    })
+  })
+
+  it('should reject when a request fails', () => {
+    const producer = { send: () => Promise.reject(new Error('test-error')) }
+
+    return expect(new KafkaSink({ producer }).send(messages)).to.eventually.be.rejectedWith('test-error')
+  })
+
+  it('should throw without a producer', () => {
+    expect(() => new KafkaSink()).to.throw(TypeError, 'producer should be an object with a send function')
+  })
+})
+
+describe('AMQPSink', () => {
+  it('should publish persistent messages and wait for the confirms', () => {
+    let published = []
+    let confirmed = false
+    const channel = {
+      publish: (exchange, routingKey, content, options) => {
+        published.push([exchange, routingKey, content.toString(), options.persistent, options.messageId])
+        return true
+      },
+      waitForConfirms: () => {
+        confirmed = published.length === messages.length
+        return Promise.resolve()
+      }
+    }
+
+    return new AMQPSink({ channel, exchange: 'changes' }).send(messages).then(() => {
+      expect(published).to.deep.equal([
+        ['changes', 'orders', '{"a":1}', true, '1'],
+        ['changes', 'users', '{"b":2}', true, '2'],
+        ['changes', 'orders', '{"c":3}', true, '3']
+      ])
+      expect(confirmed).to.be.true
+    })
+  })
+
+  it('should throw without a confirm channel', () => {
+    expect(() => new AMQPSink({ channel: { publish: () => true } })).to.throw(TypeError, 'channel should be a confirm channel')
+    expect(() => new AMQPSink({ channel: { publish: () => true, waitForConfirms: () => {} }, exchange: 1 })).to.throw(TypeError, 'exchange should be a string')
+  })
+})
+
+describe('RedisStreamSink', () => {
+  it('should add the messages to their streams in order', () => {
+    let commands = []
+    const client = {
+      xadd: function () {
+        commands.push(Array.prototype.slice.call(arguments))
+        return new Promise((resolve) => setTimeout(resolve, 5 - commands.length))
+      }
+    }
+
+    return new RedisStreamSink({ client, maxLength: 1000 }).send(messages).then(() => {
+      expect(commands).to.deep.equal([
+        ['orders', 'MAXLEN', '~', 1000, '*', 'key', '1', 'value', '{"a":1}'],
+        ['users', 'MAXLEN', '~', 1000, '*', 'key', '2', 'value', '{"b":2}'],
+        ['orders', 'MAXLEN', '~', 1000, '*', 'key', '3', 'value', '{"c":3}']
+      ])
+    })
+  })
+
+  it('should throw without a client', () => {
+    expect(() => new RedisStreamSink({ client: {} })).to.throw(TypeError, 'client should be an object with an xadd function')
+    expect(() => new RedisStreamSink({ client: { xadd: () => {} }, maxLength: '1' })).to.throw(TypeError, 'maxLength should be a number')
+  })
+})
+
+describe('WebhookSink', () => {
+  let server
+  let status
+  let requests
+
+  beforeEach((done) => {
+    status = 204
+    requests = []
+    server = http.createServer((req, res) => {
+      let body = ''
+      req.on('data', (chunk) => { body += chunk })
+      req.on('end', () => {
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body })
+        if (status === null) return
+        res.statusCode = status
+        res.end()
+      })
+    })
+    server.listen(0, '127.0.0.1', done)
+  })
+
+  afterEach((done) => {
+    server.close(done)
+  })
+
+  function url () {
+    return `http://127.0.0.1:${server.address().port}/hooks/oplog`
+  }
+
+  it('should POST the batch as JSON', () => {
+    return new WebhookSink({ url: url(), headers: { Authorization: 'Bearer token' } }).send(messages).then(() => {
+      expect(requests).to.have.lengthOf(1)
+      expect(requests[0]).to.include({ method: 'POST', url: '/hooks/oplog' })
+      expect(requests[0].headers).to.include({ 'content-type': 'application/json', authorization: 'Bearer token' })
+      expect(JSON.parse(requests[0].body)).to.deep.equal(messages.map((message) => ({ topic: message.topic, key: message.key, value: message.value })))
+    })
+  })
+
+  it('should send the query string and the credentials of the url', () => {
+    const target = url().replace('http://', 'http://oplog:s%40cret@') + '?source=oplog'
+    return new WebhookSink({ url: target }).send(messages).then(() => {
+      expect(requests[0]).to.include({ url: '/hooks/oplog?source=oplog' })
+      expect(requests[0].headers.authorization).to.equal(`Basic ${Buffer.from('oplog:s@cret').toString('base64')}`)
+    })
+  })
+
+  it('should reject when the webhook does not respond with a 2xx status code', () => {
+    status = 500
+    return expect(new WebhookSink({ url: url() }).send(messages)).to.eventually.be.rejectedWith('responded with status 500')
+  })
+
+  it('should reject when the webhook does not respond in time', () => {
+    status = null
+    return expect(new WebhookSink({ url: url(), timeout: 20 }).send(messages)).to.eventually.be.rejectedWith('did not respond within 20ms')
+  })
+
+  it('should reject when the webhook cannot be reached', () => {
+    const sink = new WebhookSink({ url: url() })
+    return new Promise((resolve) => server.close(resolve))
+      .then(() => expect(sink.send(messages)).to.eventually.be.rejected)
+      .then(() => server.listen(0, '127.0.0.1'))
+  })
+
+  it('should throw if the options are not valid', () => {
+    expect(() => new WebhookSink({ url: 'ftp://example.com' })).to.throw(TypeError, 'url should be an http or https url')
+    expect(() => new WebhookSink({ url: 'http://example.com', headers: 'token' })).to.throw(TypeError, 'headers should be an object')
+    expect(() => new WebhookSink({ url: 'http://example.com', timeout: '1s' })).to.throw(TypeError, 'timeout should be a number')
+  })
+})
+
+describe('FileSink', () => {
+  let file
+
+  beforeEach(() => {
+    file = path.join(os.tmpdir(), `oplog-emitter-sink-${process.pid}-${Date.now()}.ndjson`)
+  })
+
+  afterEach(() => {
+    if (fs.existsSync(file)) fs.unlinkSync(file)
+  })
+
+  it('should append the values as lines', () => {
+    const sink = new FileSink({ path: file })
+
+    return sink.send(messages.slice(0, 2))
+      .then(() => sink.send(messages.slice(2)))
+      .then(() => sink.close())
+      .then(() => expect(fs.readFileSync(file, 'utf8')).to.equal('{"a":1}\n{"b":2}\n{"c":3}\n'))
+  })
+
+  it('should reject when the file cannot be opened', () => {
+    const sink = new FileSink({ path: path.join(file, 'missing', 'changes.ndjson') })
+
+    return expect(sink.send(messages)).to.eventually.be.rejected
+      .then(() => sink.close())
+  })
+
+  it('should throw without a path', () => {
+    expect(() => new FileSink({})).to.throw(TypeError, 'path should be a string')
+  })
+})
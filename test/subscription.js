@@ -0,0 +1,61 @@
+'use strict'
+
+let expect = require('chai').expect
+
+let Subscription = require('../lib/subscription').Subscription
+
+function createEmitter () {
+  let emitter = {
+    _args: { format: 'normalized', includeMigrations: false, projection: null },
+    _subscriptions: new Set(),
+    requeried: 0,
+    _requery: () => { emitter.requeried++ }
+  }
+  return emitter
+}
+
+describe('Subscription', () => {
+  it('should throw if the namespace is not a string, regular expression or array', () => {
+    expect(() => new Subscription(createEmitter(), 42)).to.throw(TypeError, 'namespace should be a string, a regular expression or an array of them')
+  })
+
+  it('should throw if the options contain namespaces', () => {
+    expect(() => new Subscription(createEmitter(), 'shop.orders', { namespaces: ['shop.users'] }))
+      .to.throw(TypeError, 'options cannot contain namespaces, pass them as the first argument')
+  })
+
+  it('should throw if the options are not a valid filter', () => {
+    expect(() => new Subscription(createEmitter(), 'shop.orders', { where: 'paid' })).to.throw(TypeError, 'filter.where should be a function')
+  })
+
+  it('should take the format and projection of the emitter', () => {
+    const subscription = new Subscription(createEmitter(), 'shop.orders', { match: { 'o.status': 'paid' } })
+
+    expect(subscription._args).to.include({ format: 'normalized', includeMigrations: false, projection: null })
+    expect(subscription._args.matcher.normalized).to.be.true
+    expect(subscription._args.matcher.matchQuery).to.be.null
+  })
+
+  it('should compile the namespaces and options into a filter without noops by default', () => {
+    const subscription = new Subscription(createEmitter(), ['shop.orders', /^crm\./], { exclude: ['crm.tmp'] })
+
+    expect(subscription._args.matcher.include).to.have.lengthOf(2)
+    expect(subscription._args.matcher.exclude).to.have.lengthOf(1)
+    expect(subscription._args.matcher.operations).to.deep.equal(['insert', 'update', 'delete', 'command'])
+  })
+
+  it('should remove itself from the emitter and requery on unwatch()', () => {
+    const emitter = createEmitter()
+    const subscription = new Subscription(emitter, 'shop.orders')
+    let closed = 0
+    emitter._subscriptions.add(subscription)
+    subscription.on('close', () => closed++)
+
+    subscription.unwatch()
+    subscription.unwatch()
+
+    expect(emitter._subscriptions.size).to.equal(0)
+    expect(emitter.requeried).to.equal(1)
+    expect(closed).to.equal(1)
+  })
+})
@@ -1,6 +1,7 @@
 'use strict'
 
 let mongodb = require('mongodb')
+let stream = require('stream')
 let streamUtil = require('stream-util')
 let Timestamp = mongodb.Timestamp
 
@@ -14,9 +15,22 @@ const template = {
   }
 }
 
+// Entries need distinct timestamps, since the emitter drops an entry it has read before
+let increment = 0
+
+function nextTimestamp () {
+  return new Timestamp(++increment, Math.floor(new Date().getTime() / 1000))
+}
+
+// Answers the lookup of the entries that were read before, as if none of them were rolled back
+function findEntries (cursor, query) {
+  if (!query || !query.ts || !query.ts.$in) return cursor
+  return { toArray: () => Promise.resolve(query.ts.$in.map((ts) => ({ ts, h: template.h }))) }
+}
+
 function createOplogDocument (type, options) {
   let instance = JSON.parse(JSON.stringify(template))
-  instance.ts = new Timestamp(0, Math.floor(new Date().getTime() / 1000))
+  instance.ts = nextTimestamp()
 
   if (options === undefined) options = {}
   if (options.operation) instance.o = options.operation
@@ -37,15 +51,75 @@ function createOplogDocument (type, options) {
   return instance
 }
 
+function createTransactionDocument (operations, options) {
+  if (options === undefined) options = {}
+  let instance = {
+    ts: options.ts || nextTimestamp(),
+    h: '123456789',
+    v: 2,
+    op: 'c',
+    ns: 'admin.$cmd',
+    lsid: { id: 'session' },
+    txnNumber: 1,
+    prevOpTime: { ts: options.prevOpTime || new Timestamp(0, 0), t: -1 },
+    o: options.command || { applyOps: operations }
+  }
+  if (options.partialTxn) instance.o.partialTxn = true
+  if (options.prepare) instance.o.prepare = true
+
+  return instance
+}
+
 function createMongoCursor (docs) {
   if (!Array.isArray(docs)) throw new TypeError('createMongoCursor needs an array of documents as an argument')
   let cursor = streamUtil.fromArray(docs)
-  cursor.find = () => cursor
+  cursor.find = (query) => findEntries(cursor, query)
+  cursor.findOne = () => Promise.resolve(null)
   cursor.stream = () => cursor
   return cursor
 }
 
+function createTailableCursor (docs) {
+  let cursor = new stream.Readable({ objectMode: true, read: () => {} })
+  if (docs !== undefined) docs.forEach((doc) => cursor.push(doc))
+  cursor.find = (query) => findEntries(cursor, query)
+  cursor.findOne = () => Promise.resolve(null)
+  cursor.stream = () => cursor
+  return cursor
+}
+
+function createMongoClient () {
+  let client = {
+    closed: false,
+    close: () => {
+      client.closed = true
+      return Promise.resolve()
+    }
+  }
+  return client
+}
+
+function createLogger () {
+  let logger = { entries: [] }
+  ;['debug', 'info', 'warn', 'error'].forEach((level) => {
+    logger[level] = (fields, message) => logger.entries.push({ level, fields, message })
+  })
+  return logger
+}
+
+function createMongoConnection (docs) {
+  return {
+    client: createMongoClient(),
+    oplog: createMongoCursor(docs)
+  }
+}
+
 module.exports = {
+  createLogger,
   createOplogDocument,
-  createMongoCursor
+  createTransactionDocument,
+  createMongoClient,
+  createMongoConnection,
+  createMongoCursor,
+  createTailableCursor
 }
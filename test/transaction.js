@@ -0,0 +1,92 @@
+'use strict'
+
+let expect = require('chai').expect
+let Timestamp = require('mongodb').Timestamp
+let testUtils = require('./test-utils.js')
+
+let createOplogDocument = testUtils.createOplogDocument
+let createTransactionDocument = testUtils.createTransactionDocument
+let TransactionBuffer = require('../lib/transaction').TransactionBuffer
+
+describe('TransactionBuffer', () => {
+  const insert = { op: 'i', ns: 'database.collection', o: { _id: 1 } }
+  const update = { op: 'u', ns: 'database.collection', o: { $set: { a: 1 } }, o2: { _id: 1 } }
+  const remove = { op: 'd', ns: 'database.other', o: { _id: 2 } }
+
+  it('should return undefined for entries that are not part of a transaction', () => {
+    const buffer = new TransactionBuffer()
+
+    expect(buffer.add(createOplogDocument('insert'))).to.be.undefined
+    expect(buffer.add(createTransactionDocument([], { command: { create: 'collection' } }))).to.be.undefined
+  })
+
+  it('should return the operations of a transaction in a single entry', () => {
+    const buffer = new TransactionBuffer()
+
+    expect(buffer.add(createTransactionDocument([insert, update]))).to.deep.equal([insert, update])
+  })
+
+  it('should collect the operations of a transaction split over several entries', () => {
+    const buffer = new TransactionBuffer()
+    const first = createTransactionDocument([insert], { ts: new Timestamp(1, 100), partialTxn: true })
+    const second = createTransactionDocument([update], { ts: new Timestamp(2, 100), prevOpTime: first.ts, partialTxn: true })
+    const last = createTransactionDocument([remove], { ts: new Timestamp(3, 100), prevOpTime: second.ts })
+
+    expect(buffer.add(first)).to.be.empty
+    expect(buffer.add(second)).to.be.empty
+    expect(buffer.add(last)).to.deep.equal([insert, update, remove])
+    expect(buffer.pending.size).to.equal(0)
+  })
+
+  it('should return the operations of a prepared transaction when it commits', () => {
+    const buffer = new TransactionBuffer()
+    const prepare = createTransactionDocument([insert], { ts: new Timestamp(1, 100), prepare: true })
+    const commit = createTransactionDocument([], { ts: new Timestamp(2, 100), prevOpTime: prepare.ts, command: { commitTransaction: 1 } })
+
+    expect(buffer.add(prepare)).to.be.empty
+    expect(buffer.add(commit)).to.deep.equal([insert])
+  })
+
+  it('should drop the operations of a prepared transaction when it aborts', () => {
+    const buffer = new TransactionBuffer()
+    const prepare = createTransactionDocument([insert], { ts: new Timestamp(1, 100), prepare: true })
+    const abort = createTransactionDocument([], { ts: new Timestamp(2, 100), prevOpTime: prepare.ts, command: { abortTransaction: 1 } })
+
+    expect(buffer.add(prepare)).to.be.empty
+    expect(buffer.add(abort)).to.be.empty
+    expect(buffer.pending.size).to.equal(0)
+  })
+
+  it('should not change the timestamp when no transaction is unfinished', () => {
+    const buffer = new TransactionBuffer()
+    const timestamp = new Timestamp(5, 100)
+
+    expect(buffer.safeTimestamp(timestamp)).to.equal(timestamp)
+  })
+
+  it('should cap the timestamp before the start of an unfinished transaction', () => {
+    const buffer = new TransactionBuffer()
+    const first = createTransactionDocument([insert], { ts: new Timestamp(2, 100), partialTxn: true })
+    const second = createTransactionDocument([update], { ts: new Timestamp(4, 100), prevOpTime: first.ts, partialTxn: true })
+
+    buffer.add(first)
+    buffer.add(second)
+
+    expect(buffer.safeTimestamp(new Timestamp(5, 100)).equals(new Timestamp(1, 100))).to.be.true
+  })
+
+  it('should discard the unfinished transactions that continued after a timestamp', () => {
+    const buffer = new TransactionBuffer()
+    const first = createTransactionDocument([insert], { ts: new Timestamp(2, 100), partialTxn: true })
+    const second = createTransactionDocument([update], { ts: new Timestamp(4, 100), prevOpTime: first.ts, partialTxn: true })
+    const other = createTransactionDocument([remove], { ts: new Timestamp(3, 100), partialTxn: true })
+
+    buffer.add(first)
+    buffer.add(other)
+    buffer.add(second)
+    buffer.discardAfter(new Timestamp(3, 100))
+
+    expect(buffer.pending.size).to.equal(1)
+    expect(buffer.safeTimestamp(new Timestamp(5, 100)).equals(new Timestamp(2, 100))).to.be.true
+  })
+})
@@ -0,0 +1,149 @@
+// Type tests for lib/index.d.ts: compiled with `npm run test:types`, never run
+import OplogEmitter = require('../../lib')
+import { MongoClient, Timestamp } from 'mongodb'
+
+declare const client: MongoClient
+declare const inserted: OplogEmitter.InsertEntry
+
+const emitter = new OplogEmitter('mongodb://localhost:27017/local')
+emitter.on('insert', (entry) => {
+  const op: 'i' = entry.op
+  const id: unknown = entry.o._id
+})
+emitter.on('update', (entry) => {
+  const key: OplogEmitter.Document = entry.o2
+  const document: OplogEmitter.Document | null | undefined = entry.fullDocument
+})
+emitter.on('op', (entry) => {
+  if (entry.op === 'd') {
+    const deleted: OplogEmitter.DeleteEntry = entry
+  }
+})
+emitter.on('drop', (event) => {
+  const coll: string | null = event.coll
+})
+emitter.on('error', (error) => {
+  const message: string = error.message
+})
+emitter.on('reconnected', (timestamp) => {
+  const next: Timestamp = timestamp.add(Timestamp.ONE)
+})
+emitter.on('oplogRollover', (error) => {
+  const oldest: Timestamp = error.oldest
+})
+emitter.on('rollback', (rollback) => {
+  const resumeAfter: Timestamp = rollback.commonPoint
+  const ids: string[] = rollback.documents.map((document) => `${document.ns}:${document._id}`)
+})
+emitter.on('end', (summary) => {
+  const inserts: number = summary.operations.insert
+})
+emitter.on('metrics', (stats) => {
+  const lag: number | null = stats.lag
+  const text: string = OplogEmitter.toPrometheus(stats, { prefix: 'orders', labels: { instance: 'a' } })
+})
+emitter.on('some-other-event', (a: number, b: string) => {})
+// @ts-expect-error the insert payload is not an update entry
+emitter.on('insert', (entry: OplogEmitter.UpdateEntry) => {})
+// @ts-expect-error errors are not timestamps
+emitter.on('error', (error: Timestamp) => {})
+
+const acknowledged = new OplogEmitter({ oplogURL: 'mongodb://localhost:27017/local', acknowledge: true, concurrency: 4 })
+acknowledged.on('insert', (entry, ack) => ack())
+acknowledged.on('update', (entry) => Promise.resolve())
+acknowledged.watch('shop.orders').on('delete', (entry, ack) => ack(new Error('not indexed')))
+// @ts-expect-error the ack callback is not passed outside acknowledge mode, so it may be undefined
+emitter.on('delete', (entry, ack) => ack())
+
+const listener: OplogEmitter.Listener<OplogEmitter.InsertEntry> = (entry) => {}
+listener(inserted)
+
+const normalized = new OplogEmitter({ client, format: 'normalized', fullDocument: 'updateLookup' })
+normalized.on('update', (event) => {
+  const type: 'insert' | 'update' | 'replace' | 'delete' | 'command' = event.operationType
+  const changed: OplogEmitter.Document | undefined = event.updateDescription ? event.updateDescription.updatedFields : undefined
+})
+normalized.on('transaction', (transaction) => {
+  const events: OplogEmitter.NormalizedEvent[] = transaction.operations
+})
+// @ts-expect-error normalized emitters do not emit raw entries
+normalized.on('insert', (entry: OplogEmitter.InsertEntry) => {})
+
+const subscription = emitter.watch(['shop.orders', /^crm\./], { operations: ['insert'] })
+subscription.on('insert', (entry) => {
+  const ns: string = entry.ns
+})
+subscription.unwatch()
+
+const options: OplogEmitter.OplogOptions = {
+  oplogURL: 'mongodb://localhost:27017/local',
+  credentials: { username: 'user', password: 'secret', mechanism: 'SCRAM-SHA-256', authSource: 'admin' },
+  tls: { ca: [Buffer.from('ca')], cert: 'cert', key: 'key', passphrase: 'secret' },
+  filter: {
+    namespaces: ['shop.*'],
+    exclude: [/\.tmp$/],
+    operations: ['insert', 'update'],
+    match: { 'o.tenantId': 'acme', 'o.total': { $gte: 100 } },
+    where: (entry) => entry.ns !== 'shop.tmp'
+  },
+  project: ['status', 'customer.id'],
+  redact: ['customer.email'],
+  historySize: 5000,
+  checkpoint: new OplogEmitter.FileCheckpointStore('/tmp/oplog.json'),
+  replay: { start: new Date(0), end: new Timestamp(0, 100) },
+  readPreference: 'secondary',
+  rollover: 'continue',
+  logLevel: 'warn',
+  logger: { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} }
+}
+// @ts-expect-error format is raw or normalized
+const invalidFormat: OplogEmitter.OplogOptions = { format: 'bson' }
+// @ts-expect-error source is oplog or changeStream
+const invalidSource: OplogEmitter.OplogOptions = { source: 'binlog' }
+// @ts-expect-error redact is a list of field paths
+const invalidRedact: OplogEmitter.OplogOptions = { redact: 'password' }
+// @ts-expect-error rollover is fail or continue
+const invalidRollover: OplogEmitter.OplogOptions = { rollover: 'skip' }
+
+const store: OplogEmitter.CheckpointStore = new OplogEmitter.MongoCheckpointStore(client.db('app').collection('checkpoints'), 'orders')
+const memoryStore: OplogEmitter.CheckpointStore = { load: () => null, save: (timestamp: Timestamp, resumeToken?: object) => {} }
+const rollover: Error = new OplogEmitter.OplogRolloverError(new Timestamp(0, 1), new Timestamp(0, 2))
+
+const piped = new OplogEmitter({ oplogURL: 'mongodb://localhost:27017/local', acknowledge: true, format: 'normalized' })
+const pipe = piped.pipe(new OplogEmitter.FileSink({ path: '/tmp/changes.ndjson' }), {
+  topics: { 'shop.*': 'shop' },
+  key: (event) => String(event.documentKey && event.documentKey._id),
+  events: ['insert', 'delete'],
+  batchSize: 10
+})
+pipe.flush().then(() => pipe.close())
+piped.pipe({ send: (messages) => Promise.resolve(messages.map((message) => message.topic + message.key + message.value)) })
+piped.pipe(new OplogEmitter.WebhookSink({ url: 'http://localhost:8080', headers: { Authorization: 'Bearer token' } }))
+piped.pipe(new OplogEmitter.RedisStreamSink({ client: { xadd: () => Promise.resolve('0-1') }, maxLength: 1000 }))
+piped.pipe(new OplogEmitter.AMQPSink({ channel: { publish: () => true, waitForConfirms: () => Promise.resolve() }, exchange: 'changes' }))
+piped.pipe(new OplogEmitter.KafkaSink({ producer: { send: () => Promise.resolve([]) } }), { topic: (event, namespace) => namespace })
+// @ts-expect-error only CRUD events are forwarded
+piped.pipe(new OplogEmitter.FileSink({ path: '/tmp/changes.ndjson' }), { events: ['drop'] })
+// @ts-expect-error a sink needs a send function
+piped.pipe({ close: () => Promise.resolve() })
+
+const serialized = new OplogEmitter({ oplogURL: 'mongodb://localhost:27017/local', ejson: 'canonical' })
+serialized.on('insert', (event) => {
+  const document: OplogEmitter.Document = event
+  const copy: OplogEmitter.OplogEntry = OplogEmitter.EJSON.deserialize(event, { relaxed: false })
+  const line: string = OplogEmitter.EJSON.stringify(copy)
+  const parsed = OplogEmitter.EJSON.parse(line)
+})
+// @ts-expect-error ejson is relaxed or canonical
+const invalidEJSON: OplogEmitter.OplogOptions = { ejson: 'legacy' }
+// @ts-expect-error Extended JSON payloads have no Timestamp
+serialized.on('delete', (entry: OplogEmitter.DeleteEntry) => {})
+
+async function consume () {
+  for await (const entry of emitter) {
+    const ts: Timestamp = entry.ts
+  }
+  const stats: OplogEmitter.Stats = emitter.stats()
+  const stream = emitter.pause().resume().toStream({ highWaterMark: 10 })
+  await emitter.stop()
+}
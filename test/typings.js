@@ -0,0 +1,92 @@
+'use strict'
+
+let expect = require('chai').expect
+let fs = require('fs')
+let path = require('path')
+let rewire = require('rewire')
+
+let validateArgs = rewire('../lib').__get__('validateArgs')
+
+const LIB = path.join(__dirname, '..', 'lib')
+const declarations = fs.readFileSync(path.join(LIB, 'index.d.ts'), 'utf8')
+const sources = fs.readdirSync(LIB)
+  .filter((file) => file.endsWith('.js'))
+  .map((file) => fs.readFileSync(path.join(LIB, file), 'utf8'))
+  .join('\n')
+
+// The names of the properties of a JSDoc typedef
+function typedefProperties (name) {
+  const match = new RegExp(`@typedef \\{object\\} ${name}\\n((?: \\* @property .*\\n)+)`).exec(sources)
+  if (!match) throw new Error(`No typedef ${name}`)
+  return match[1].split('\n').filter(Boolean).map((line) => /@property \{[^}]*\} (\w+)/.exec(line)[1]).sort()
+}
+
+// The body of an interface in the declarations, without the bodies of nested object types
+function interfaceBody (name) {
+  const start = new RegExp(`interface ${name}(<[^>]*>)?( extends [^{]*)? \\{`).exec(declarations)
+  if (!start) throw new Error(`No interface ${name}`)
+  let depth = 1
+  let body = ''
+  for (let i = start.index + start[0].length; depth > 0; i++) {
+    const char = declarations[i]
+    if (char === '{') depth++
+    if (char === '}') depth--
+    if (depth === 1 && char !== '}') body += char
+  }
+  return body
+}
+
+// The names of the properties and methods of an interface in the declarations
+function interfaceProperties (name) {
+  return interfaceBody(name).split('\n')
+    .map((line) => /^\s*(\w+)\??\s*[:(]/.exec(line))
+    .filter(Boolean)
+    .map((match) => match[1])
+    .sort()
+}
+
+// The string literals an option accepts in the declarations, following a type parameter to the alias it extends
+function literalUnion (name) {
+  let type = new RegExp(`\\n\\s*${name}\\?: ([^\\n]+)\\n`).exec(interfaceBody('OplogOptions'))[1]
+  const parameter = /^\w+$/.test(type) && new RegExp(`[<,] ?${type} extends (\\w+)`).exec(declarations)
+  if (parameter) type = new RegExp(`type ${parameter[1]} = ([^\\n]+)\\n`).exec(declarations)[1]
+  return type.split(' | ').map((literal) => literal.slice(1, -1))
+}
+
+describe('lib/index.d.ts', () => {
+  const typedefs = ['OplogOptions', 'Credentials', 'TLSOptions', 'Filter', 'ReplayOptions', 'ReplaySummary', 'Stats',
+    'NormalizedEvent', 'UpdateDescription', 'CommandEvent', 'CheckpointStore', 'Logger',
+    'Sink', 'SinkMessage', 'SinkOptions', 'EJSONOptions', 'RollbackEvent']
+
+  typedefs.forEach((name) => {
+    it(`should declare the properties of the ${name} typedef`, () => {
+      expect(interfaceProperties(name)).to.deep.equal(typedefProperties(name))
+    })
+  })
+
+  const options = {
+    readPreference: 'primary',
+    logLevel: 'info',
+    source: 'oplog',
+    fullDocument: 'default',
+    rollover: 'fail',
+    ejson: 'relaxed'
+  }
+
+  Object.keys(options).forEach((name) => {
+    it(`should declare the values of ${name} that validateArgs accepts`, () => {
+      const literals = literalUnion(name)
+
+      expect(literals).to.include(options[name])
+      literals.forEach((literal) => expect(() => validateArgs({ oplogURL: 'test', [name]: literal }), literal).not.to.throw())
+      expect(() => validateArgs({ oplogURL: 'test', [name]: 'unknown' })).to.throw(TypeError)
+    })
+  })
+
+  it('should declare the credential mechanisms that validateArgs accepts', () => {
+    const mechanisms = /mechanism\?: ((?:'[^']*'(?: \| )?)+)\n/.exec(interfaceBody('Credentials'))[1]
+      .split(' | ').map((literal) => literal.slice(1, -1))
+
+    expect(mechanisms).to.deep.equal(rewire('../lib').__get__('AUTH_MECHANISMS'))
+  })
+})